@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+
+jest.mock('fs', () => ({
+  promises: {
+    writeFile: jest.fn(),
+    copyFile: jest.fn(),
+    rename: jest.fn(),
+    unlink: jest.fn()
+  }
+}));
+
+const { getTempPath, getBackupPath, writeFilesAtomically } = require('../atomic-write');
+
+describe('atomic-write', () => {
+  const FILES = [
+    { path: 'versions.json', content: '{"versions":[]}' },
+    { path: 'game-versions.json', content: '{"releases":[]}' },
+    { path: 'datasources/retail/patch.json', content: '{"releases":[]}' }
+  ];
+
+  const notFound = () => Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    fs.writeFile.mockResolvedValue();
+    fs.copyFile.mockResolvedValue();
+    fs.rename.mockResolvedValue();
+    fs.unlink.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should stage every file, back up the targets and rename the staged files over them', async () => {
+    await writeFilesAtomically(FILES);
+
+    FILES.forEach(file => {
+      expect(fs.writeFile).toHaveBeenCalledWith(getTempPath(file.path), file.content);
+      expect(fs.copyFile).toHaveBeenCalledWith(file.path, getBackupPath(file.path));
+      expect(fs.rename).toHaveBeenCalledWith(getTempPath(file.path), file.path);
+      expect(fs.unlink).toHaveBeenCalledWith(getBackupPath(file.path));
+    });
+    expect(fs.rename.mock.invocationCallOrder[0]).toBeGreaterThan(fs.writeFile.mock.invocationCallOrder[2]);
+  });
+
+  it('should remove the staged files and keep the targets when staging fails', async () => {
+    fs.writeFile.mockResolvedValueOnce().mockRejectedValueOnce(new Error('ENOSPC'));
+
+    await expect(writeFilesAtomically(FILES)).rejects.toThrow('ENOSPC');
+
+    expect(fs.unlink).toHaveBeenCalledWith(getTempPath('versions.json'));
+    expect(fs.unlink).toHaveBeenCalledWith(getTempPath('game-versions.json'));
+    expect(fs.copyFile).not.toHaveBeenCalled();
+    expect(fs.rename).not.toHaveBeenCalled();
+  });
+
+  it('should restore the replaced targets when a rename fails', async () => {
+    // game-versions.json is a new file, the datasource can't be replaced
+    fs.copyFile.mockImplementation(async source => {
+      if (source === 'game-versions.json') {
+        throw notFound();
+      }
+    });
+    fs.rename.mockImplementation(async (_source, target) => {
+      if (target === 'datasources/retail/patch.json') {
+        throw new Error('EACCES');
+      }
+    });
+
+    await expect(writeFilesAtomically(FILES)).rejects.toThrow('EACCES');
+
+    expect(fs.rename).toHaveBeenCalledWith(getBackupPath('versions.json'), 'versions.json');
+    expect(fs.unlink).toHaveBeenCalledWith('game-versions.json');
+    expect(fs.unlink).toHaveBeenCalledWith(getTempPath('datasources/retail/patch.json'));
+    expect(fs.unlink).toHaveBeenCalledWith(getBackupPath('datasources/retail/patch.json'));
+    expect(fs.unlink).not.toHaveBeenCalledWith('versions.json');
+  });
+
+  it('should stop before replacing a target that can\'t be backed up', async () => {
+    fs.copyFile.mockRejectedValue(new Error('EACCES'));
+
+    await expect(writeFilesAtomically(FILES)).rejects.toThrow('EACCES');
+
+    expect(fs.rename).not.toHaveBeenCalled();
+    FILES.forEach(file => expect(fs.unlink).toHaveBeenCalledWith(getTempPath(file.path)));
+  });
+
+  it('should log a target that can\'t be restored', async () => {
+    fs.rename
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('EIO'))
+      .mockRejectedValueOnce(new Error('EBUSY'));
+
+    await expect(writeFilesAtomically(FILES)).rejects.toThrow('EIO');
+
+    expect(console.error).toHaveBeenCalledWith('Could not restore versions.json: EBUSY');
+  });
+});
@@ -0,0 +1,225 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Mock dependencies
+jest.mock('child_process', () => ({
+  execFile: jest.fn()
+}));
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn()
+  }
+}));
+jest.mock('../renovate-datasources', () => ({
+  generateDatasources: jest.fn()
+}));
+
+const { generateDatasources } = require('../renovate-datasources');
+const backfillReleaseTimestamps = require('../backfill-timestamps');
+
+/**
+ * Sets up the git mock with a fake history per file.
+ * history maps file names to an array of { seconds, sha, content } oldest first.
+ */
+function mockGitHistory(history) {
+  execFile.mockImplementation((command, args, options, callback) => {
+    if (args[0] === 'rev-list') {
+      const file = args[args.length - 1];
+      const stdout = (history[file] || []).map(c => `${c.seconds} ${c.sha}`).join('\n');
+      return callback(null, { stdout, stderr: '' });
+    }
+
+    if (args[0] === 'cat-file') {
+      const [sha, file] = args[2].split(':');
+      const commit = (history[file] || []).find(c => c.sha === sha);
+
+      if (!commit) {
+        return callback(new Error(`fatal: path '${file}' does not exist in '${sha}'`));
+      }
+
+      return callback(null, { stdout: JSON.stringify(commit.content), stderr: '' });
+    }
+
+    return callback(new Error(`unexpected git command ${args[0]}`));
+  });
+}
+
+describe('backfill-timestamps', () => {
+  const repoDir = '/repo';
+  // 2024-01-01T00:00:00Z and 2024-02-01T00:00:00Z
+  const jan = 1704067200;
+  const feb = 1706745600;
+
+  let mockConsoleLog;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    mockConsoleLog.mockRestore();
+    jest.useRealTimers();
+  });
+
+  it('should set the timestamp of the first commit each version appeared in', async () => {
+    const v1 = { version: '11503', name: '1.15.3', variant: 'classic_era' };
+    const v2 = { version: '11504', name: '1.15.4', variant: 'classic_era' };
+
+    mockGitHistory({
+      'versions.json': [
+        { seconds: jan, sha: 'aaa', content: { versions: [v1] } },
+        { seconds: feb, sha: 'bbb', content: { versions: [v1, v2] } }
+      ]
+    });
+
+    fs.readFile.mockImplementation(async filePath => {
+      if (filePath === path.join(repoDir, 'versions.json')) {
+        return JSON.stringify({
+          versions: [
+            { ...v2, releaseTimestamp: '2025-08-01T00:00:00.000Z' },
+            { ...v1, releaseTimestamp: '2025-08-01T00:00:00.000Z' }
+          ],
+          versionsByVariant: {
+            classic_era: [
+              { ...v2, releaseTimestamp: '2025-08-01T00:00:00.000Z' },
+              { ...v1, releaseTimestamp: '2025-08-01T00:00:00.000Z' }
+            ]
+          }
+        });
+      }
+      throw new Error('ENOENT');
+    });
+    fs.writeFile.mockResolvedValue();
+
+    await backfillReleaseTimestamps(repoDir);
+
+    expect(execFile).toHaveBeenCalledWith(
+      'git',
+      ['rev-list', '--reverse', '--timestamp', 'HEAD', '--', 'versions.json'],
+      expect.objectContaining({ cwd: repoDir }),
+      expect.any(Function)
+    );
+    expect(fs.writeFile).toHaveBeenCalledTimes(1);
+
+    const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+    expect(saved.versions[0].releaseTimestamp).toBe('2024-02-01T00:00:00.000Z');
+    expect(saved.versions[1].releaseTimestamp).toBe('2024-01-01T00:00:00.000Z');
+    expect(saved.versionsByVariant.classic_era[1].releaseTimestamp).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  it('should never overwrite an earlier existing timestamp', async () => {
+    mockGitHistory({
+      'game-versions.json': [
+        { seconds: feb, sha: 'ccc', content: { releases: [{ version: '12919' }, { version: '13433' }] } }
+      ]
+    });
+
+    fs.readFile.mockImplementation(async filePath => {
+      if (filePath === path.join(repoDir, 'game-versions.json')) {
+        return JSON.stringify({
+          releases: [
+            { version: '12919', releaseTimestamp: '2023-06-01T00:00:00.000Z' },
+            { version: '13433', releaseTimestamp: '2025-08-01T00:00:00.000Z' }
+          ]
+        });
+      }
+      throw new Error('ENOENT');
+    });
+    fs.writeFile.mockResolvedValue();
+
+    await backfillReleaseTimestamps(repoDir);
+
+    const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+    const byVersion = Object.fromEntries(saved.releases.map(release => [release.version, release]));
+    expect(byVersion['12919'].releaseTimestamp).toBe('2023-06-01T00:00:00.000Z');
+    expect(byVersion['13433'].releaseTimestamp).toBe('2024-02-01T00:00:00.000Z');
+  });
+
+  it('should not write files that are already up to date', async () => {
+    mockGitHistory({
+      'game-versions.json': [
+        { seconds: feb, sha: 'ccc', content: { releases: [{ version: '12919' }] } },
+        { seconds: jan, sha: 'ddd', content: 'not json' }
+      ]
+    });
+
+    fs.readFile.mockImplementation(async filePath => {
+      if (filePath === path.join(repoDir, 'game-versions.json')) {
+        return JSON.stringify({
+          releases: [{ version: '12919', releaseTimestamp: '2024-02-01T00:00:00.000Z' }]
+        });
+      }
+      throw new Error('ENOENT');
+    });
+
+    await backfillReleaseTimestamps(repoDir);
+
+    expect(fs.writeFile).not.toHaveBeenCalled();
+    expect(mockConsoleLog).toHaveBeenCalledWith('game-versions.json: all release timestamps are up to date');
+    expect(generateDatasources).not.toHaveBeenCalled();
+  });
+
+  it('should move lastUpdated and the timestamps of the changed variants', async () => {
+    jest.useFakeTimers({ now: new Date('2025-09-01T00:00:00.000Z') });
+    mockGitHistory({
+      'game-versions.json': [
+        { seconds: jan, sha: 'ccc', content: { releases: [{ version: '12919', variant: 'retail' }] } }
+      ]
+    });
+
+    fs.readFile.mockImplementation(async filePath => {
+      if (filePath === path.join(repoDir, 'game-versions.json')) {
+        return JSON.stringify({
+          lastUpdated: '2025-08-01T00:00:00.000Z',
+          lastUpdatedByVariant: {
+            classic_era: '2025-07-01T00:00:00.000Z',
+            retail: '2025-08-01T00:00:00.000Z'
+          },
+          releases: [
+            { version: '11900', variant: 'classic_era', releaseTimestamp: '2023-06-01T00:00:00.000Z' },
+            { version: '12919', variant: 'retail', releaseTimestamp: '2025-08-01T00:00:00.000Z' }
+          ]
+        });
+      }
+      throw new Error('ENOENT');
+    });
+    fs.writeFile.mockResolvedValue();
+
+    await backfillReleaseTimestamps(repoDir);
+
+    const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+    expect(saved.lastUpdated).toBe('2025-09-01T00:00:00.000Z');
+    expect(saved.lastUpdatedByVariant).toEqual({
+      classic_era: '2025-07-01T00:00:00.000Z',
+      retail: '2025-09-01T00:00:00.000Z'
+    });
+  });
+
+  it('should regenerate the datasources after a backfill', async () => {
+    mockGitHistory({
+      'game-versions.json': [
+        { seconds: jan, sha: 'ccc', content: { releases: [{ version: '12919' }] } }
+      ]
+    });
+
+    fs.readFile.mockImplementation(async filePath => {
+      if (filePath === path.join(repoDir, 'game-versions.json')) {
+        return JSON.stringify({ releases: [{ version: '12919' }] });
+      }
+      throw new Error('ENOENT');
+    });
+    fs.writeFile.mockResolvedValue();
+
+    await backfillReleaseTimestamps(repoDir);
+
+    expect(generateDatasources).toHaveBeenCalledWith({
+      versionsPath: path.join(repoDir, 'versions.json'),
+      gameVersionsPath: path.join(repoDir, 'game-versions.json')
+    });
+    expect(generateDatasources.mock.invocationCallOrder[0])
+      .toBeGreaterThan(fs.writeFile.mock.invocationCallOrder[0]);
+  });
+});
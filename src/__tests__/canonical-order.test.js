@@ -0,0 +1,67 @@
+const { compareVariants, canonicalize, isSameContent } = require('../canonical-order');
+
+describe('canonical-order', () => {
+  describe('compareVariants', () => {
+    it('should put known variants in their order before unknown ones', () => {
+      const variants = ['unknown', 'retail', 'anniversary', 'classic_era', 'mop_classic'];
+
+      expect(variants.sort(compareVariants)).toEqual(['classic_era', 'mop_classic', 'retail', 'anniversary', 'unknown']);
+    });
+  });
+
+  describe('canonicalize', () => {
+    it('should sort versions, groups, version types and fields of versions.json', () => {
+      const data = canonicalize('versions', {
+        summary: { retail: 2, classic_era: 1 },
+        versions: [
+          { variant: 'retail', name: '11.0.5', version: '110005' },
+          { version: '11503', name: '1.15.3', variant: 'classic_era' },
+          { version: '110200', name: '11.2.0', variant: 'retail' }
+        ],
+        versionTypes: { 517: { variant: 'retail', id: 517, name: 'WoW Retail' }, 67408: { id: 67408, name: 'WoW Classic Era', variant: 'classic_era' } },
+        versionsByVariant: {
+          retail: [{ version: '110005', name: '11.0.5', variant: 'retail' }, { version: '110200', name: '11.2.0', variant: 'retail' }],
+          classic_era: [{ version: '11503', name: '1.15.3', variant: 'classic_era' }]
+        },
+        lastUpdated: '2025-01-01T00:00:00.000Z',
+        schemaVersion: 1
+      });
+
+      expect(Object.keys(data)).toEqual(['schemaVersion', 'lastUpdated', 'versions', 'versionsByVariant', 'versionTypes', 'summary']);
+      expect(data.versions.map(v => v.name)).toEqual(['1.15.3', '11.2.0', '11.0.5']);
+      expect(Object.keys(data.versions[2])).toEqual(['version', 'name', 'variant']);
+      expect(Object.keys(data.versionsByVariant)).toEqual(['classic_era', 'retail']);
+      expect(data.versionsByVariant.retail.map(v => v.name)).toEqual(['11.2.0', '11.0.5']);
+      expect(Object.keys(data.versionTypes['517'])).toEqual(['id', 'name', 'variant']);
+      expect(Object.keys(data.summary)).toEqual(['classic_era', 'retail']);
+    });
+
+    it('should sort the releases of game-versions.json', () => {
+      const data = canonicalize('game-versions', {
+        releases: [
+          { version: '13000', originalVersion: '11.1.5', variant: 'retail' },
+          { version: '12919', originalVersion: '1.15.7', variant: 'classic_era' },
+          { variant: 'retail', originalVersion: '11.1.7', version: '13245' }
+        ],
+        lastUpdated: '2025-01-01T00:00:00.000Z'
+      });
+
+      expect(Object.keys(data)).toEqual(['lastUpdated', 'releases']);
+      expect(data.releases.map(release => release.version)).toEqual(['12919', '13245', '13000']);
+      expect(Object.keys(data.releases[1])).toEqual(['version', 'originalVersion', 'variant']);
+    });
+  });
+
+  describe('isSameContent', () => {
+    it('should ignore the order of entries and fields', () => {
+      const releases = [
+        { version: '13245', originalVersion: '11.1.7', variant: 'retail' },
+        { version: '12919', originalVersion: '1.15.7', variant: 'classic_era' }
+      ];
+
+      expect(isSameContent('game-versions', { releases }, { releases: [...releases].reverse() })).toBe(true);
+      expect(isSameContent('game-versions', { releases }, { releases: releases.slice(1) })).toBe(false);
+      expect(isSameContent('game-versions', null, { releases })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const {
+  EXIT_CODES,
+  parseMaxShrinkPercent,
+  parsePendingRuns,
+  parseUnclassifiedMode,
+  parseFetchOptions,
+  getExitCode,
+  runCommand,
+  runFetchCommand,
+  runFetchScript
+} = require('../cli-options');
+const {
+  MissingCredentialsError,
+  UpstreamError,
+  CredentialsRejectedError,
+  NetworkError,
+  EmptyResponseError,
+  ValidationError,
+  UsageError,
+  ShrinkError
+} = require('../errors');
+const { clearSecrets } = require('../redaction');
+
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+describe('cli-options', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    process.exitCode = undefined;
+  });
+
+  describe('parseFetchOptions', () => {
+    it('should default to no changelog, no dry run, no exit code and no force', () => {
+      expect(parseFetchOptions([])).toEqual({
+        changelogPath: undefined,
+        dryRun: false,
+        exitCode: false,
+        force: false,
+        maxShrinkPercent: undefined,
+        pendingRuns: undefined,
+        unclassified: undefined,
+        unparsedReportPath: undefined,
+        cachePath: undefined,
+        offline: false,
+        configPath: undefined,
+        recordDir: undefined,
+        replayDir: undefined
+      });
+    });
+
+    it('should parse the changelog path and flags', () => {
+      expect(parseFetchOptions(['--changelog', 'out.md', '--dry-run', '--exit-code', '--force'])).toEqual({
+        changelogPath: 'out.md',
+        dryRun: true,
+        exitCode: true,
+        force: true,
+        maxShrinkPercent: undefined,
+        pendingRuns: undefined,
+        unclassified: undefined,
+        unparsedReportPath: undefined,
+        cachePath: undefined,
+        offline: false,
+        configPath: undefined,
+        recordDir: undefined,
+        replayDir: undefined
+      });
+    });
+
+    it('should parse the shrink threshold', () => {
+      expect(parseFetchOptions(['--max-shrink', '25']).maxShrinkPercent).toBe(25);
+    });
+
+    it('should parse the number of pending runs', () => {
+      expect(parseFetchOptions(['--pending-runs', '3']).pendingRuns).toBe(3);
+    });
+
+    it('should parse the response cache path and offline mode', () => {
+      expect(parseFetchOptions(['--cache', 'versions.cache.json', '--offline'])).toMatchObject({
+        cachePath: 'versions.cache.json',
+        offline: true
+      });
+    });
+
+    it('should parse the client config path', () => {
+      expect(parseFetchOptions(['--config', 'curseforge.json']).configPath).toBe('curseforge.json');
+    });
+
+    it('should parse the fixture directories', () => {
+      expect(parseFetchOptions(['--record', 'fixtures/2026-10'])).toMatchObject({ recordDir: 'fixtures/2026-10' });
+      expect(parseFetchOptions(['--replay', 'fixtures/2026-10'])).toMatchObject({ replayDir: 'fixtures/2026-10' });
+    });
+
+    it('should parse the unparsed report path', () => {
+      expect(parseFetchOptions(['--unparsed-report', 'unparsed.md']).unparsedReportPath).toBe('unparsed.md');
+    });
+
+    it('should reject unknown options', () => {
+      expect(() => parseFetchOptions(['--bogus'])).toThrow(UsageError);
+    });
+  });
+
+  describe('parseMaxShrinkPercent', () => {
+    it('should accept percentages between 0 and 100', () => {
+      expect(parseMaxShrinkPercent(undefined)).toBeUndefined();
+      expect(parseMaxShrinkPercent('0')).toBe(0);
+      expect(parseMaxShrinkPercent('12.5')).toBe(12.5);
+    });
+
+    it('should reject other values', () => {
+      ['', 'ten', '-1', '101'].forEach(value => {
+        expect(() => parseMaxShrinkPercent(value)).toThrow(UsageError);
+      });
+    });
+  });
+
+  describe('parseUnclassifiedMode', () => {
+    it('should accept the known modes', () => {
+      expect(parseUnclassifiedMode(undefined)).toBeUndefined();
+      expect(parseUnclassifiedMode('exclude')).toBe('exclude');
+      expect(() => parseUnclassifiedMode('drop')).toThrow(UsageError);
+    });
+  });
+
+  describe('parsePendingRuns', () => {
+    it('should accept whole numbers of at least 1', () => {
+      expect(parsePendingRuns(undefined)).toBeUndefined();
+      expect(parsePendingRuns('1')).toBe(1);
+      expect(parsePendingRuns('3')).toBe(3);
+    });
+
+    it('should reject other values', () => {
+      ['', 'two', '0', '1.5'].forEach(value => {
+        expect(() => parsePendingRuns(value)).toThrow(UsageError);
+      });
+    });
+  });
+
+  describe('getExitCode', () => {
+    it('should map library errors to their exit codes', () => {
+      expect(getExitCode(new MissingCredentialsError('x'))).toBe(EXIT_CODES.MISSING_CREDENTIALS);
+      expect(getExitCode(new UpstreamError('x'))).toBe(EXIT_CODES.UPSTREAM_ERROR);
+      expect(getExitCode(new CredentialsRejectedError('x'))).toBe(EXIT_CODES.MISSING_CREDENTIALS);
+      expect(getExitCode(new NetworkError('x'))).toBe(EXIT_CODES.UPSTREAM_ERROR);
+      expect(getExitCode(new EmptyResponseError('x'))).toBe(EXIT_CODES.EMPTY_RESPONSE);
+      expect(getExitCode(new ValidationError('x'))).toBe(EXIT_CODES.VALIDATION_FAILED);
+      expect(getExitCode(new UsageError('x'))).toBe(EXIT_CODES.USAGE);
+      expect(getExitCode(new ShrinkError('x', []))).toBe(EXIT_CODES.SHRINK_REFUSED);
+    });
+
+    it('should map unknown errors to the generic error code', () => {
+      expect(getExitCode(new Error('x'))).toBe(EXIT_CODES.ERROR);
+    });
+  });
+
+  describe('runCommand', () => {
+    it('should print the error and its cause and set the exit code', async () => {
+      const cause = new Error('socket hang up');
+
+      await runCommand(async () => {
+        throw new UpstreamError('Failed to fetch WoW versions from CurseForge', { cause });
+      });
+
+      expect(console.error).toHaveBeenCalledWith('Error: Failed to fetch WoW versions from CurseForge');
+      expect(console.error).toHaveBeenCalledWith('Caused by: socket hang up');
+      expect(process.exitCode).toBe(EXIT_CODES.UPSTREAM_ERROR);
+    });
+
+    it('should redact the API key from the output', async () => {
+      const apiKey = process.env.CURSEFORGE_API_KEY;
+      process.env.CURSEFORGE_API_KEY = 'secret-api-key';
+
+      try {
+        await runCommand(async () => {
+          throw new UpstreamError('Request to https://example.com/?key=secret-api-key failed');
+        });
+      } finally {
+        process.env.CURSEFORGE_API_KEY = apiKey;
+        clearSecrets();
+      }
+
+      expect(console.error).toHaveBeenCalledWith('Error: Request to https://example.com/?key=[REDACTED] failed');
+    });
+  });
+
+  describe('runFetchCommand', () => {
+    it('should pass the parsed options to the pipeline', async () => {
+      const pipeline = jest.fn().mockResolvedValue({ changed: true });
+
+      await runFetchCommand(pipeline, ['--changelog', 'out.md']);
+
+      expect(pipeline).toHaveBeenCalledWith({
+        changelogPath: 'out.md',
+        dryRun: false,
+        exitCode: false,
+        force: false,
+        maxShrinkPercent: undefined,
+        pendingRuns: undefined,
+        unclassified: undefined,
+        unparsedReportPath: undefined,
+        cachePath: undefined,
+        offline: false,
+        configPath: undefined,
+        recordDir: undefined,
+        replayDir: undefined
+      });
+      expect(process.exitCode).toBeUndefined();
+    });
+
+    it('should exit with the data changed code when a dry run would change data', async () => {
+      await runFetchCommand(jest.fn().mockResolvedValue({ changed: true }), ['--dry-run']);
+
+      expect(process.exitCode).toBe(EXIT_CODES.DATA_CHANGED);
+    });
+
+    it('should exit with success when a dry run would not change data', async () => {
+      await runFetchCommand(jest.fn().mockResolvedValue({ changed: false }), ['--dry-run']);
+
+      expect(process.exitCode).toBe(EXIT_CODES.SUCCESS);
+    });
+
+    it('should exit with the data changed code with --exit-code', async () => {
+      await runFetchCommand(jest.fn().mockResolvedValue({ changed: true }), ['--exit-code']);
+
+      expect(process.exitCode).toBe(EXIT_CODES.DATA_CHANGED);
+    });
+
+    it('should map errors of the pipeline to exit codes', async () => {
+      await runFetchCommand(jest.fn().mockRejectedValue(new MissingCredentialsError('no key')), []);
+
+      expect(process.exitCode).toBe(EXIT_CODES.MISSING_CREDENTIALS);
+    });
+  });
+
+  describe('runFetchScript', () => {
+    it('should load .env quietly and run the pipeline on the process arguments', async () => {
+      const argv = process.argv;
+      const pipeline = jest.fn().mockResolvedValue({ changed: false });
+      process.argv = ['node', 'fetch-versions.js', '--exit-code'];
+
+      try {
+        await runFetchScript(pipeline);
+      } finally {
+        process.argv = argv;
+      }
+
+      expect(require('dotenv').config).toHaveBeenCalledWith({ quiet: true });
+      expect(pipeline).toHaveBeenCalledWith(expect.objectContaining({ exitCode: true }));
+      expect(process.exitCode).toBe(EXIT_CODES.SUCCESS);
+    });
+  });
+});
@@ -0,0 +1,266 @@
+const fs = require('fs').promises;
+const main = require('../cli');
+const fetchAndSaveVersions = require('../fetch-versions');
+const fetchAndSaveAll = require('../fetch-all');
+const { generateDatasources } = require('../renovate-datasources');
+const { EXIT_CODES } = require('../cli-options');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn()
+  }
+}));
+jest.mock('../fetch-versions');
+jest.mock('../fetch-game-versions');
+jest.mock('../fetch-all');
+jest.mock('../renovate-datasources');
+
+const VERSIONS = {
+  $schema: 'https://raw.githubusercontent.com/ragedunicorn/wow-renovate-data/master/schemas/v1/versions.schema.json',
+  schemaVersion: 1,
+  lastUpdated: '2025-01-01T00:00:00.000Z',
+  versions: [
+    { version: '110107', name: '11.1.7', variant: 'retail' },
+    { version: '11507', name: '1.15.7', variant: 'classic_era' }
+  ],
+  versionsByVariant: {},
+  versionTypes: {},
+  summary: { retail: 1, classic_era: 1 }
+};
+
+const GAME_VERSIONS = {
+  $schema: 'https://raw.githubusercontent.com/ragedunicorn/wow-renovate-data/master/schemas/v1/game-versions.schema.json',
+  schemaVersion: 1,
+  lastUpdated: '2025-01-01T00:00:00.000Z',
+  releases: [
+    { version: '13245', originalVersion: '11.1.7', variant: 'retail' }
+  ]
+};
+
+const EMPTY_DIFF = { variants: {} };
+
+/**
+ * Mocks fs.readFile to serve files from a map of path suffixes to parsed content.
+ *
+ * @param {Object} files - Map of path suffix to file content
+ */
+function mockFiles(files) {
+  fs.readFile.mockImplementation(async filePath => {
+    const match = Object.keys(files).find(suffix => filePath.endsWith(suffix));
+    if (!match) {
+      throw new Error(`ENOENT: ${filePath}`);
+    }
+    return JSON.stringify(files[match]);
+  });
+}
+
+describe('cli', () => {
+  let stdout;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stdout = '';
+    jest.spyOn(process.stdout, 'write').mockImplementation(chunk => {
+      stdout += chunk;
+      return true;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+  });
+
+  it('should print the usage without a command', async () => {
+    await main([]);
+
+    expect(stdout).toContain('Usage: wow-renovate-data');
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it('should fail with the usage exit code on unknown commands and options', async () => {
+    await main(['bogus']);
+    expect(process.exitCode).toBe(EXIT_CODES.USAGE);
+
+    process.exitCode = undefined;
+    await main(['fetch', 'versions', '--bogus']);
+    expect(process.exitCode).toBe(EXIT_CODES.USAGE);
+  });
+
+  describe('log format', () => {
+    it('should restore the console after a run with JSON logs', async () => {
+      const { log, error } = console;
+      jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      fetchAndSaveVersions.mockRejectedValue(new Error('socket hang up'));
+
+      await main(['fetch', 'versions', '--log-format', 'json']);
+
+      expect(console.log).toBe(log);
+      expect(console.error).toBe(error);
+      expect(JSON.parse(process.stderr.write.mock.calls[0][0])).toMatchObject({
+        level: 'error',
+        message: 'Error: socket hang up'
+      });
+    });
+
+    it('should fail with the usage exit code on an unknown log format', async () => {
+      await main(['validate', '--log-format', 'xml']);
+
+      expect(process.exitCode).toBe(EXIT_CODES.USAGE);
+      expect(console.error).toHaveBeenCalledWith('Error: Unknown log format "xml", expected one of text, json');
+    });
+  });
+
+  describe('fetch', () => {
+    it('should pass the shared options to the versions pipeline', async () => {
+      fetchAndSaveVersions.mockResolvedValue({ changed: true, diff: EMPTY_DIFF });
+
+      await main([
+        'fetch', 'versions', '-o', 'out.json', '--dry-run', '--variant', 'retail', '--changelog', 'c.md',
+        '--force', '--max-shrink', '20', '--pending-runs', '2',
+        '--unclassified', 'fail', '--unparsed-report', 'u.md', '--cache', 'c.json', '--offline',
+        '--config', 'curseforge.json', '--record', 'fixtures'
+      ]);
+
+      expect(fetchAndSaveVersions).toHaveBeenCalledWith({
+        dryRun: true,
+        variants: ['retail'],
+        force: true,
+        maxShrinkPercent: 20,
+        pendingRuns: 2,
+        unclassified: 'fail',
+        unparsedReportPath: 'u.md',
+        cachePath: 'c.json',
+        offline: true,
+        configPath: 'curseforge.json',
+        recordDir: 'fixtures',
+        replayDir: undefined,
+        outputPath: 'out.json',
+        changelogPath: 'c.md'
+      });
+      expect(process.exitCode).toBe(EXIT_CODES.DATA_CHANGED);
+    });
+
+    it('should run the combined pipeline for fetch all', async () => {
+      fetchAndSaveAll.mockResolvedValue({ changed: false });
+
+      await main(['fetch', 'all', '-o', 'data', '--exit-code', '--changelog', 'c.md']);
+
+      expect(fetchAndSaveAll).toHaveBeenCalledWith(expect.objectContaining({
+        versionsPath: expect.stringMatching(/data[\\/]versions\.json$/),
+        gameVersionsPath: expect.stringMatching(/data[\\/]game-versions\.json$/),
+        changelogPath: 'c.md'
+      }));
+      expect(fetchAndSaveVersions).not.toHaveBeenCalled();
+      expect(process.exitCode).toBe(EXIT_CODES.SUCCESS);
+    });
+
+    it('should reject unknown fetch targets', async () => {
+      await main(['fetch', 'everything']);
+
+      expect(process.exitCode).toBe(EXIT_CODES.USAGE);
+    });
+  });
+
+  describe('datasources', () => {
+    it('should regenerate the datasources of the data files in the output directory', async () => {
+      generateDatasources.mockResolvedValue({ changed: true, files: [] });
+
+      await main(['datasources', '-o', 'data', '--exit-code']);
+
+      expect(generateDatasources).toHaveBeenCalledWith({
+        versionsPath: expect.stringMatching(/data[\\/]versions\.json$/),
+        gameVersionsPath: expect.stringMatching(/data[\\/]game-versions\.json$/),
+        dryRun: false
+      });
+      expect(process.exitCode).toBe(EXIT_CODES.DATA_CHANGED);
+    });
+  });
+
+  describe('diff', () => {
+    it('should print the changelog between two versions files', async () => {
+      mockFiles({
+        'old.json': { ...VERSIONS, versions: [VERSIONS.versions[1]] },
+        'new.json': VERSIONS
+      });
+
+      await main(['diff', 'old.json', 'new.json', '--exit-code']);
+
+      expect(stdout).toContain('11.1.7');
+      expect(process.exitCode).toBe(EXIT_CODES.DATA_CHANGED);
+    });
+
+    it('should reject files of different datasets', async () => {
+      mockFiles({ 'old.json': VERSIONS, 'new.json': GAME_VERSIONS });
+
+      await main(['diff', 'old.json', 'new.json']);
+
+      expect(process.exitCode).toBe(EXIT_CODES.VALIDATION_FAILED);
+    });
+  });
+
+  describe('validate', () => {
+    it('should accept valid dataset files', async () => {
+      mockFiles({ 'versions.json': VERSIONS, 'game-versions.json': GAME_VERSIONS });
+
+      await main(['validate']);
+
+      expect(process.exitCode).toBeUndefined();
+    });
+
+    it('should fail with the validation exit code on invalid files', async () => {
+      mockFiles({ 'broken.json': { lastUpdated: 'x', versions: [{ version: 'abc', name: '1.0', variant: 'retail' }] } });
+
+      await main(['validate', 'broken.json']);
+
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('numeric interface version'));
+      expect(process.exitCode).toBe(EXIT_CODES.VALIDATION_FAILED);
+    });
+
+    it('should report files that do not match their schema', async () => {
+      mockFiles({ 'old.json': { ...GAME_VERSIONS, schemaVersion: 0 } });
+
+      await main(['validate', 'old.json']);
+
+      expect(console.error).toHaveBeenCalledWith('  - schemaVersion must be equal to constant 1');
+      expect(process.exitCode).toBe(EXIT_CODES.VALIDATION_FAILED);
+    });
+  });
+
+  describe('query', () => {
+    it('should print the latest version of the selected variants', async () => {
+      mockFiles({ 'versions.json': VERSIONS });
+
+      await main(['query', 'latest', '--variant', 'classic_era']);
+
+      expect(JSON.parse(stdout)).toEqual({ classic_era: VERSIONS.versions[1] });
+    });
+
+    it('should look up versions by interface number', async () => {
+      mockFiles({ 'versions.json': VERSIONS });
+
+      await main(['query', 'interface', '110107']);
+
+      expect(JSON.parse(stdout)).toEqual([VERSIONS.versions[0]]);
+    });
+
+    it('should look up gameVersion IDs by patch name', async () => {
+      mockFiles({ 'game-versions.json': GAME_VERSIONS });
+
+      await main(['query', 'game-version', '11.1.7']);
+
+      expect(JSON.parse(stdout)).toEqual(GAME_VERSIONS.releases);
+    });
+
+    it('should require the query argument', async () => {
+      mockFiles({ 'versions.json': VERSIONS });
+
+      await main(['query', 'name']);
+
+      expect(process.exitCode).toBe(EXIT_CODES.USAGE);
+    });
+  });
+});
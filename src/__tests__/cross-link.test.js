@@ -0,0 +1,129 @@
+const fs = require('fs').promises;
+const {
+  releasesToGameVersions,
+  linkGameVersionIds,
+  linkInterfaceVersions,
+  findLinkMismatches,
+  reportLinkMismatches,
+  readLinkedDataset
+} = require('../cross-link');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn()
+  }
+}));
+
+const VERSIONS = [
+  { version: '110107', name: '11.1.7', variant: 'retail' },
+  { version: '11507', name: '1.15.7', variant: 'classic_era' }
+];
+
+const GAME_VERSIONS = {
+  '11.1.7': { id: 13245, variant: 'retail' },
+  '1.15.7': { id: 12919, variant: 'classic_era' }
+};
+
+describe('cross-link', () => {
+  describe('releasesToGameVersions', () => {
+    it('should convert game-versions.json releases into game versions', () => {
+      expect(releasesToGameVersions([
+        { version: '13245', originalVersion: '11.1.7', variant: 'retail', releaseTimestamp: 'x' }
+      ])).toEqual({ '11.1.7': { id: 13245, variant: 'retail' } });
+      expect(releasesToGameVersions(undefined)).toEqual({});
+    });
+  });
+
+  describe('linkGameVersionIds', () => {
+    it('should add the gameVersionId of the same patch and variant', () => {
+      const linked = linkGameVersionIds(VERSIONS, {
+        '11.1.7': { id: 13245, variant: 'retail' },
+        '1.15.7': { id: 12919, variant: 'classic' }
+      });
+
+      expect(linked).toEqual([
+        { version: '110107', name: '11.1.7', variant: 'retail', gameVersionId: 13245 },
+        { version: '11507', name: '1.15.7', variant: 'classic_era' }
+      ]);
+      expect(VERSIONS[0]).not.toHaveProperty('gameVersionId');
+    });
+
+    it('should drop a stale gameVersionId that no longer matches', () => {
+      const linked = linkGameVersionIds([{ ...VERSIONS[0], gameVersionId: 1 }], {});
+
+      expect(linked[0]).not.toHaveProperty('gameVersionId');
+    });
+  });
+
+  describe('linkInterfaceVersions', () => {
+    it('should add the interface version of the same patch and variant', () => {
+      expect(linkInterfaceVersions(GAME_VERSIONS, VERSIONS)).toEqual({
+        '11.1.7': { id: 13245, variant: 'retail', interfaceVersion: '110107' },
+        '1.15.7': { id: 12919, variant: 'classic_era', interfaceVersion: '11507' }
+      });
+    });
+
+    it('should use the highest interface version of a patch', () => {
+      const linked = linkInterfaceVersions(GAME_VERSIONS, [
+        { version: '110105', name: '11.1.7', variant: 'retail' },
+        { version: '110107', name: '11.1.7', variant: 'retail' }
+      ]);
+
+      expect(linked['11.1.7'].interfaceVersion).toBe('110107');
+      expect(linked['1.15.7']).not.toHaveProperty('interfaceVersion');
+    });
+  });
+
+  describe('findLinkMismatches', () => {
+    it('should report no mismatches when every patch is linked', () => {
+      expect(findLinkMismatches(VERSIONS, GAME_VERSIONS)).toEqual([]);
+    });
+
+    it('should report missing gameVersion IDs, variant mismatches and missing interface versions', () => {
+      const mismatches = findLinkMismatches(
+        [...VERSIONS, { version: '120000', name: '12.0.0', variant: 'retail' }],
+        {
+          '11.1.7': { id: 13245, variant: 'retail' },
+          '1.15.7': { id: 12919, variant: 'classic' },
+          '5.5.0': { id: 13400, variant: 'mists' },
+          '3.80.0': { id: 9000, variant: 'unknown' }
+        }
+      );
+
+      expect(mismatches).toEqual([
+        '1.15.7 is classic_era in versions.json but classic in game-versions.json',
+        '12.0.0 (retail, interface 120000) has no gameVersion ID',
+        '5.5.0 (mists, gameVersion ID 13400) has no interface version'
+      ]);
+    });
+  });
+
+  describe('reportLinkMismatches', () => {
+    it('should print mismatches as warnings', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      reportLinkMismatches([]);
+      expect(warn).not.toHaveBeenCalled();
+
+      reportLinkMismatches(['12.0.0 (retail, interface 120000) has no gameVersion ID']);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('1 patches could not be linked'));
+      expect(warn).toHaveBeenCalledWith('- 12.0.0 (retail, interface 120000) has no gameVersion ID');
+
+      warn.mockRestore();
+    });
+  });
+
+  describe('readLinkedDataset', () => {
+    it('should return null when the file cannot be read', async () => {
+      fs.readFile.mockRejectedValue(new Error('ENOENT'));
+
+      await expect(readLinkedDataset('missing.json')).resolves.toBeNull();
+    });
+
+    it('should parse the file', async () => {
+      fs.readFile.mockResolvedValue('{"releases":[]}');
+
+      await expect(readLinkedDataset('game-versions.json')).resolves.toEqual({ releases: [] });
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const CurseForgeClient = require('../curseforge-client');
+const { UpstreamError, CredentialsRejectedError, NetworkError } = require('../errors');
 
 // Mock axios
 jest.mock('axios');
@@ -31,6 +32,29 @@ describe('CurseForgeClient', () => {
       expect(client.userAgent).toMatch(/wow-renovate-datasource\/\d+\.\d+\.\d+/);
     });
 
+    it('should take the endpoints, timeout and retry settings from the options', async () => {
+      const configured = new CurseForgeClient(mockApiKey, {
+        baseUrl: 'http://localhost:8080/v1',
+        uploadApiUrl: 'http://localhost:8080/upload',
+        requestTimeout: 5000,
+        maxRetries: 1,
+        retryBaseDelay: 10,
+        retryBudget: 100
+      });
+      axios.get.mockResolvedValue({ data: [] });
+
+      await configured.getGameVersionIds();
+
+      expect(configured.baseUrl).toBe('http://localhost:8080/v1');
+      expect(configured.maxRetries).toBe(1);
+      expect(configured.retryBaseDelay).toBe(10);
+      expect(configured.retryBudget).toBe(100);
+      expect(axios.get).toHaveBeenCalledWith(
+        'http://localhost:8080/upload/game/versions',
+        expect.objectContaining({ timeout: 5000 })
+      );
+    });
+
     it('should have correct version type mappings', () => {
       const versionTypes = client.getVersionTypes();
       expect(versionTypes).toHaveProperty('67408');
@@ -125,7 +149,124 @@ describe('CurseForgeClient', () => {
     });
   });
 
+  describe('getGameVersionTypes', () => {
+    it('should fetch game version types successfully', async () => {
+      const mockResponse = {
+        data: {
+          data: [
+            { id: 517, gameId: 1, name: 'WoW Retail', slug: 'wow-retail' }
+          ]
+        }
+      };
+
+      axios.get.mockResolvedValue(mockResponse);
+
+      const result = await client.getGameVersionTypes();
+
+      expect(axios.get).toHaveBeenCalledWith(
+        'https://api.curseforge.com/v1/games/1/version-types',
+        {
+          headers: {
+            'Accept': 'application/json',
+            'x-api-key': mockApiKey,
+            'User-Agent': client.userAgent
+          },
+          timeout: client.requestTimeout
+        }
+      );
+
+      expect(result).toEqual(mockResponse.data.data);
+    });
+  });
+
+  describe('discoverVersionTypes', () => {
+    it('should keep known variant keys for known types', async () => {
+      jest.spyOn(client, 'getGameVersionTypes').mockResolvedValue([
+        { id: 517, name: 'World of Warcraft Retail', slug: 'wow-retail' },
+        { id: 67408, name: 'WoW Classic Era', slug: 'wow-classic-era' }
+      ]);
+
+      const result = await client.discoverVersionTypes();
+
+      expect(Object.keys(result)).toHaveLength(2);
+      expect(result[517]).toEqual({
+        id: 517,
+        name: 'World of Warcraft Retail',
+        slug: 'wow-retail',
+        variant: 'retail'
+      });
+      expect(client.getVersionTypes()).toBe(result);
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('should generate a variant and warn for unmapped types', async () => {
+      jest.spyOn(client, 'getGameVersionTypes').mockResolvedValue([
+        { id: 517, name: 'WoW Retail', slug: 'wow-retail' },
+        { id: 88888, name: 'WoW Legion Classic', slug: 'wow-legion-classic' },
+        { id: 99999, name: 'Mystery' }
+      ]);
+
+      const result = await client.discoverVersionTypes();
+
+      expect(result[88888]).toEqual({
+        id: 88888,
+        name: 'WoW Legion Classic',
+        slug: 'wow-legion-classic',
+        variant: 'legion_classic'
+      });
+      expect(result[99999].variant).toBe('type_99999');
+      expect(console.warn).toHaveBeenCalledTimes(2);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Unmapped CurseForge version type 88888'));
+    });
+
+    it('should fall back to the known types when CurseForge returns none', async () => {
+      jest.spyOn(client, 'getGameVersionTypes').mockResolvedValue([]);
+
+      const result = await client.discoverVersionTypes();
+
+      expect(Object.keys(result)).toHaveLength(6);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('falling back to the known version types'));
+    });
+
+    it('should request the version types only once', async () => {
+      jest.spyOn(client, 'getGameVersionTypes').mockResolvedValue([{ id: 88888, name: 'WoW Legion Classic', slug: 'wow-legion-classic' }]);
+
+      await client.discoverVersionTypes();
+      const result = await client.discoverVersionTypes();
+
+      expect(client.getGameVersionTypes).toHaveBeenCalledTimes(1);
+      expect(result[88888].variant).toBe('legion_classic');
+    });
+  });
+
   describe('getAllWowVersions', () => {
+    beforeEach(() => {
+      jest.spyOn(client, 'getGameVersionTypes').mockResolvedValue([
+        { id: 517, name: 'WoW Retail', slug: 'wow-retail' },
+        { id: 67408, name: 'WoW Classic Era', slug: 'wow-classic-era' },
+        { id: 73246, name: 'WoW Burning Crusade Classic', slug: 'wow-burning-crusade-classic' }
+      ]);
+    });
+
+    it('should include versions of newly discovered types', async () => {
+      client.getGameVersionTypes.mockResolvedValue([
+        { id: 88888, name: 'WoW Legion Classic', slug: 'wow-legion-classic' }
+      ]);
+      jest.spyOn(client, 'getGameVersions').mockResolvedValue([
+        { type: 88888, versions: ['7.3.5'] }
+      ]);
+
+      const result = await client.getAllWowVersions();
+
+      expect(result).toEqual([{
+        name: '7.3.5',
+        type: 88888,
+        variant: 'legion_classic',
+        versionTypeName: 'WoW Legion Classic',
+        versionTypeSlug: 'wow-legion-classic'
+      }]);
+    });
+
     it('should process all WoW versions correctly', async () => {
       const mockVersionGroups = [
         {
@@ -210,10 +351,11 @@ describe('CurseForgeClient', () => {
       const result = await client.getGameVersionIds();
 
       expect(axios.get).toHaveBeenCalledWith(
-        `https://wow.curseforge.com/api/game/versions?token=${mockApiKey}`,
+        'https://wow.curseforge.com/api/game/versions',
         {
           headers: {
             'Accept': 'application/json',
+            'X-Api-Token': mockApiKey,
             'User-Agent': client.userAgent
           },
           timeout: client.requestTimeout
@@ -244,6 +386,57 @@ describe('CurseForgeClient', () => {
       expect(axios.get).toHaveBeenCalledTimes(client.maxRetries);
     });
 
+    it('should redact the API key from logged and thrown error messages', async () => {
+      axios.get.mockRejectedValue(new Error(`connect ECONNREFUSED https://wow.curseforge.com/api/game/versions?token=${mockApiKey}`));
+
+      const error = await client.getGameVersionIds().catch(e => e);
+
+      expect(error.message).not.toContain(mockApiKey);
+      expect(error.message).toContain('[REDACTED]');
+      expect(console.error.mock.calls.flat().join(' ')).not.toContain(mockApiKey);
+      expect(console.warn.mock.calls.flat().join(' ')).not.toContain(mockApiKey);
+    });
+
+    it('should fail right away with a CredentialsRejectedError when the API key is rejected', async () => {
+      const error = Object.assign(new Error('Request failed with status code 403'), { response: { status: 403, headers: {} } });
+      axios.get.mockRejectedValue(error);
+
+      await expect(client.getGameVersionIds()).rejects.toBeInstanceOf(CredentialsRejectedError);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(console.error).toHaveBeenCalledWith('Error fetching game version IDs after 1 attempt:', error.message);
+    });
+
+    it('should wait as long as Retry-After asks on a rate limit', async () => {
+      const wait = jest.spyOn(client, 'wait').mockResolvedValue();
+      const rateLimited = Object.assign(new Error('Request failed with status code 429'), {
+        response: { status: 429, headers: { 'retry-after': '7' } }
+      });
+      const mockResponse = { data: [] };
+      axios.get.mockRejectedValueOnce(rateLimited).mockResolvedValueOnce(mockResponse);
+
+      await expect(client.getGameVersionIds()).resolves.toEqual([]);
+      expect(wait).toHaveBeenCalledWith(7000);
+    });
+
+    it('should stop retrying when the delay would exceed the retry budget', async () => {
+      const wait = jest.spyOn(client, 'wait').mockResolvedValue();
+      client.retryBudget = 5000;
+      axios.get.mockRejectedValue(Object.assign(new Error('Request failed with status code 503'), {
+        response: { status: 503, headers: { 'retry-after': '60' } }
+      }));
+
+      await expect(client.getGameVersionIds()).rejects.toBeInstanceOf(UpstreamError);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(wait).not.toHaveBeenCalled();
+    });
+
+    it('should throw a NetworkError when CurseForge cannot be reached', async () => {
+      axios.get.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND wow.curseforge.com'), { code: 'ENOTFOUND' }));
+
+      await expect(client.getGameVersionIds()).rejects.toBeInstanceOf(NetworkError);
+      expect(axios.get).toHaveBeenCalledTimes(client.maxRetries);
+    });
+
     it('should retry and succeed after a transient timeout', async () => {
       const timeoutError = new Error('timeout of 30000ms exceeded');
       timeoutError.code = 'ECONNABORTED';
@@ -258,4 +451,71 @@ describe('CurseForgeClient', () => {
       expect(result).toEqual(mockResponse.data);
     });
   });
+
+  describe('response cache', () => {
+    const URL = 'https://api.curseforge.com/v1/games/1/versions';
+    const CACHED = {
+      entries: {
+        'game versions': { etag: '"abc"', fetchedAt: '2025-06-01T00:00:00.000Z', data: { data: [{ type: 517 }] } }
+      }
+    };
+
+    it('should send a conditional request and answer a 304 from the cache', async () => {
+      client = new CurseForgeClient(mockApiKey, { responseCache: CACHED });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      axios.get.mockResolvedValue({ status: 304, headers: {}, data: '' });
+
+      await expect(client.getGameVersions()).resolves.toEqual([{ type: 517 }]);
+      expect(axios.get).toHaveBeenCalledWith(URL, expect.objectContaining({
+        headers: expect.objectContaining({ 'If-None-Match': '"abc"' }),
+        validateStatus: expect.any(Function)
+      }));
+      expect(client.isNotModified()).toBe(true);
+      console.log.mockRestore();
+    });
+
+    it('should replace the cached response with a fresh one', async () => {
+      client = new CurseForgeClient(mockApiKey, { responseCache: CACHED });
+      axios.get.mockResolvedValue({ status: 200, headers: { etag: '"def"' }, data: { data: [{ type: 67408 }] } });
+
+      await expect(client.getGameVersions()).resolves.toEqual([{ type: 67408 }]);
+      expect(client.isNotModified()).toBe(false);
+      expect(client.getResponseCache().entries['game versions']).toMatchObject({ etag: '"def"', data: { data: [{ type: 67408 }] } });
+      expect(CACHED.entries['game versions'].etag).toBe('"abc"');
+    });
+
+    it('should answer every request from the cache in offline mode', async () => {
+      client = new CurseForgeClient(undefined, { responseCache: CACHED, offline: true });
+
+      await expect(client.getGameVersions()).resolves.toEqual([{ type: 517 }]);
+      await expect(client.getGameVersionIds()).rejects.toBeInstanceOf(UpstreamError);
+      expect(axios.get).not.toHaveBeenCalled();
+      expect(client.isNotModified()).toBe(false);
+    });
+  });
+
+  describe('recording', () => {
+    it('should keep the data of every response while recording', async () => {
+      client = new CurseForgeClient(mockApiKey, { recording: true });
+      axios.get.mockResolvedValue({ status: 200, headers: {}, data: [{ id: 13433, name: '11.2.0', gameVersionTypeID: 517 }] });
+
+      await client.getGameVersionIds();
+
+      expect(client.getRecordedResponses()).toEqual({
+        'game version IDs': {
+          url: 'https://wow.curseforge.com/api/game/versions',
+          recordedAt: expect.any(String),
+          data: [{ id: 13433, name: '11.2.0', gameVersionTypeID: 517 }]
+        }
+      });
+    });
+
+    it('should not record without the recording option', async () => {
+      axios.get.mockResolvedValue({ status: 200, headers: {}, data: [] });
+
+      await client.getGameVersionIds();
+
+      expect(client.getRecordedResponses()).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,128 @@
+const {
+  detectDatasetType,
+  validateVersionsData,
+  validateGameVersionsData,
+  validateDataset,
+  assertValidDataset,
+  checkDatasetConsistency
+} = require('../dataset-validation');
+const { ValidationError } = require('../errors');
+
+describe('dataset-validation', () => {
+  describe('detectDatasetType', () => {
+    it('should detect both datasets', () => {
+      expect(detectDatasetType({ versions: [] })).toBe('versions');
+      expect(detectDatasetType({ releases: [] })).toBe('game-versions');
+      expect(detectDatasetType({})).toBeNull();
+      expect(detectDatasetType(null)).toBeNull();
+    });
+  });
+
+  describe('validateVersionsData', () => {
+    it('should accept valid data', () => {
+      expect(validateVersionsData({
+        lastUpdated: '2025-01-01T00:00:00.000Z',
+        versions: [{ version: '110107', name: '11.1.7', variant: 'retail' }]
+      })).toEqual([]);
+    });
+
+    it('should report missing fields and non-numeric interface versions', () => {
+      expect(validateVersionsData({
+        versions: [{ version: '11.1', name: '', variant: 'retail' }, null]
+      })).toEqual([
+        'lastUpdated must be a string',
+        'versions[0].name must be a non-empty string',
+        'versions[0].version must be a numeric interface version',
+        'versions[1] must be an object'
+      ]);
+    });
+
+    it('should check the linked gameVersionId', () => {
+      expect(validateVersionsData({
+        lastUpdated: '2025-01-01T00:00:00.000Z',
+        versions: [{ version: '110107', name: '11.1.7', variant: 'retail', gameVersionId: '13245' }]
+      })).toEqual(['versions[0].gameVersionId must be an integer']);
+    });
+  });
+
+  describe('validateGameVersionsData', () => {
+    it('should accept valid data', () => {
+      expect(validateGameVersionsData({
+        lastUpdated: '2025-01-01T00:00:00.000Z',
+        releases: [{ version: '13245', originalVersion: '11.1.7', variant: 'retail' }]
+      })).toEqual([]);
+    });
+
+    it('should report missing fields', () => {
+      expect(validateGameVersionsData({
+        lastUpdated: '2025-01-01T00:00:00.000Z',
+        releases: [{ version: '13245', variant: 'retail' }]
+      })).toEqual(['releases[0].originalVersion must be a non-empty string']);
+    });
+
+    it('should check the linked interface version', () => {
+      expect(validateGameVersionsData({
+        lastUpdated: '2025-01-01T00:00:00.000Z',
+        releases: [{ version: '13245', originalVersion: '11.1.7', variant: 'retail', interfaceVersion: '11.1.7' }]
+      })).toEqual(['releases[0].interfaceVersion must be a numeric interface version']);
+    });
+  });
+
+  describe('validateDataset', () => {
+    it('should reject files that are neither dataset', () => {
+      expect(validateDataset({ foo: 1 })).toHaveLength(1);
+    });
+
+    it('should check structurally valid files against their schema', () => {
+      expect(validateDataset({
+        lastUpdated: '2025-01-01T00:00:00.000Z',
+        releases: [{ version: '13245', originalVersion: '11.1.7', variant: 'retail' }]
+      })).toEqual([
+        'file must have required property \'$schema\'',
+        'file must have required property \'schemaVersion\''
+      ]);
+    });
+
+    it('should only report structural errors of invalid files', () => {
+      expect(validateDataset({
+        releases: [{ version: '13245', variant: 'retail' }]
+      })).toEqual([
+        'lastUpdated must be a string',
+        'releases[0].originalVersion must be a non-empty string'
+      ]);
+    });
+  });
+
+  describe('assertValidDataset', () => {
+    it('should print the errors and throw a ValidationError', () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(() => assertValidDataset({ releases: [] }, 'game-versions.json')).toThrow(ValidationError);
+      expect(error).toHaveBeenCalledWith('- lastUpdated must be a string');
+
+      error.mockRestore();
+    });
+  });
+
+  describe('checkDatasetConsistency', () => {
+    it('should report patches without a gameVersion ID of the same variant', () => {
+      const versions = {
+        versions: [
+          { version: '110107', name: '11.1.7', variant: 'retail' },
+          { version: '11507', name: '1.15.7', variant: 'classic_era' }
+        ]
+      };
+      const gameVersions = {
+        releases: [
+          { version: '13245', originalVersion: '11.1.7', variant: 'retail' },
+          { version: '12919', originalVersion: '1.15.7', variant: 'classic' },
+          { version: '9000', originalVersion: '3.80.0', variant: 'unknown' }
+        ]
+      };
+
+      expect(checkDatasetConsistency(versions, gameVersions)).toEqual([
+        '1.15.7 (classic_era) is in versions.json but has no gameVersion ID in game-versions.json'
+      ]);
+    });
+  });
+});
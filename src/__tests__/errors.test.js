@@ -0,0 +1,34 @@
+const {
+  WowDataError,
+  UpstreamError,
+  ValidationError,
+  toUpstreamError
+} = require('../errors');
+
+describe('errors', () => {
+  it('should name errors after their class', () => {
+    const error = new ValidationError('bad data');
+
+    expect(error).toBeInstanceOf(WowDataError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('ValidationError');
+    expect(error.message).toBe('bad data');
+  });
+
+  describe('toUpstreamError', () => {
+    it('should wrap plain errors and keep them as cause', () => {
+      const cause = new Error('socket hang up');
+      const error = toUpstreamError(cause, 'game versions');
+
+      expect(error).toBeInstanceOf(UpstreamError);
+      expect(error.message).toBe('Failed to fetch game versions from CurseForge: socket hang up');
+      expect(error.cause).toBe(cause);
+    });
+
+    it('should return library errors unchanged', () => {
+      const error = new ValidationError('bad data');
+
+      expect(toUpstreamError(error, 'game versions')).toBe(error);
+    });
+  });
+});
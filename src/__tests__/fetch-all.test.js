@@ -0,0 +1,284 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CurseForgeClient = require('../curseforge-client');
+const VersionParser = require('../version-parser');
+const { hashFile, hashDirectory, getCodeFingerprint } = require('../file-hashes');
+const { UpstreamError, ValidationError, ShrinkError } = require('../errors');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    rename: jest.fn(),
+    copyFile: jest.fn(),
+    unlink: jest.fn(),
+    mkdir: jest.fn()
+  }
+}));
+jest.mock('../curseforge-client');
+jest.mock('../version-parser');
+jest.mock('../file-hashes');
+
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+const fetchAndSaveAll = require('../fetch-all');
+
+const VERSION_TYPES = {
+  517: { id: 517, variant: 'retail', name: 'WoW Retail', slug: 'wow-retail' }
+};
+
+const WOW_VERSIONS = [{ id: 1, name: '11.1.7', gameVersionTypeID: 517 }];
+
+const PARSED_VERSIONS = [{ version: '110107', name: '11.1.7', variant: 'retail', gameVersionTypeId: 517 }];
+
+const GAME_VERSION_IDS = [
+  { id: 13245, name: '11.1.7', gameVersionTypeID: 517 },
+  { id: 13000, name: '11.1.5', gameVersionTypeID: 517 }
+];
+
+describe('fetch-all', () => {
+  let mockClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.CURSEFORGE_API_KEY = 'test-api-key';
+
+    mockClient = {
+      getAllWowVersions: jest.fn().mockResolvedValue(WOW_VERSIONS),
+      discoverVersionTypes: jest.fn().mockResolvedValue({}),
+      getGameVersionIds: jest.fn().mockResolvedValue(GAME_VERSION_IDS),
+      getVersionTypes: jest.fn().mockReturnValue(VERSION_TYPES)
+    };
+    CurseForgeClient.mockImplementation(() => mockClient);
+
+    VersionParser.mockImplementation(() => ({
+      parseVersions: jest.fn().mockReturnValue(PARSED_VERSIONS),
+      findUnparsedVersions: jest.fn().mockReturnValue([]),
+      parseVersionToNumber: jest.fn(name => Number(name.replace(/\./g, '')))
+    }));
+
+    fs.readFile.mockRejectedValue(new Error('ENOENT'));
+    fs.writeFile.mockResolvedValue();
+    fs.rename.mockResolvedValue();
+    fs.unlink.mockResolvedValue();
+
+    hashFile.mockResolvedValue('hash');
+    hashDirectory.mockResolvedValue('hash');
+    getCodeFingerprint.mockResolvedValue('fingerprint');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.CURSEFORGE_API_KEY;
+  });
+
+  it('should fetch both datasets with one client and write them through temp files', async () => {
+    const result = await fetchAndSaveAll({ versionsPath: 'v.json', gameVersionsPath: 'g.json' });
+
+    expect(CurseForgeClient).toHaveBeenCalledTimes(1);
+    expect(result.changed).toBe(true);
+    expect(fs.writeFile.mock.calls.map(call => call[0])).toEqual([
+      `v.json.${process.pid}.tmp`,
+      `g.json.${process.pid}.tmp`,
+      `${path.join('datasources', 'retail', 'interface.json')}.${process.pid}.tmp`,
+      `${path.join('datasources', 'retail', 'patch.json')}.${process.pid}.tmp`,
+      `${path.join('datasources', 'retail', 'gameversion.json')}.${process.pid}.tmp`
+    ]);
+    expect(fs.mkdir).toHaveBeenCalledWith(path.join('datasources', 'retail'), { recursive: true });
+    expect(JSON.parse(fs.writeFile.mock.calls[4][1])).toEqual({
+      releases: [
+        { version: '13245', releaseTimestamp: expect.any(String) },
+        { version: '13000', releaseTimestamp: expect.any(String) }
+      ]
+    });
+    expect(fs.rename).toHaveBeenCalledWith(`v.json.${process.pid}.tmp`, 'v.json');
+    expect(fs.rename).toHaveBeenCalledWith(`g.json.${process.pid}.tmp`, 'g.json');
+
+    const versions = JSON.parse(fs.writeFile.mock.calls[0][1]);
+    expect(versions.versions[0].gameVersionId).toBe(13245);
+
+    const gameVersions = JSON.parse(fs.writeFile.mock.calls[1][1]);
+    expect(gameVersions.releases.map(release => release.version)).toEqual(['13245', '13000']);
+    expect(gameVersions.releases[0].interfaceVersion).toBe('110107');
+    expect(gameVersions.releases[1]).not.toHaveProperty('interfaceVersion');
+  });
+
+  it('should stage the pending state files with new entries held back', async () => {
+    const files = {};
+    fs.writeFile.mockImplementation(async (filePath, content) => {
+      files[filePath.replace(`.${process.pid}.tmp`, '')] = content;
+    });
+    fs.readFile.mockImplementation(async filePath => {
+      if (files[filePath]) {
+        return files[filePath];
+      }
+      throw new Error('ENOENT');
+    });
+    mockClient.getGameVersionIds.mockResolvedValue([GAME_VERSION_IDS[0]]);
+    await fetchAndSaveAll({ versionsPath: 'v.json', gameVersionsPath: 'g.json' });
+
+    mockClient.getGameVersionIds.mockResolvedValue(GAME_VERSION_IDS);
+    fs.writeFile.mockClear();
+    const result = await fetchAndSaveAll({ versionsPath: 'v.json', gameVersionsPath: 'g.json', pendingRuns: 2 });
+
+    expect(result.changed).toBe(false);
+    expect(result.gameVersions.diff.pending).toEqual([
+      { variant: 'retail', id: '13000', name: '11.1.5', seenCount: 1, requiredRuns: 2 }
+    ]);
+    expect(fs.writeFile.mock.calls.map(call => call[0])).toEqual([
+      `v.pending.json.${process.pid}.tmp`,
+      `g.pending.json.${process.pid}.tmp`
+    ]);
+    expect(JSON.parse(files['g.pending.json']).entries['13000'].seenCount).toBe(1);
+    expect(console.log).toHaveBeenCalledWith('No changes detected, keeping existing files');
+  });
+
+  it('should write the unparsed report when CurseForge returned no new data', async () => {
+    const files = {};
+    fs.writeFile.mockImplementation(async (filePath, content) => {
+      files[filePath.replace(`.${process.pid}.tmp`, '')] = content;
+    });
+    fs.readFile.mockImplementation(async filePath => {
+      if (files[filePath]) {
+        return files[filePath];
+      }
+      throw new Error('ENOENT');
+    });
+    VersionParser.mockImplementation(() => ({
+      parseVersions: jest.fn().mockReturnValue(PARSED_VERSIONS),
+      findUnparsedVersions: jest.fn().mockReturnValue([
+        { name: '11.2.0a', variant: 'retail', gameVersionTypeId: 517, reason: 'suffix' }
+      ]),
+      parseVersionToNumber: jest.fn(name => Number(name.replace(/\./g, '')))
+    }));
+    await fetchAndSaveAll({ versionsPath: 'v.json', gameVersionsPath: 'g.json' });
+
+    mockClient.isNotModified = jest.fn().mockReturnValue(true);
+    mockClient.getResponseCache = jest.fn().mockReturnValue({
+      entries: {},
+      fingerprint: 'fingerprint',
+      files: { 'v.json': 'hash', 'g.json': 'hash', 'datasources/': 'hash' }
+    });
+    fs.writeFile.mockClear();
+    const result = await fetchAndSaveAll({
+      versionsPath: 'v.json',
+      gameVersionsPath: 'g.json',
+      cachePath: 'cache.json',
+      unparsedReportPath: 'unparsed.md'
+    });
+
+    expect(result.changed).toBe(false);
+    expect(fs.writeFile.mock.calls.map(call => call[0])).toEqual(['unparsed.md']);
+    expect(files['unparsed.md']).toContain('`11.2.0a`');
+    expect(console.log).toHaveBeenCalledWith(
+      'CurseForge returned no new data, versions.json and game-versions.json are up to date'
+    );
+  });
+
+  it('should save the response cache with the file hashes after the batch', async () => {
+    mockClient.isNotModified = jest.fn().mockReturnValue(false);
+    mockClient.getResponseCache = jest.fn().mockReturnValue({ entries: {} });
+
+    await fetchAndSaveAll({ versionsPath: 'v.json', gameVersionsPath: 'g.json', cachePath: 'cache.json' });
+
+    expect(fs.writeFile).toHaveBeenLastCalledWith('cache.json', JSON.stringify({
+      fingerprint: 'fingerprint',
+      files: { 'v.json': 'hash', 'datasources/': 'hash', 'g.json': 'hash' },
+      entries: {}
+    }));
+    expect(fs.rename.mock.calls.map(call => call[1])).not.toContain('cache.json');
+  });
+
+  it('should write neither file when one fetch fails', async () => {
+    mockClient.getGameVersionIds.mockRejectedValue(new Error('socket hang up'));
+
+    await expect(fetchAndSaveAll()).rejects.toThrow(UpstreamError);
+
+    expect(fs.writeFile).not.toHaveBeenCalled();
+    expect(fs.rename).not.toHaveBeenCalled();
+  });
+
+  it('should write neither file when the datasets disagree', async () => {
+    mockClient.getGameVersionIds.mockResolvedValue([GAME_VERSION_IDS[1]]);
+
+    await expect(fetchAndSaveAll()).rejects.toThrow(ValidationError);
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('11.1.7 (retail)'));
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  it('should remove staged files and keep the targets when staging fails', async () => {
+    fs.writeFile.mockResolvedValueOnce().mockRejectedValueOnce(new Error('ENOSPC'));
+
+    await expect(fetchAndSaveAll({ versionsPath: 'v.json', gameVersionsPath: 'g.json' })).rejects.toThrow('ENOSPC');
+
+    expect(fs.unlink).toHaveBeenCalledWith(`v.json.${process.pid}.tmp`);
+    expect(fs.unlink).toHaveBeenCalledWith(`g.json.${process.pid}.tmp`);
+    expect(fs.rename).not.toHaveBeenCalled();
+  });
+
+  it('should not write any data file in dry-run mode', async () => {
+    const result = await fetchAndSaveAll({ dryRun: true });
+
+    expect(result.changed).toBe(true);
+    expect(fs.writeFile).not.toHaveBeenCalled();
+    expect(console.log).toHaveBeenCalledWith('Dry run: data files would change');
+  });
+
+  it('should write neither file when a dataset would lose a variant', async () => {
+    const existingVersions = {
+      versions: [
+        { version: '110107', name: '11.1.7', variant: 'retail' },
+        { version: '11507', name: '1.15.7', variant: 'classic_era' }
+      ]
+    };
+    fs.readFile.mockImplementation(async filePath => {
+      if (filePath === 'v.json') {
+        return JSON.stringify(existingVersions);
+      }
+      throw new Error('ENOENT');
+    });
+
+    await expect(fetchAndSaveAll({ versionsPath: 'v.json', gameVersionsPath: 'g.json', maxShrinkPercent: 50 }))
+      .rejects.toThrow(ShrinkError);
+
+    expect(console.error).toHaveBeenCalledWith('- variant classic_era disappeared');
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  it('should only write the dataset that changed', async () => {
+    const existingGameVersions = {
+      $schema: 'https://raw.githubusercontent.com/ragedunicorn/wow-renovate-data/master/schemas/v1/game-versions.schema.json',
+      schemaVersion: 1,
+      lastUpdated: '2025-01-01T00:00:00.000Z',
+      lastUpdatedByVariant: { retail: '2025-01-01T00:00:00.000Z' },
+      releases: [
+        {
+          version: '13245',
+          originalVersion: '11.1.7',
+          variant: 'retail',
+          interfaceVersion: '110107',
+          releaseTimestamp: '2025-01-01T00:00:00.000Z'
+        },
+        { version: '13000', originalVersion: '11.1.5', variant: 'retail', releaseTimestamp: '2025-01-01T00:00:00.000Z' }
+      ]
+    };
+    fs.readFile.mockImplementation(async filePath => {
+      if (filePath === 'g.json') {
+        return JSON.stringify(existingGameVersions);
+      }
+      throw new Error('ENOENT');
+    });
+
+    const result = await fetchAndSaveAll({ versionsPath: 'v.json', gameVersionsPath: 'g.json' });
+
+    expect(result.versions.changed).toBe(true);
+    expect(result.gameVersions.changed).toBe(false);
+    expect(fs.rename).toHaveBeenCalledWith(`v.json.${process.pid}.tmp`, 'v.json');
+    expect(fs.rename).not.toHaveBeenCalledWith(`g.json.${process.pid}.tmp`, 'g.json');
+  });
+});
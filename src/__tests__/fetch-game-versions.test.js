@@ -2,12 +2,17 @@ const fs = require('fs').promises;
 const path = require('path');
 const CurseForgeClient = require('../curseforge-client');
 const VersionParser = require('../version-parser');
+const { EmptyResponseError, UpstreamError, ValidationError } = require('../errors');
 
 // Mock dependencies
 jest.mock('fs', () => ({
   promises: {
     readFile: jest.fn(),
-    writeFile: jest.fn()
+    writeFile: jest.fn(),
+    mkdir: jest.fn(),
+    rename: jest.fn(),
+    copyFile: jest.fn(),
+    unlink: jest.fn()
   }
 }));
 jest.mock('../curseforge-client');
@@ -78,6 +83,7 @@ describe('fetch-game-versions', () => {
 
       // Setup CurseForgeClient mock
       mockClient = {
+        discoverVersionTypes: jest.fn().mockResolvedValue({}),
         getGameVersionIds: jest.fn(),
         getVersionTypes: jest.fn()
       };
@@ -90,6 +96,22 @@ describe('fetch-game-versions', () => {
       VersionParser.mockImplementation(() => mockVersionParser);
     });
 
+    it('should discover the version types before classifying the game versions', async () => {
+      mockClient.getGameVersionIds.mockResolvedValue([{ id: 14001, name: '7.3.5', gameVersionTypeID: 88888 }]);
+      mockClient.discoverVersionTypes.mockImplementation(async () => {
+        mockClient.getVersionTypes.mockReturnValue({ 88888: { variant: 'legion_classic', name: 'WoW Legion Classic' } });
+      });
+      mockVersionParser.parseVersionToNumber.mockReturnValue(70305);
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveGameVersions();
+
+      const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(mockClient.discoverVersionTypes).toHaveBeenCalledTimes(1);
+      expect(savedData.releases[0]).toMatchObject({ version: '14001', variant: 'legion_classic' });
+    });
+
     it('should fetch and save game versions successfully', async () => {
       const mockGameVersionData = [
         { id: 13433, name: '11.2.0', gameVersionTypeID: 517 },
@@ -118,14 +140,45 @@ describe('fetch-game-versions', () => {
       expect(savedData).toHaveProperty('releases');
       expect(savedData).toHaveProperty('lastUpdated');
       expect(savedData.releases).toHaveLength(2);
-      expect(savedData.releases[0]).toEqual({
+      expect(savedData.releases[1]).toEqual({
         version: '13433',
         originalVersion: '11.2.0',
-        variant: 'retail'
+        variant: 'retail',
+        releaseTimestamp: savedData.lastUpdated
       });
     });
 
-    it('should preserve existing file when no changes detected', async () => {
+    it('should carry forward release timestamps of known gameVersion IDs', async () => {
+      const existingData = {
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        releases: [
+          { version: '12919', originalVersion: '1.15.7', variant: 'classic_era', releaseTimestamp: '2022-11-15T00:00:00.000Z' }
+        ]
+      };
+
+      mockClient.getGameVersionIds.mockResolvedValue([
+        { id: 13433, name: '11.2.0', gameVersionTypeID: 517 },
+        { id: 12919, name: '1.15.7', gameVersionTypeID: 67408 }
+      ]);
+      mockClient.getVersionTypes.mockReturnValue({
+        517: { variant: 'retail' },
+        67408: { variant: 'classic_era' }
+      });
+      mockVersionParser.parseVersionToNumber.mockReturnValue(10000);
+      fs.readFile.mockResolvedValue(JSON.stringify(existingData));
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveGameVersions();
+
+      const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      const known = savedData.releases.find(r => r.version === '12919');
+      const added = savedData.releases.find(r => r.version === '13433');
+
+      expect(known.releaseTimestamp).toBe('2022-11-15T00:00:00.000Z');
+      expect(added.releaseTimestamp).toBe(savedData.lastUpdated);
+    });
+
+    it('should rewrite existing data that has no release timestamps', async () => {
       const existingData = {
         lastUpdated: '2023-01-01T00:00:00.000Z',
         releases: [
@@ -133,6 +186,88 @@ describe('fetch-game-versions', () => {
         ]
       };
 
+      mockClient.getGameVersionIds.mockResolvedValue([
+        { id: 13433, name: '11.2.0', gameVersionTypeID: 517 }
+      ]);
+      mockClient.getVersionTypes.mockReturnValue({ 517: { variant: 'retail' } });
+      mockVersionParser.parseVersionToNumber.mockReturnValue(110200);
+      fs.readFile.mockResolvedValue(JSON.stringify(existingData));
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveGameVersions();
+
+      expect(fs.writeFile).toHaveBeenCalled();
+    });
+
+    it('should link releases with the interface versions of versions.json', async () => {
+      const versionsData = {
+        versions: [{ version: '110200', name: '11.2.0', variant: 'retail' }]
+      };
+
+      mockClient.getGameVersionIds.mockResolvedValue([
+        { id: 13433, name: '11.2.0', gameVersionTypeID: 517 },
+        { id: 12919, name: '1.15.7', gameVersionTypeID: 67408 }
+      ]);
+      mockClient.getVersionTypes.mockReturnValue({
+        517: { variant: 'retail' },
+        67408: { variant: 'classic_era' }
+      });
+      mockVersionParser.parseVersionToNumber.mockReturnValue(10000);
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath.endsWith(`${path.sep}versions.json`)) {
+          return JSON.stringify(versionsData);
+        }
+        throw new Error('File not found');
+      });
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveGameVersions();
+
+      const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      const retail = savedData.releases.find(release => release.originalVersion === '11.2.0');
+      const classic = savedData.releases.find(release => release.originalVersion === '1.15.7');
+      expect(retail.interfaceVersion).toBe('110200');
+      expect(classic).not.toHaveProperty('interfaceVersion');
+    });
+
+    it('should rewrite game-versions.json when an interface version gets linked', async () => {
+      const existingData = {
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        releases: [
+          { version: '13433', originalVersion: '11.2.0', variant: 'retail', releaseTimestamp: '2023-01-01T00:00:00.000Z' }
+        ]
+      };
+
+      mockClient.getGameVersionIds.mockResolvedValue([{ id: 13433, name: '11.2.0', gameVersionTypeID: 517 }]);
+      mockClient.getVersionTypes.mockReturnValue({ 517: { variant: 'retail' } });
+      mockVersionParser.parseVersionToNumber.mockReturnValue(10000);
+      fs.readFile.mockImplementation(async filePath => JSON.stringify(
+        filePath.endsWith('game-versions.json')
+          ? existingData
+          : { versions: [{ version: '110200', name: '11.2.0', variant: 'retail' }] }
+      ));
+      fs.writeFile.mockResolvedValue();
+
+      const result = await fetchAndSaveGameVersions();
+
+      expect(result.changed).toBe(true);
+      expect(JSON.parse(fs.writeFile.mock.calls[0][1]).releases[0]).toEqual({
+        ...existingData.releases[0],
+        interfaceVersion: '110200'
+      });
+    });
+
+    it('should preserve existing file when no changes detected', async () => {
+      const existingData = {
+        $schema: 'https://raw.githubusercontent.com/ragedunicorn/wow-renovate-data/master/schemas/v1/game-versions.schema.json',
+        schemaVersion: 1,
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        lastUpdatedByVariant: { retail: '2023-01-01T00:00:00.000Z' },
+        releases: [
+          { version: '13433', originalVersion: '11.2.0', variant: 'retail', releaseTimestamp: '2022-11-15T00:00:00.000Z' }
+        ]
+      };
+
       const mockGameVersionData = [
         { id: 13433, name: '11.2.0', gameVersionTypeID: 517 }
       ];
@@ -141,9 +276,16 @@ describe('fetch-game-versions', () => {
         517: { variant: 'retail' }
       };
 
+      const existingDatasource = {
+        releases: [{ version: '13433', releaseTimestamp: '2022-11-15T00:00:00.000Z' }]
+      };
+
       mockClient.getGameVersionIds.mockResolvedValue(mockGameVersionData);
       mockClient.getVersionTypes.mockReturnValue(mockVersionTypes);
-      fs.readFile.mockResolvedValue(JSON.stringify(existingData));
+      fs.readFile.mockImplementation(async filePath => {
+        const content = filePath.endsWith('gameversion.json') ? existingDatasource : existingData;
+        return JSON.stringify(content, null, 2);
+      });
       fs.writeFile.mockResolvedValue();
 
       await fetchAndSaveGameVersions();
@@ -152,23 +294,238 @@ describe('fetch-game-versions', () => {
       expect(mockConsoleLog).toHaveBeenCalledWith('No changes detected, keeping existing file');
     });
 
-    it('should exit when no game versions are found', async () => {
+    it('should keep gameVersion IDs missing from the fetch as withdrawn tombstones', async () => {
+      const existingData = {
+        $schema: 'https://raw.githubusercontent.com/ragedunicorn/wow-renovate-data/master/schemas/v1/game-versions.schema.json',
+        schemaVersion: 1,
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        lastUpdatedByVariant: { retail: '2023-01-01T00:00:00.000Z' },
+        releases: [
+          { version: '13433', originalVersion: '11.2.0', variant: 'retail', releaseTimestamp: '2023-01-01T00:00:00.000Z' },
+          { version: '13245', originalVersion: '11.1.7', variant: 'retail', releaseTimestamp: '2022-11-15T00:00:00.000Z' }
+        ]
+      };
+
+      mockClient.getGameVersionIds.mockResolvedValue([
+        { id: 13433, name: '11.2.0', gameVersionTypeID: 517 }
+      ]);
+      mockClient.getVersionTypes.mockReturnValue({ 517: { variant: 'retail' } });
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath.endsWith('game-versions.json')) {
+          return JSON.stringify(existingData);
+        }
+        throw new Error('File not found');
+      });
+      fs.writeFile.mockResolvedValue();
+
+      const result = await fetchAndSaveGameVersions({ maxShrinkPercent: 50 });
+
+      const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(savedData.releases[1]).toEqual({
+        ...existingData.releases[1],
+        withdrawn: true,
+        withdrawnTimestamp: savedData.lastUpdated
+      });
+      expect(result.diff.variants.retail.removed).toEqual([{ id: '13245', name: '11.1.7' }]);
+
+      const datasource = fs.writeFile.mock.calls.find(call => call[0].includes('gameversion.json'));
+      expect(JSON.parse(datasource[1]).releases[1]).toEqual({
+        version: '13245',
+        releaseTimestamp: '2022-11-15T00:00:00.000Z',
+        isDeprecated: true
+      });
+    });
+
+    it('should hold back new gameVersion IDs until they were seen in enough consecutive fetches', async () => {
+      const existingData = {
+        $schema: 'https://raw.githubusercontent.com/ragedunicorn/wow-renovate-data/master/schemas/v1/game-versions.schema.json',
+        schemaVersion: 1,
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        lastUpdatedByVariant: { retail: '2023-01-01T00:00:00.000Z' },
+        releases: [
+          { version: '13245', originalVersion: '11.1.7', variant: 'retail', releaseTimestamp: '2023-01-01T00:00:00.000Z' }
+        ]
+      };
+
+      mockClient.getGameVersionIds.mockResolvedValue([
+        { id: 13433, name: '11.2.0', gameVersionTypeID: 517 },
+        { id: 13245, name: '11.1.7', gameVersionTypeID: 517 }
+      ]);
+      mockClient.getVersionTypes.mockReturnValue({ 517: { variant: 'retail' } });
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath.endsWith('game-versions.json')) {
+          return JSON.stringify(existingData);
+        }
+        throw new Error('File not found');
+      });
+      fs.writeFile.mockResolvedValue();
+
+      const result = await fetchAndSaveGameVersions({ pendingRuns: 3 });
+
+      const saved = fs.writeFile.mock.calls.find(call => call[0].endsWith(`${path.sep}game-versions.json`));
+      expect(saved).toBeUndefined();
+      expect(result.diff.variants).toEqual({});
+      expect(result.diff.pending).toEqual([
+        { variant: 'retail', id: '13433', name: '11.2.0', seenCount: 1, requiredRuns: 3 }
+      ]);
+
+      const state = fs.writeFile.mock.calls.find(call => call[0].endsWith('game-versions.pending.json'));
+      expect(JSON.parse(state[1]).entries['13433']).toMatchObject({
+        entry: { name: '11.2.0', id: 13433, variant: 'retail' },
+        seenCount: 1
+      });
+    });
+
+    it('should publish a promoted gameVersion ID with the time it was first seen', async () => {
+      const existingData = {
+        $schema: 'https://raw.githubusercontent.com/ragedunicorn/wow-renovate-data/master/schemas/v1/game-versions.schema.json',
+        schemaVersion: 1,
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        lastUpdatedByVariant: { retail: '2023-01-01T00:00:00.000Z' },
+        releases: [
+          { version: '13245', originalVersion: '11.1.7', variant: 'retail', releaseTimestamp: '2023-01-01T00:00:00.000Z' }
+        ]
+      };
+      const pendingState = {
+        entries: {
+          13433: {
+            entry: { name: '11.2.0', id: 13433, variant: 'retail' },
+            seenCount: 1,
+            firstSeen: '2025-06-01T00:00:00.000Z',
+            lastSeen: '2025-06-01T00:00:00.000Z'
+          }
+        }
+      };
+
+      mockClient.getGameVersionIds.mockResolvedValue([
+        { id: 13433, name: '11.2.0', gameVersionTypeID: 517 },
+        { id: 13245, name: '11.1.7', gameVersionTypeID: 517 }
+      ]);
+      mockClient.getVersionTypes.mockReturnValue({ 517: { variant: 'retail' } });
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath.endsWith('game-versions.pending.json')) {
+          return JSON.stringify(pendingState);
+        }
+        if (filePath.endsWith('game-versions.json')) {
+          return JSON.stringify(existingData);
+        }
+        throw new Error('File not found');
+      });
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveGameVersions({ pendingRuns: 2 });
+
+      const saved = fs.writeFile.mock.calls.find(call => call[0].endsWith(`${path.sep}game-versions.json`));
+      expect(JSON.parse(saved[1]).releases.find(release => release.version === '13433')).toMatchObject({
+        originalVersion: '11.2.0',
+        releaseTimestamp: '2025-06-01T00:00:00.000Z'
+      });
+    });
+
+    it('should not count existing tombstones as a change', async () => {
+      const existingData = {
+        $schema: 'https://raw.githubusercontent.com/ragedunicorn/wow-renovate-data/master/schemas/v1/game-versions.schema.json',
+        schemaVersion: 1,
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        lastUpdatedByVariant: { retail: '2023-01-01T00:00:00.000Z' },
+        releases: [
+          { version: '13433', originalVersion: '11.2.0', variant: 'retail', releaseTimestamp: '2023-01-01T00:00:00.000Z' },
+          {
+            version: '13245',
+            originalVersion: '11.1.7',
+            variant: 'retail',
+            releaseTimestamp: '2022-11-15T00:00:00.000Z',
+            withdrawn: true,
+            withdrawnTimestamp: '2023-01-01T00:00:00.000Z'
+          }
+        ]
+      };
+
+      mockClient.getGameVersionIds.mockResolvedValue([
+        { id: 13433, name: '11.2.0', gameVersionTypeID: 517 }
+      ]);
+      mockClient.getVersionTypes.mockReturnValue({ 517: { variant: 'retail' } });
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath.endsWith('game-versions.json')) {
+          return JSON.stringify(existingData);
+        }
+        throw new Error('File not found');
+      });
+
+      const result = await fetchAndSaveGameVersions({ dryRun: true });
+
+      expect(mockConsoleLog).toHaveBeenCalledWith('No changes detected, keeping existing file');
+      expect(result.diff.variants).toEqual({});
+    });
+
+    it('should rewrite files written with another schema version', async () => {
+      const existingData = {
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        releases: [
+          { version: '13433', originalVersion: '11.2.0', variant: 'retail', releaseTimestamp: '2022-11-15T00:00:00.000Z' }
+        ]
+      };
+
+      mockClient.getGameVersionIds.mockResolvedValue([
+        { id: 13433, name: '11.2.0', gameVersionTypeID: 517 }
+      ]);
+      mockClient.getVersionTypes.mockReturnValue({ 517: { variant: 'retail' } });
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath.endsWith('game-versions.json')) {
+          return JSON.stringify(existingData);
+        }
+        throw new Error('File not found');
+      });
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveGameVersions();
+
+      const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(savedData).toMatchObject({ schemaVersion: 1, lastUpdated: expect.any(String) });
+      expect(savedData.$schema).toMatch(/\/schemas\/v1\/game-versions\.schema\.json$/);
+      expect(savedData.releases[0].releaseTimestamp).toBe('2022-11-15T00:00:00.000Z');
+    });
+
+    it('should not write game-versions.json in dry-run mode', async () => {
+      mockClient.getGameVersionIds.mockResolvedValue([
+        { id: 13433, name: '11.2.0', gameVersionTypeID: 517 }
+      ]);
+      mockClient.getVersionTypes.mockReturnValue({ 517: { variant: 'retail' } });
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+
+      const result = await fetchAndSaveGameVersions({ dryRun: true });
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(result.changed).toBe(true);
+      expect(result.diff.variants.retail.added).toEqual([{ id: '13433', name: '11.2.0' }]);
+      expect(mockConsoleLog).toHaveBeenCalledWith('Dry run: game-versions.json would change');
+    });
+
+    it('should throw an EmptyResponseError when no game versions are found', async () => {
       mockClient.getGameVersionIds.mockResolvedValue([]);
       mockClient.getVersionTypes.mockReturnValue({});
 
-      await expect(fetchAndSaveGameVersions()).rejects.toThrow('process.exit called');
+      await expect(fetchAndSaveGameVersions()).rejects.toThrow(EmptyResponseError);
+      await expect(fetchAndSaveGameVersions()).rejects.toThrow('No game version IDs found in the API response');
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+
+    it('should throw a ValidationError when the response is not an array', async () => {
+      mockClient.getGameVersionIds.mockResolvedValue({ error: 'unexpected' });
+      mockClient.getVersionTypes.mockReturnValue({});
 
-      expect(mockConsoleError).toHaveBeenCalledWith('No game version IDs found in the API response');
-      expect(mockExit).toHaveBeenCalledWith(1);
+      await expect(fetchAndSaveGameVersions()).rejects.toThrow(ValidationError);
     });
 
-    it('should handle API errors gracefully', async () => {
+    it('should throw an UpstreamError when fetching fails', async () => {
       mockClient.getGameVersionIds.mockRejectedValue(new Error('API Error'));
 
-      await expect(fetchAndSaveGameVersions()).rejects.toThrow('process.exit called');
+      await expect(fetchAndSaveGameVersions()).rejects.toThrow(UpstreamError);
 
-      expect(mockConsoleError).toHaveBeenCalledWith('Error fetching game versions:', expect.any(Error));
-      expect(mockExit).toHaveBeenCalledWith(1);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(mockExit).not.toHaveBeenCalled();
     });
   });
 
@@ -189,6 +546,7 @@ describe('fetch-game-versions', () => {
       };
 
       const mockClient = {
+        discoverVersionTypes: jest.fn().mockResolvedValue({}),
         getGameVersionIds: jest.fn().mockResolvedValue(mockGameVersionData),
         getVersionTypes: jest.fn().mockReturnValue(mockVersionTypes)
       };
@@ -215,6 +573,54 @@ describe('fetch-game-versions', () => {
     });
   });
 
+  describe('unclassified game versions', () => {
+    const mockGameVersionData = [
+      { id: 13433, name: '11.2.0', gameVersionTypeID: 517 },
+      { id: 16785, name: '3.80.2', gameVersionTypeID: 99999 },
+      { id: 17000, name: 'beta', gameVersionTypeID: 99999 }
+    ];
+
+    beforeEach(() => {
+      process.env.CURSEFORGE_API_KEY = 'test-api-key';
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      CurseForgeClient.mockImplementation(() => ({
+        discoverVersionTypes: jest.fn().mockResolvedValue({}),
+        getGameVersionIds: jest.fn().mockResolvedValue(mockGameVersionData),
+        getVersionTypes: jest.fn().mockReturnValue({ 517: { variant: 'retail' } })
+      }));
+      VersionParser.mockImplementation(() => ({ parseVersionToNumber: jest.fn().mockReturnValue(10000) }));
+
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+      fs.writeFile.mockResolvedValue();
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should classify game versions of unmapped types by their patch name', async () => {
+      await fetchAndSaveGameVersions();
+
+      const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      const variants = Object.fromEntries(savedData.releases.map(r => [r.originalVersion, r.variant]));
+      expect(variants).toEqual({ '11.2.0': 'retail', '3.80.2': 'wotlk_classic', 'beta': 'unknown' });
+      expect(console.warn).toHaveBeenCalledWith('- beta (gameVersion ID 17000, type 99999)');
+    });
+
+    it('should exclude unclassified game versions', async () => {
+      await fetchAndSaveGameVersions({ unclassified: 'exclude' });
+
+      const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(savedData.releases.map(r => r.originalVersion)).not.toContain('beta');
+    });
+
+    it('should fail on unclassified game versions', async () => {
+      await expect(fetchAndSaveGameVersions({ unclassified: 'fail' })).rejects.toThrow(ValidationError);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
   describe('hasGameVersionsChanged', () => {
     it('should detect changes in game versions', async () => {
       process.env.CURSEFORGE_API_KEY = 'test-api-key';
@@ -236,6 +642,7 @@ describe('fetch-game-versions', () => {
       };
 
       const mockClient = {
+        discoverVersionTypes: jest.fn().mockResolvedValue({}),
         getGameVersionIds: jest.fn().mockResolvedValue(mockGameVersionData),
         getVersionTypes: jest.fn().mockReturnValue(mockVersionTypes)
       };
@@ -274,6 +681,7 @@ describe('fetch-game-versions', () => {
       };
 
       const mockClient = {
+        discoverVersionTypes: jest.fn().mockResolvedValue({}),
         getGameVersionIds: jest.fn().mockResolvedValue(mockGameVersionData),
         getVersionTypes: jest.fn().mockReturnValue(mockVersionTypes)
       };
@@ -323,6 +731,7 @@ describe('fetch-game-versions', () => {
       };
 
       const mockClient = {
+        discoverVersionTypes: jest.fn().mockResolvedValue({}),
         getGameVersionIds: jest.fn().mockResolvedValue(mockGameVersionData),
         getVersionTypes: jest.fn().mockReturnValue(mockVersionTypes)
       };
@@ -354,6 +763,7 @@ describe('fetch-game-versions', () => {
       process.env.CURSEFORGE_API_KEY = 'test-api-key';
 
       const mockClient = {
+        discoverVersionTypes: jest.fn().mockResolvedValue({}),
         getGameVersionIds: jest.fn().mockResolvedValue([
           { id: 13433, name: '11.2.0', gameVersionTypeID: 517 }
         ]),
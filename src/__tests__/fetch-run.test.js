@@ -0,0 +1,247 @@
+const fs = require('fs').promises;
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn()
+  }
+}));
+jest.mock('../file-hashes');
+
+const { hashFile, hashDirectory, getCodeFingerprint } = require('../file-hashes');
+const {
+  debounceDataset,
+  isUpToDate,
+  getPendingStateFiles,
+  saveRunCache,
+  saveRunState
+} = require('../fetch-run');
+
+describe('fetch-run', () => {
+  const FETCH_TIME = '2025-06-01T00:00:00.000Z';
+  const RESPONSE_CACHE = { entries: { 'game versions': { etag: '"abc"', data: [] } } };
+  const DEBOUNCE = { entries: [], state: { entries: { 110200: { seenCount: 1 } } }, pending: [{}], promoted: [] };
+  const FILE_HASHES = {
+    'versions.json': 'hash of /data/versions.json',
+    'game-versions.json': 'hash of /data/game-versions.json',
+    'datasources/': 'hash of /data/datasources'
+  };
+
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    hashFile.mockImplementation(async filePath => `hash of ${filePath}`);
+    hashDirectory.mockImplementation(async dir => `hash of ${dir}`);
+    getCodeFingerprint.mockResolvedValue('fingerprint');
+
+    client = {
+      isNotModified: jest.fn().mockReturnValue(true),
+      getResponseCache: jest.fn().mockReturnValue(RESPONSE_CACHE)
+    };
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('debounceDataset', () => {
+    it('should pass the fetched entries through without pendingRuns', async () => {
+      const debounceEntries = jest.fn();
+      const dataset = await debounceDataset(
+        { client, offline: false, options: {} },
+        { dataPath: '/data/versions.json', existing: null, fetched: ['110200'] },
+        debounceEntries,
+        FETCH_TIME
+      );
+
+      expect(dataset).toEqual({
+        dataPath: '/data/versions.json',
+        existing: null,
+        fetched: ['110200'],
+        debounce: null,
+        entries: ['110200']
+      });
+      expect(debounceEntries).not.toHaveBeenCalled();
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should debounce with the state file next to the data file', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify(DEBOUNCE.state));
+      const debounceEntries = jest.fn().mockReturnValue(DEBOUNCE);
+
+      const dataset = await debounceDataset(
+        { client, offline: false, options: { pendingRuns: 2 } },
+        { dataPath: '/data/versions.json', existing: {}, fetched: ['110200'] },
+        debounceEntries,
+        FETCH_TIME
+      );
+
+      expect(fs.readFile).toHaveBeenCalledWith('/data/versions.pending.json', 'utf8');
+      expect(debounceEntries).toHaveBeenCalledWith(['110200'], {}, DEBOUNCE.state, 2, FETCH_TIME);
+      expect(dataset.debounce).toBe(DEBOUNCE);
+      expect(dataset.entries).toEqual([]);
+    });
+  });
+
+  describe('isUpToDate', () => {
+    const run = () => ({ client, offline: false, options: { cachePath: '/data/versions.cache.json' } });
+    const dataset = {
+      dataPath: '/data/versions.json',
+      linkedPath: '/data/game-versions.json',
+      datasourcesDir: '/data/datasources',
+      existing: {},
+      debounce: null
+    };
+
+    beforeEach(() => {
+      client.getResponseCache.mockReturnValue({ ...RESPONSE_CACHE, fingerprint: 'fingerprint', files: FILE_HASHES });
+    });
+
+    it('should stop early if every response was not modified and nothing changed since', async () => {
+      await expect(isUpToDate(run(), [dataset])).resolves.toBe(true);
+      expect(hashFile).toHaveBeenCalledWith('/data/versions.json');
+      expect(hashFile).toHaveBeenCalledWith('/data/game-versions.json');
+      expect(hashDirectory).toHaveBeenCalledWith('/data/datasources');
+    });
+
+    it('should not stop early without cache, data file or with pending entries', async () => {
+      await expect(isUpToDate({ ...run(), options: {} }, [dataset])).resolves.toBe(false);
+      await expect(isUpToDate(run(), [dataset, { ...dataset, existing: null }])).resolves.toBe(false);
+      await expect(isUpToDate(run(), [{ ...dataset, debounce: DEBOUNCE }])).resolves.toBe(false);
+
+      client.isNotModified.mockReturnValue(false);
+      await expect(isUpToDate(run(), [dataset])).resolves.toBe(false);
+    });
+
+    it('should not stop early if the code changed since the last fetch', async () => {
+      getCodeFingerprint.mockResolvedValue('other fingerprint');
+
+      await expect(isUpToDate(run(), [dataset])).resolves.toBe(false);
+      expect(console.log).toHaveBeenCalledWith('The code changed since the last fetch, building the data files again');
+
+      client.getResponseCache.mockReturnValue({ ...RESPONSE_CACHE, files: FILE_HASHES });
+      await expect(isUpToDate(run(), [dataset])).resolves.toBe(false);
+    });
+
+    it('should not stop early if a file changed since the last fetch', async () => {
+      hashFile.mockImplementation(async filePath => (
+        filePath === '/data/game-versions.json' ? 'edited' : `hash of ${filePath}`
+      ));
+
+      await expect(isUpToDate(run(), [dataset])).resolves.toBe(false);
+      expect(console.log).toHaveBeenCalledWith(
+        'game-versions.json changed since the last fetch, building the data files again'
+      );
+    });
+
+    it('should not stop early if a file was removed or the cache has no hashes', async () => {
+      hashDirectory.mockResolvedValue(null);
+      await expect(isUpToDate(run(), [dataset])).resolves.toBe(false);
+      expect(console.log).toHaveBeenCalledWith('datasources/ changed since the last fetch, building the data files again');
+
+      hashDirectory.mockImplementation(async dir => `hash of ${dir}`);
+      client.getResponseCache.mockReturnValue({ ...RESPONSE_CACHE, fingerprint: 'fingerprint' });
+      await expect(isUpToDate(run(), [dataset])).resolves.toBe(false);
+    });
+  });
+
+  describe('getPendingStateFiles', () => {
+    const datasets = [
+      { dataPath: '/data/versions.json', debounce: DEBOUNCE },
+      { dataPath: '/data/game-versions.json', debounce: null }
+    ];
+
+    it('should return the pending state of debounced datasets', () => {
+      const run = { client, offline: false, options: {} };
+
+      expect(getPendingStateFiles(run, datasets)).toEqual([
+        { path: '/data/versions.pending.json', content: JSON.stringify(DEBOUNCE.state, null, 2) }
+      ]);
+    });
+
+    it('should return no state files for an offline run', () => {
+      expect(getPendingStateFiles({ client, offline: true, options: {} }, datasets)).toEqual([]);
+    });
+  });
+
+  describe('saveRunCache', () => {
+    it('should write the response cache with the fingerprint and the file hashes', async () => {
+      await saveRunCache(
+        { client, offline: false, options: { cachePath: '/data/all.cache.json' } },
+        [
+          { dataPath: '/data/versions.json', datasourcesDir: '/data/datasources' },
+          { dataPath: '/data/game-versions.json', datasourcesDir: '/data/datasources' }
+        ]
+      );
+
+      expect(fs.writeFile).toHaveBeenCalledWith('/data/all.cache.json', expect.any(String));
+      expect(JSON.parse(fs.writeFile.mock.calls[0][1])).toEqual({
+        fingerprint: 'fingerprint',
+        files: FILE_HASHES,
+        ...RESPONSE_CACHE
+      });
+    });
+
+    it('should leave out missing files', async () => {
+      hashFile.mockImplementation(async filePath => (
+        filePath === '/data/game-versions.json' ? null : `hash of ${filePath}`
+      ));
+
+      await saveRunCache(
+        { client, offline: false, options: { cachePath: '/data/versions.cache.json' } },
+        [{ dataPath: '/data/versions.json', linkedPath: '/data/game-versions.json' }]
+      );
+
+      expect(JSON.parse(fs.writeFile.mock.calls[0][1]).files).toEqual({
+        'versions.json': 'hash of /data/versions.json'
+      });
+    });
+
+    it('should write nothing without cache path or for an offline run', async () => {
+      await saveRunCache({ client, offline: false, options: {} }, [{ dataPath: '/data/versions.json' }]);
+      await saveRunCache(
+        { client, offline: true, options: { cachePath: '/data/versions.cache.json' } },
+        [{ dataPath: '/data/versions.json' }]
+      );
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saveRunState', () => {
+    it('should write the pending state and the response cache', async () => {
+      const run = { client, offline: false, options: { cachePath: '/data/versions.cache.json' } };
+
+      await saveRunState(run, [
+        {
+          dataPath: '/data/versions.json',
+          linkedPath: '/data/game-versions.json',
+          datasourcesDir: '/data/datasources',
+          debounce: DEBOUNCE
+        }
+      ]);
+
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        '/data/versions.pending.json',
+        JSON.stringify(DEBOUNCE.state, null, 2)
+      );
+      expect(fs.writeFile).toHaveBeenCalledWith('/data/versions.cache.json', JSON.stringify({
+        fingerprint: 'fingerprint',
+        files: FILE_HASHES,
+        ...RESPONSE_CACHE
+      }));
+    });
+
+    it('should write nothing for an offline run', async () => {
+      await saveRunState(
+        { client, offline: true, options: { cachePath: '/data/versions.cache.json' } },
+        [{ dataPath: '/data/versions.json', debounce: DEBOUNCE }]
+      );
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,16 +2,23 @@ const fs = require('fs').promises;
 const path = require('path');
 const CurseForgeClient = require('../curseforge-client');
 const VersionParser = require('../version-parser');
+const { MissingCredentialsError, UpstreamError, ValidationError } = require('../errors');
+const { DEFAULT_CLIENT_CONFIG } = require('../client-config');
 
 // Mock dependencies
 jest.mock('fs', () => ({
   promises: {
     readFile: jest.fn(),
-    writeFile: jest.fn()
+    writeFile: jest.fn(),
+    mkdir: jest.fn(),
+    rename: jest.fn(),
+    copyFile: jest.fn(),
+    unlink: jest.fn()
   }
 }));
 jest.mock('../curseforge-client');
 jest.mock('../version-parser');
+jest.mock('../file-hashes');
 
 // Mock dotenv at the top level
 jest.mock('dotenv', () => ({
@@ -20,6 +27,13 @@ jest.mock('dotenv', () => ({
 
 // Import after mocks are set up
 const fetchAndSaveVersions = require('../fetch-versions');
+const { hashFile, hashDirectory, getCodeFingerprint } = require('../file-hashes');
+
+// The cache of a fetch that wrote the same files with the same code
+const RUN_CACHE = {
+  fingerprint: 'fingerprint',
+  files: { 'versions.json': 'hash', 'game-versions.json': 'hash', 'datasources/': 'hash' }
+};
 
 describe('fetch-versions', () => {
   let mockExit;
@@ -41,6 +55,10 @@ describe('fetch-versions', () => {
 
     // Reset module cache to ensure clean state
     jest.resetModules();
+
+    hashFile.mockResolvedValue('hash');
+    hashDirectory.mockResolvedValue('hash');
+    getCodeFingerprint.mockResolvedValue('fingerprint');
   });
 
   afterEach(() => {
@@ -86,7 +104,8 @@ describe('fetch-versions', () => {
 
       // Setup VersionParser mock
       mockParser = {
-        parseVersions: jest.fn()
+        parseVersions: jest.fn(),
+        findUnparsedVersions: jest.fn().mockReturnValue([])
       };
       VersionParser.mockImplementation(() => mockParser);
     });
@@ -103,8 +122,8 @@ describe('fetch-versions', () => {
       ];
 
       const mockVersionTypes = {
-        517: { variant: 'retail', name: 'WoW Retail' },
-        67408: { variant: 'classic_era', name: 'WoW Classic Era' }
+        517: { id: 517, variant: 'retail', name: 'WoW Retail' },
+        67408: { id: 67408, variant: 'classic_era', name: 'WoW Classic Era' }
       };
 
       mockClient.getAllWowVersions.mockResolvedValue(mockWowVersions);
@@ -120,18 +139,36 @@ describe('fetch-versions', () => {
       expect(fs.writeFile).toHaveBeenCalled();
 
       const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
-      expect(savedData).toHaveProperty('versions', mockParsedVersions);
+      // Canonical order: known variants in their order, newest first
+      expect(savedData.versions).toEqual([mockParsedVersions[1], mockParsedVersions[0]].map(version => ({
+        ...version,
+        releaseTimestamp: savedData.lastUpdated
+      })));
       expect(savedData).toHaveProperty('versionsByVariant');
       expect(savedData).toHaveProperty('versionTypes', mockVersionTypes);
       expect(savedData).toHaveProperty('summary');
       expect(savedData).toHaveProperty('lastUpdated');
+      expect(savedData).toHaveProperty('schemaVersion', 1);
+      expect(savedData.$schema).toMatch(/\/schemas\/v1\/versions\.schema\.json$/);
+    });
+
+    it('should not write versions.json when it does not match its schema', async () => {
+      mockClient.getAllWowVersions.mockResolvedValue([{ name: '11.2.0', variant: 'retail', type: 517 }]);
+      mockClient.getVersionTypes.mockReturnValue({ 517: { id: 517, variant: 'retail', name: 'WoW Retail' } });
+      mockParser.parseVersions.mockReturnValue([{ version: '110200', name: '11.2.0', variant: 'retail', build: 1 }]);
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+
+      await expect(fetchAndSaveVersions()).rejects.toThrow(ValidationError);
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(mockConsoleError).toHaveBeenCalledWith('- versions[0] must NOT have additional properties: build');
     });
 
     it('should preserve lastUpdated when versions have not changed', async () => {
       const existingData = {
         lastUpdated: '2023-01-01T00:00:00.000Z',
         versions: [
-          { version: '110200', name: '11.2.0', variant: 'retail' }
+          { version: '110200', name: '11.2.0', variant: 'retail', releaseTimestamp: '2022-11-15T00:00:00.000Z' }
         ]
       };
 
@@ -156,13 +193,449 @@ describe('fetch-versions', () => {
       expect(mockConsoleLog).toHaveBeenCalledWith('No version changes detected, keeping existing lastUpdated timestamp');
     });
 
-    it('should handle errors gracefully', async () => {
-      mockClient.getAllWowVersions.mockRejectedValue(new Error('API Error'));
+    it('should stop early without writing when CurseForge returned no new data', async () => {
+      const existingData = {
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        versions: [{ version: '110200', name: '11.2.0', variant: 'retail' }]
+      };
+      mockClient.getAllWowVersions.mockResolvedValue([{ name: '11.2.0', variant: 'retail', type: 517 }]);
+      mockClient.isNotModified = jest.fn().mockReturnValue(true);
+      mockClient.getResponseCache = jest.fn().mockReturnValue({ entries: {}, ...RUN_CACHE });
+      mockParser.parseVersions.mockReturnValue(existingData.versions);
+      mockParser.findUnparsedVersions.mockReturnValue([
+        { name: '11.2.0a', variant: 'retail', gameVersionTypeId: 517, reason: 'suffix' }
+      ]);
+      const mockConsoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      fs.readFile.mockResolvedValue(JSON.stringify(existingData));
+
+      const result = await fetchAndSaveVersions({
+        cachePath: '/data/versions.cache.json',
+        unparsedReportPath: '/tmp/unparsed.md'
+      });
+
+      expect(result).toEqual({ changed: false, diff: { variants: {} } });
+      // Only the unparsed report, the run summary shows it on every run
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile).toHaveBeenCalledWith('/tmp/unparsed.md', expect.stringContaining('`11.2.0a`'));
+      expect(mockConsoleLog).toHaveBeenCalledWith('CurseForge returned no new data, versions.json is up to date');
+      expect(mockConsoleWarn).toHaveBeenCalledWith('- 11.2.0a (retail, type 517): unexpected suffix');
+
+      mockConsoleWarn.mockRestore();
+    });
+
+    it('should build versions.json again when game-versions.json changed since the last fetch', async () => {
+      const existingData = {
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        versions: [{ version: '110200', name: '11.2.0', variant: 'retail' }]
+      };
+      mockClient.getAllWowVersions.mockResolvedValue([{ name: '11.2.0', variant: 'retail', type: 517 }]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockClient.isNotModified = jest.fn().mockReturnValue(true);
+      mockClient.getResponseCache = jest.fn().mockReturnValue({ entries: {}, ...RUN_CACHE });
+      hashFile.mockImplementation(async filePath => (path.basename(filePath) === 'game-versions.json' ? 'edited' : 'hash'));
+      mockParser.parseVersions.mockReturnValue(existingData.versions);
+      fs.readFile.mockResolvedValue(JSON.stringify(existingData));
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveVersions({ outputPath: '/data/versions.json', cachePath: '/data/versions.cache.json' });
+
+      expect(mockConsoleLog).toHaveBeenCalledWith(
+        'game-versions.json changed since the last fetch, building the data files again'
+      );
+      expect(fs.writeFile).toHaveBeenCalledWith('/data/versions.json', expect.any(String));
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        '/data/versions.cache.json',
+        expect.stringContaining('"game-versions.json":"edited"')
+      );
+    });
+
+    it('should build versions.json again when the code changed since the last fetch', async () => {
+      const existingData = {
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        versions: [{ version: '110200', name: '11.2.0', variant: 'retail' }]
+      };
+      mockClient.getAllWowVersions.mockResolvedValue([{ name: '11.2.0', variant: 'retail', type: 517 }]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockClient.isNotModified = jest.fn().mockReturnValue(true);
+      mockClient.getResponseCache = jest.fn().mockReturnValue({ entries: {}, ...RUN_CACHE });
+      getCodeFingerprint.mockResolvedValue('new fingerprint');
+      mockParser.parseVersions.mockReturnValue(existingData.versions);
+      fs.readFile.mockResolvedValue(JSON.stringify(existingData));
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveVersions({ outputPath: '/data/versions.json', cachePath: '/data/versions.cache.json' });
+
+      expect(mockConsoleLog).toHaveBeenCalledWith('The code changed since the last fetch, building the data files again');
+      expect(fs.writeFile).toHaveBeenCalledWith('/data/versions.json', expect.any(String));
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        '/data/versions.cache.json',
+        expect.stringContaining('"fingerprint":"new fingerprint"')
+      );
+    });
+
+    it('should save the response cache after writing versions.json', async () => {
+      const responseCache = { entries: { 'game versions': { etag: '"abc"', data: {} } } };
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockClient.isNotModified = jest.fn().mockReturnValue(false);
+      mockClient.getResponseCache = jest.fn().mockReturnValue(responseCache);
+      mockParser.parseVersions.mockReturnValue([{ version: '110200', name: '11.2.0', variant: 'retail' }]);
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveVersions({ outputPath: '/data/versions.json', cachePath: '/data/versions.cache.json' });
+
+      expect(CurseForgeClient).toHaveBeenCalledWith('test-api-key', {
+        ...DEFAULT_CLIENT_CONFIG,
+        responseCache: { entries: {} },
+        offline: false,
+        recording: false
+      });
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        '/data/versions.cache.json',
+        JSON.stringify({ ...RUN_CACHE, ...responseCache })
+      );
+    });
+
+    it('should record the CurseForge responses as fixtures', async () => {
+      const recordedResponses = {
+        'game versions': { url: 'https://api.curseforge.com/v1/games/1/versions', recordedAt: '2025-06-01T00:00:00.000Z', data: {} }
+      };
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockClient.getRecordedResponses = jest.fn().mockReturnValue(recordedResponses);
+      mockParser.parseVersions.mockReturnValue([{ version: '110200', name: '11.2.0', variant: 'retail' }]);
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveVersions({ outputPath: '/data/versions.json', recordDir: '/fixtures', dryRun: true });
+
+      expect(CurseForgeClient).toHaveBeenCalledWith('test-api-key', expect.objectContaining({ recording: true }));
+      expect(fs.mkdir).toHaveBeenCalledWith('/fixtures', { recursive: true });
+      expect(fs.writeFile).toHaveBeenCalledWith('/fixtures/game-versions.json', expect.stringContaining('"label": "game versions"'));
+    });
+
+    it('should not rewrite any file when CurseForge only reorders the versions', async () => {
+      const files = {};
+      const parsedVersions = [
+        { version: '110200', name: '11.2.0', variant: 'retail' },
+        { version: '11503', name: '1.15.3', variant: 'classic_era' },
+        { version: '110107', name: '11.1.7', variant: 'retail' }
+      ];
+
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockParser.parseVersions.mockReturnValue(parsedVersions);
+      fs.readFile.mockImplementation(async filePath => {
+        if (files[filePath]) {
+          return files[filePath];
+        }
+        throw new Error('File not found');
+      });
+      fs.writeFile.mockImplementation(async (filePath, content) => {
+        files[filePath.replace(/\.\d+\.tmp$/, '')] = content;
+      });
+      fs.rename.mockResolvedValue();
+      fs.mkdir.mockResolvedValue();
+
+      await fetchAndSaveVersions();
+      const firstContent = files[fetchAndSaveVersions.DEFAULT_OUTPUT_PATH];
+
+      // Same versions in another order and with another field order
+      mockParser.parseVersions.mockReturnValue([...parsedVersions].reverse().map(version => ({
+        variant: version.variant,
+        name: version.name,
+        version: version.version
+      })));
+      fs.writeFile.mockClear();
+
+      const result = await fetchAndSaveVersions();
+
+      expect(result.changed).toBe(false);
+      expect(result.diff.variants).toEqual({});
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile.mock.calls[0][1]).toBe(firstContent);
+    });
+
+    it('should only move lastUpdatedByVariant of the variants that changed', async () => {
+      const existingData = {
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        lastUpdatedByVariant: { classic_era: '2022-01-01T00:00:00.000Z', retail: '2023-01-01T00:00:00.000Z' },
+        versions: [
+          { version: '11503', name: '1.15.3', variant: 'classic_era', releaseTimestamp: '2022-01-01T00:00:00.000Z' },
+          { version: '110107', name: '11.1.7', variant: 'retail', releaseTimestamp: '2023-01-01T00:00:00.000Z' }
+        ]
+      };
+
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockParser.parseVersions.mockReturnValue([
+        { version: '110200', name: '11.2.0', variant: 'retail' },
+        { version: '110107', name: '11.1.7', variant: 'retail' },
+        { version: '11503', name: '1.15.3', variant: 'classic_era' }
+      ]);
+      fs.readFile.mockResolvedValue(JSON.stringify(existingData));
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveVersions();
+
+      const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(savedData.lastUpdatedByVariant.classic_era).toBe('2022-01-01T00:00:00.000Z');
+      expect(savedData.lastUpdatedByVariant.retail).toBe(savedData.lastUpdated);
+      expect(savedData.lastUpdated).not.toBe(existingData.lastUpdated);
+    });
+
+    it('should carry forward release timestamps of known versions', async () => {
+      const existingData = {
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        versions: [
+          { version: '110100', name: '11.1.0', variant: 'retail', releaseTimestamp: '2022-11-15T00:00:00.000Z' },
+          { version: '110200', name: '11.2.0', variant: 'classic_era', releaseTimestamp: '2021-01-01T00:00:00.000Z' }
+        ]
+      };
+
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockParser.parseVersions.mockReturnValue([
+        { version: '110200', name: '11.2.0', variant: 'retail' },
+        { version: '110100', name: '11.1.0', variant: 'retail' }
+      ]);
+      fs.readFile.mockResolvedValue(JSON.stringify(existingData));
+      fs.writeFile.mockResolvedValue();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      // The classic_era variant disappears, which only --force lets through
+      await fetchAndSaveVersions({ force: true });
+      console.warn.mockRestore();
+
+      const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      const byKey = Object.fromEntries(savedData.versions.map(v => [`${v.variant}:${v.name}`, v.releaseTimestamp]));
+
+      expect(byKey['retail:11.1.0']).toBe('2022-11-15T00:00:00.000Z');
+      // Same name in another variant is a different version
+      expect(byKey['retail:11.2.0']).not.toBe('2021-01-01T00:00:00.000Z');
+      expect(new Date(byKey['retail:11.2.0']).getTime()).toBeGreaterThan(Date.now() - 60000);
+      expect(savedData.versionsByVariant.retail[1].releaseTimestamp).toBe('2022-11-15T00:00:00.000Z');
+    });
+
+    it('should keep versions missing from the fetch as withdrawn tombstones', async () => {
+      const existingData = {
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        versions: [
+          { version: '110200', name: '11.2.0', variant: 'retail', releaseTimestamp: '2023-01-01T00:00:00.000Z' },
+          { version: '110107', name: '11.1.7', variant: 'retail', releaseTimestamp: '2022-11-15T00:00:00.000Z' },
+          {
+            version: '110100',
+            name: '11.1.0',
+            variant: 'retail',
+            releaseTimestamp: '2022-01-01T00:00:00.000Z',
+            withdrawn: true,
+            withdrawnTimestamp: '2022-06-01T00:00:00.000Z'
+          }
+        ]
+      };
+
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockParser.parseVersions.mockReturnValue([{ version: '110200', name: '11.2.0', variant: 'retail' }]);
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath.endsWith('versions.json') && !filePath.endsWith('game-versions.json')) {
+          return JSON.stringify(existingData);
+        }
+        throw new Error('File not found');
+      });
+      fs.writeFile.mockResolvedValue();
+
+      const result = await fetchAndSaveVersions({ maxShrinkPercent: 50 });
+
+      const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(savedData.versions.slice(1)).toEqual([
+        { ...existingData.versions[1], withdrawn: true, withdrawnTimestamp: savedData.lastUpdated },
+        existingData.versions[2]
+      ]);
+      expect(savedData.summary.retail).toBe(1);
+      expect(savedData.versionsByVariant.retail.map(v => v.name)).toEqual(['11.2.0']);
+      expect(result.diff.variants.retail.removed).toEqual([{ name: '11.1.7', version: '110107' }]);
+
+      const patchDatasource = fs.writeFile.mock.calls.find(call => call[0].includes('patch.json'));
+      expect(JSON.parse(patchDatasource[1]).releases).toEqual([
+        { version: '11.2.0', releaseTimestamp: '2023-01-01T00:00:00.000Z' },
+        { version: '11.1.7', releaseTimestamp: '2022-11-15T00:00:00.000Z', isDeprecated: true },
+        { version: '11.1.0', releaseTimestamp: '2022-01-01T00:00:00.000Z', isDeprecated: true }
+      ]);
+    });
+
+    it('should publish new versions only after the given number of consecutive fetches', async () => {
+      const known = { version: '110107', name: '11.1.7', variant: 'retail' };
+      const fresh = { version: '110200', name: '11.2.0', variant: 'retail' };
+      const existingData = {
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        versions: [{ ...known, releaseTimestamp: '2023-01-01T00:00:00.000Z' }]
+      };
+      let pendingState = null;
+
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockParser.parseVersions.mockReturnValue([known, fresh]);
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath.endsWith('versions.pending.json') && pendingState) {
+          return pendingState;
+        }
+        if (filePath.endsWith(`${path.sep}versions.json`)) {
+          return JSON.stringify(existingData);
+        }
+        throw new Error('File not found');
+      });
+      fs.writeFile.mockImplementation(async (filePath, content) => {
+        if (filePath.endsWith('versions.pending.json')) {
+          pendingState = content;
+        }
+      });
+
+      const first = await fetchAndSaveVersions({ pendingRuns: 2 });
+
+      const firstSave = fs.writeFile.mock.calls.find(call => call[0].endsWith(`${path.sep}versions.json`));
+      expect(JSON.parse(firstSave[1]).versions.map(v => v.name)).toEqual(['11.1.7']);
+      expect(first.diff.pending).toEqual([
+        { variant: 'retail', name: '11.2.0', version: '110200', seenCount: 1, requiredRuns: 2 }
+      ]);
+      expect(JSON.parse(pendingState).entries['retail:11.2.0'].seenCount).toBe(1);
+      const { firstSeen } = JSON.parse(pendingState).entries['retail:11.2.0'];
+
+      fs.writeFile.mockClear();
+      const second = await fetchAndSaveVersions({ pendingRuns: 2 });
+
+      const secondSave = fs.writeFile.mock.calls.find(call => call[0].endsWith(`${path.sep}versions.json`));
+      expect(second.changed).toBe(true);
+      expect(JSON.parse(secondSave[1]).versions.map(v => v.name)).toEqual(['11.2.0', '11.1.7']);
+      // Released when it was first seen, not when the debounce published it
+      expect(JSON.parse(secondSave[1]).versions[0].releaseTimestamp).toBe(firstSeen);
+      expect(second.diff.variants.retail.added).toEqual([]);
+      expect(second.diff.variants.retail.promoted).toEqual([{ name: '11.2.0', version: '110200', seenCount: 2 }]);
+      expect(second.diff.pending).toEqual([]);
+      expect(JSON.parse(pendingState)).toEqual({ entries: {} });
+    });
+
+    it('should link versions with the gameVersion IDs of game-versions.json', async () => {
+      const mockConsoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const gameVersionsData = {
+        releases: [
+          { version: '13433', originalVersion: '11.2.0', variant: 'retail', releaseTimestamp: '2025-01-01T00:00:00.000Z' }
+        ]
+      };
+
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockParser.parseVersions.mockReturnValue([
+        { version: '110200', name: '11.2.0', variant: 'retail' },
+        { version: '11503', name: '1.15.3', variant: 'classic_era' }
+      ]);
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath.endsWith('game-versions.json')) {
+          return JSON.stringify(gameVersionsData);
+        }
+        throw new Error('File not found');
+      });
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveVersions();
+
+      const savedData = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(savedData.versions[1].gameVersionId).toBe(13433);
+      expect(savedData.versions[0]).not.toHaveProperty('gameVersionId');
+      expect(mockConsoleWarn).toHaveBeenCalledWith('- 1.15.3 (classic_era, interface 11503) has no gameVersion ID');
+
+      mockConsoleWarn.mockRestore();
+    });
+
+    it('should write the changelog when a changelog path is given', async () => {
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockParser.parseVersions.mockReturnValue([
+        { version: '110200', name: '11.2.0', variant: 'retail' }
+      ]);
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveVersions({ changelogPath: '/tmp/changelog.md' });
+
+      const changelogCall = fs.writeFile.mock.calls.find(call => call[0] === '/tmp/changelog.md');
+      expect(changelogCall[1]).toContain('- Added `11.2.0` (interface `110200`)');
+    });
+
+    it('should write and print the names that could not be parsed', async () => {
+      const mockConsoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockParser.parseVersions.mockReturnValue([{ version: '110200', name: '11.2.0', variant: 'retail' }]);
+      mockParser.findUnparsedVersions.mockReturnValue([
+        { name: '11.2.0-beta', variant: 'retail', gameVersionTypeId: 517, reason: 'suffix' }
+      ]);
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+      fs.writeFile.mockResolvedValue();
+
+      await fetchAndSaveVersions({ unparsedReportPath: '/tmp/unparsed.md' });
+
+      const reportCall = fs.writeFile.mock.calls.find(call => call[0] === '/tmp/unparsed.md');
+      expect(reportCall[1]).toContain('| `11.2.0-beta` | retail | 517 | unexpected suffix |');
+      expect(mockConsoleWarn).toHaveBeenCalledWith('- 11.2.0-beta (retail, type 517): unexpected suffix');
+    });
+
+    it('should not write versions.json in dry-run mode', async () => {
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockParser.parseVersions.mockReturnValue([
+        { version: '110200', name: '11.2.0', variant: 'retail' }
+      ]);
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+
+      const result = await fetchAndSaveVersions({ dryRun: true });
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(result.changed).toBe(true);
+      expect(result.diff.variants.retail.added).toEqual([{ name: '11.2.0', version: '110200' }]);
+      expect(mockConsoleLog).toHaveBeenCalledWith('Dry run: versions.json would change');
+    });
+
+    it('should report no changes in dry-run mode when versions.json is up to date', async () => {
+      mockClient.getAllWowVersions.mockResolvedValue([]);
+      mockClient.getVersionTypes.mockReturnValue({});
+      mockParser.parseVersions.mockReturnValue([]);
+      fs.readFile.mockRejectedValue(new Error('File not found'));
+      fs.writeFile.mockResolvedValue();
+
+      // Capture what a real run writes and feed it back as existing file
+      await fetchAndSaveVersions();
+      fs.readFile.mockResolvedValue(fs.writeFile.mock.calls[0][1]);
+      fs.writeFile.mockClear();
+
+      const result = await fetchAndSaveVersions({ dryRun: true });
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(result.changed).toBe(false);
+      expect(mockConsoleLog).toHaveBeenCalledWith('Dry run: versions.json would not change');
+    });
+
+    it('should throw an UpstreamError when fetching fails', async () => {
+      const apiError = new Error('API Error');
+      mockClient.getAllWowVersions.mockRejectedValue(apiError);
+
+      const error = await fetchAndSaveVersions().catch(e => e);
+
+      expect(error).toBeInstanceOf(UpstreamError);
+      expect(error.message).toBe('Failed to fetch WoW versions from CurseForge: API Error');
+      expect(error.cause).toBe(apiError);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+
+    it('should throw a MissingCredentialsError when the API key is not set', async () => {
+      delete process.env.CURSEFORGE_API_KEY;
 
-      await expect(fetchAndSaveVersions()).rejects.toThrow('process.exit called');
+      await expect(fetchAndSaveVersions()).rejects.toThrow(MissingCredentialsError);
 
-      expect(mockConsoleError).toHaveBeenCalledWith('Error fetching versions:', expect.any(Error));
-      expect(mockExit).toHaveBeenCalledWith(1);
+      expect(mockClient.getAllWowVersions).not.toHaveBeenCalled();
+      expect(mockExit).not.toHaveBeenCalled();
     });
   });
 
@@ -194,7 +667,8 @@ describe('fetch-versions', () => {
       CurseForgeClient.mockImplementation(() => mockClient);
 
       const mockParser = {
-        parseVersions: jest.fn().mockReturnValue(mockParsedVersions)
+        parseVersions: jest.fn().mockReturnValue(mockParsedVersions),
+        findUnparsedVersions: jest.fn().mockReturnValue([])
       };
       VersionParser.mockImplementation(() => mockParser);
 
@@ -232,7 +706,8 @@ describe('fetch-versions', () => {
       CurseForgeClient.mockImplementation(() => mockClient);
 
       const mockParser = {
-        parseVersions: jest.fn().mockReturnValue([])
+        parseVersions: jest.fn().mockReturnValue([]),
+        findUnparsedVersions: jest.fn().mockReturnValue([])
       };
       VersionParser.mockImplementation(() => mockParser);
 
@@ -255,7 +730,8 @@ describe('fetch-versions', () => {
       CurseForgeClient.mockImplementation(() => mockClient);
 
       const mockParser = {
-        parseVersions: jest.fn().mockReturnValue([])
+        parseVersions: jest.fn().mockReturnValue([]),
+        findUnparsedVersions: jest.fn().mockReturnValue([])
       };
       VersionParser.mockImplementation(() => mockParser);
 
@@ -293,7 +769,8 @@ describe('fetch-versions', () => {
       CurseForgeClient.mockImplementation(() => mockClient);
 
       const mockParser = {
-        parseVersions: jest.fn().mockReturnValue(mockParsedVersions)
+        parseVersions: jest.fn().mockReturnValue(mockParsedVersions),
+        findUnparsedVersions: jest.fn().mockReturnValue([])
       };
       VersionParser.mockImplementation(() => mockParser);
 
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    readdir: jest.fn()
+  }
+}));
+
+const { hashFile, hashDirectory, getCodeFingerprint } = require('../file-hashes');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+const file = name => ({ name, isDirectory: () => false });
+const dir = name => ({ name, isDirectory: () => true });
+
+describe('file-hashes', () => {
+  // A directory tree by path, with file contents as strings
+  let tree;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    tree = {
+      '/data/datasources': [dir('wow'), file('index.json')],
+      '/data/datasources/wow': [file('retail.json')],
+      '/data/datasources/index.json': '{}',
+      '/data/datasources/wow/retail.json': '{"releases":[]}'
+    };
+
+    fs.readFile.mockImplementation(async filePath => {
+      if (typeof tree[filePath] !== 'string') {
+        throw new Error('ENOENT');
+      }
+      return Buffer.from(tree[filePath]);
+    });
+    fs.readdir.mockImplementation(async dirPath => {
+      if (!Array.isArray(tree[dirPath])) {
+        throw new Error('ENOENT');
+      }
+      return tree[dirPath];
+    });
+  });
+
+  describe('hashFile', () => {
+    it('should hash the content of a file', async () => {
+      await expect(hashFile('/data/datasources/index.json')).resolves.toBe(sha256('{}'));
+    });
+
+    it('should return null for a missing file', async () => {
+      await expect(hashFile('/data/versions.json')).resolves.toBeNull();
+    });
+  });
+
+  describe('hashDirectory', () => {
+    it('should hash the files below a directory with their relative paths', async () => {
+      const expected = crypto.createHash('sha256')
+        .update(`index.json\n${sha256('{}')}\n`)
+        .update(`${path.join('wow', 'retail.json')}\n${sha256('{"releases":[]}')}\n`)
+        .digest('hex');
+
+      await expect(hashDirectory('/data/datasources')).resolves.toBe(expected);
+    });
+
+    it('should change when a file is renamed', async () => {
+      const before = await hashDirectory('/data/datasources');
+
+      tree['/data/datasources/wow'] = [file('classic.json')];
+      tree['/data/datasources/wow/classic.json'] = tree['/data/datasources/wow/retail.json'];
+
+      await expect(hashDirectory('/data/datasources')).resolves.not.toBe(before);
+    });
+
+    it('should skip test directories', async () => {
+      const before = await hashDirectory('/data/datasources');
+
+      tree['/data/datasources'] = [...tree['/data/datasources'], dir('__tests__')];
+      tree['/data/datasources/__tests__'] = [file('index.test.js')];
+
+      await expect(hashDirectory('/data/datasources')).resolves.toBe(before);
+    });
+
+    it('should return null for a missing or empty directory', async () => {
+      await expect(hashDirectory('/data/missing')).resolves.toBeNull();
+
+      tree['/data/empty'] = [];
+      await expect(hashDirectory('/data/empty')).resolves.toBeNull();
+    });
+  });
+
+  describe('getCodeFingerprint', () => {
+    it('should hash src and schemas once per process', async () => {
+      const fingerprint = await getCodeFingerprint();
+
+      expect(fingerprint).toMatch(/^[0-9a-f]{64}$/);
+      expect(fs.readdir).toHaveBeenCalledWith(path.join(__dirname, '..', '..', 'src'), { withFileTypes: true });
+      expect(fs.readdir).toHaveBeenCalledWith(path.join(__dirname, '..', '..', 'schemas'), { withFileTypes: true });
+
+      fs.readdir.mockClear();
+      await expect(getCodeFingerprint()).resolves.toBe(fingerprint);
+      expect(fs.readdir).not.toHaveBeenCalled();
+    });
+  });
+});
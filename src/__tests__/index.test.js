@@ -0,0 +1,46 @@
+const api = require('../index');
+const packageInfo = require('../../package.json');
+
+describe('index', () => {
+  it('should be the package main entry', () => {
+    expect(require.resolve('../index')).toBe(require.resolve(`../../${packageInfo.main}`));
+  });
+
+  it('should export the client, parser and fetch pipelines', () => {
+    expect(api.CurseForgeClient).toBe(require('../curseforge-client'));
+    expect(api.readClientConfig).toBe(require('../client-config').readClientConfig);
+    expect(api.VersionParser).toBe(require('../version-parser'));
+    expect(api.fetchAndSaveVersions).toBe(require('../fetch-versions'));
+    expect(api.fetchAndSaveGameVersions).toBe(require('../fetch-game-versions'));
+    expect(api.fetchAndSaveAll).toBe(require('../fetch-all'));
+  });
+
+  it('should export the query helpers', () => {
+    [
+      'loadVersions',
+      'loadGameVersions',
+      'getLatestVersions',
+      'getLatestVersion',
+      'findByInterface',
+      'findByName',
+      'getVersionsInRange',
+      'findGameVersions',
+      'validateDataset',
+      'getSchema',
+      'generateDatasources'
+    ].forEach(name => expect(typeof api[name]).toBe('function'));
+  });
+
+  it('should export the schema version', () => {
+    expect(api.SCHEMA_VERSION).toBe(api.getSchema('versions').properties.schemaVersion.const);
+  });
+
+  it('should export the error classes', () => {
+    expect(new api.UpstreamError('x')).toBeInstanceOf(api.WowDataError);
+    expect(new api.CredentialsRejectedError('x')).toBeInstanceOf(api.UpstreamError);
+    expect(new api.NetworkError('x')).toBeInstanceOf(api.UpstreamError);
+    expect(new api.UsageError('x')).toBeInstanceOf(api.WowDataError);
+    expect(new api.ShrinkError('x', ['variant retail disappeared'])).toBeInstanceOf(api.WowDataError);
+    expect(new api.ShrinkError('x', ['variant retail disappeared']).reasons).toEqual(['variant retail disappeared']);
+  });
+});
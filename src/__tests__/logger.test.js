@@ -0,0 +1,61 @@
+const { formatJsonLine, setLogFormat } = require('../logger');
+const { addSecret, clearSecrets } = require('../redaction');
+
+describe('logger', () => {
+  describe('formatJsonLine', () => {
+    it('should format the arguments like console does', () => {
+      const line = JSON.parse(formatJsonLine('warn', ['Found %d versions', 3]));
+
+      expect(line.level).toBe('warn');
+      expect(line.message).toBe('Found 3 versions');
+      expect(new Date(line.time).toISOString()).toBe(line.time);
+    });
+
+    it('should redact registered secrets', () => {
+      addSecret('secret-api-key');
+      const line = JSON.parse(formatJsonLine('error', ['Request with secret-api-key failed']));
+      clearSecrets();
+
+      expect(line.message).toBe('Request with [REDACTED] failed');
+    });
+  });
+
+  describe('setLogFormat', () => {
+    let stdoutWrite;
+    let stderrWrite;
+
+    beforeEach(() => {
+      stdoutWrite = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      stderrWrite = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should leave the console untouched in text format', () => {
+      const log = console.log;
+      const restore = setLogFormat('text');
+
+      expect(console.log).toBe(log);
+      restore();
+    });
+
+    it('should write JSON lines in json format and restore the console', () => {
+      const log = console.log;
+      const restore = setLogFormat('json');
+
+      console.log('hello');
+      console.error('failed');
+      restore();
+
+      expect(JSON.parse(stdoutWrite.mock.calls[0][0])).toMatchObject({ level: 'info', message: 'hello' });
+      expect(JSON.parse(stderrWrite.mock.calls[0][0])).toMatchObject({ level: 'error', message: 'failed' });
+      expect(console.log).toBe(log);
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => setLogFormat('xml')).toThrow(TypeError);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn()
+  }
+}));
+
+const {
+  getPendingStatePath,
+  readPendingState,
+  savePendingState,
+  debounceNewEntries,
+  hasPendingEntries
+} = require('../pending-entries');
+
+describe('pending-entries', () => {
+  const FIRST_FETCH = '2025-06-01T00:00:00.000Z';
+  const SECOND_FETCH = '2025-06-02T00:00:00.000Z';
+  const getKey = entry => entry.version;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('getPendingStatePath', () => {
+    it('should put the state file next to the data file', () => {
+      expect(getPendingStatePath('/data/versions.json')).toBe('/data/versions.pending.json');
+      expect(getPendingStatePath('/data/game-versions.json')).toBe('/data/game-versions.pending.json');
+    });
+  });
+
+  describe('readPendingState', () => {
+    it('should read the state file', async () => {
+      const state = { entries: { 110200: { entry: { version: '110200' }, seenCount: 1 } } };
+      fs.readFile.mockResolvedValue(JSON.stringify(state));
+
+      await expect(readPendingState('versions.pending.json')).resolves.toEqual(state);
+    });
+
+    it('should fall back to an empty state', async () => {
+      fs.readFile.mockRejectedValueOnce(new Error('File not found'));
+      await expect(readPendingState('versions.pending.json')).resolves.toEqual({ entries: {} });
+
+      fs.readFile.mockResolvedValueOnce('not json');
+      await expect(readPendingState('versions.pending.json')).resolves.toEqual({ entries: {} });
+    });
+  });
+
+  describe('savePendingState', () => {
+    it('should write the state as JSON', async () => {
+      await savePendingState('versions.pending.json', { entries: {} });
+
+      expect(fs.writeFile).toHaveBeenCalledWith('versions.pending.json', JSON.stringify({ entries: {} }, null, 2));
+    });
+  });
+
+  describe('debounceNewEntries', () => {
+    const known = { version: '110107', variant: 'retail' };
+    const fresh = { version: '110200', variant: 'retail' };
+
+    it('should hold back new entries and pass published ones through', () => {
+      const result = debounceNewEntries([known, fresh], new Set(['110107']), { entries: {} }, getKey, 2, FIRST_FETCH);
+
+      expect(result.entries).toEqual([known]);
+      expect(result.pending).toEqual([{ entry: fresh, seenCount: 1, firstSeen: FIRST_FETCH }]);
+      expect(result.promoted).toEqual([]);
+      expect(result.state).toEqual({
+        entries: { 110200: { entry: fresh, seenCount: 1, firstSeen: FIRST_FETCH, lastSeen: FIRST_FETCH } }
+      });
+    });
+
+    it('should promote entries seen in enough consecutive fetches', () => {
+      const first = debounceNewEntries([known, fresh], new Set(['110107']), { entries: {} }, getKey, 2, FIRST_FETCH);
+      const second = debounceNewEntries([known, fresh], new Set(['110107']), first.state, getKey, 2, SECOND_FETCH);
+
+      expect(second.entries).toEqual([known, { ...fresh, releaseTimestamp: FIRST_FETCH }]);
+      expect(second.promoted).toEqual([{ entry: fresh, seenCount: 2, firstSeen: FIRST_FETCH }]);
+      expect(second.pending).toEqual([]);
+      expect(second.state).toEqual({ entries: {} });
+    });
+
+    it('should start over when a pending entry is missing from a fetch', () => {
+      const first = debounceNewEntries([known, fresh], new Set(['110107']), { entries: {} }, getKey, 2, FIRST_FETCH);
+      const second = debounceNewEntries([known], new Set(['110107']), first.state, getKey, 2, SECOND_FETCH);
+      const third = debounceNewEntries([known, fresh], new Set(['110107']), second.state, getKey, 2, SECOND_FETCH);
+
+      expect(second.state).toEqual({ entries: {} });
+      expect(third.entries).toEqual([known]);
+      expect(third.pending).toEqual([{ entry: fresh, seenCount: 1, firstSeen: SECOND_FETCH }]);
+    });
+
+    it('should not hold anything back without published entries', () => {
+      const result = debounceNewEntries([known, fresh], new Set(), { entries: {} }, getKey, 3, FIRST_FETCH);
+
+      expect(result.entries).toEqual([known, fresh]);
+      expect(result.pending).toEqual([]);
+    });
+  });
+
+  describe('hasPendingEntries', () => {
+    it('should tell whether entries are pending or were promoted', () => {
+      expect(hasPendingEntries(null)).toBe(false);
+      expect(hasPendingEntries({ pending: [], promoted: [] })).toBe(false);
+      expect(hasPendingEntries({ pending: [{ seenCount: 1 }], promoted: [] })).toBe(true);
+      expect(hasPendingEntries({ pending: [], promoted: [{ seenCount: 2 }] })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { REDACTED, addSecret, clearSecrets, redact, redactConsole } = require('../redaction');
+
+describe('redaction', () => {
+  const SECRET = 'secret-api-key+1';
+
+  beforeEach(() => {
+    clearSecrets();
+  });
+
+  describe('redact', () => {
+    it('should replace registered secrets, also URL-encoded', () => {
+      addSecret(SECRET);
+
+      expect(redact(`key ${SECRET} and ${encodeURIComponent(SECRET)}`)).toBe(`key ${REDACTED} and ${REDACTED}`);
+    });
+
+    it('should replace token query parameters of unregistered keys', () => {
+      expect(redact('GET https://wow.curseforge.com/api/game/versions?token=abc&x=1 failed')).toBe(
+        `GET https://wow.curseforge.com/api/game/versions?token=${REDACTED}&x=1 failed`
+      );
+      expect(redact('/v1/games?api_key=abc')).toBe(`/v1/games?api_key=${REDACTED}`);
+    });
+
+    it('should ignore secrets that are not set or too short', () => {
+      addSecret(undefined);
+      addSecret('1');
+
+      expect(redact('version 11.2.0')).toBe('version 11.2.0');
+    });
+  });
+
+  describe('redactConsole', () => {
+    it('should redact the console while installed', () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      addSecret(SECRET);
+
+      const restore = redactConsole();
+      console.log('Using key', SECRET);
+      restore();
+
+      expect(log).toHaveBeenCalledWith(`Using key ${REDACTED}`);
+      expect(console.log).toBe(log);
+      log.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  getVersionKey,
+  getGameVersionKey,
+  buildTimestampIndex,
+  applyReleaseTimestamps
+} = require('../release-timestamps');
+
+describe('release-timestamps', () => {
+  const fetchTime = '2025-08-01T12:00:00.000Z';
+
+  describe('getVersionKey', () => {
+    it('should combine variant and name', () => {
+      expect(getVersionKey({ name: '1.15.3', variant: 'classic_era' })).toBe('classic_era:1.15.3');
+    });
+  });
+
+  describe('getGameVersionKey', () => {
+    it('should use the gameVersion ID as string', () => {
+      expect(getGameVersionKey({ version: 12919 })).toBe('12919');
+    });
+  });
+
+  describe('buildTimestampIndex', () => {
+    it('should skip entries without a timestamp', () => {
+      const index = buildTimestampIndex([
+        { version: '1', releaseTimestamp: '2024-01-01T00:00:00.000Z' },
+        { version: '2' }
+      ], getGameVersionKey);
+
+      expect(index.size).toBe(1);
+      expect(index.get('1')).toBe('2024-01-01T00:00:00.000Z');
+    });
+
+    it('should return an empty index for missing data', () => {
+      expect(buildTimestampIndex(undefined, getGameVersionKey).size).toBe(0);
+    });
+  });
+
+  describe('applyReleaseTimestamps', () => {
+    it('should keep existing timestamps and stamp new entries with the fetch time', () => {
+      const existing = [
+        { name: '1.15.3', variant: 'classic_era', releaseTimestamp: '2024-05-01T00:00:00.000Z' }
+      ];
+      const entries = [
+        { name: '1.15.3', variant: 'classic_era' },
+        { name: '1.15.4', variant: 'classic_era' }
+      ];
+
+      const result = applyReleaseTimestamps(entries, existing, getVersionKey, fetchTime);
+
+      expect(result[0].releaseTimestamp).toBe('2024-05-01T00:00:00.000Z');
+      expect(result[1].releaseTimestamp).toBe(fetchTime);
+    });
+
+    it('should keep the timestamp a new entry carries', () => {
+      const entries = [{ name: '1.15.4', variant: 'classic_era', releaseTimestamp: '2025-07-30T12:00:00.000Z' }];
+
+      const result = applyReleaseTimestamps(entries, [], getVersionKey, fetchTime);
+
+      expect(result[0].releaseTimestamp).toBe('2025-07-30T12:00:00.000Z');
+    });
+
+    it('should not modify the input entries', () => {
+      const entries = [{ name: '1.15.3', variant: 'classic_era' }];
+
+      applyReleaseTimestamps(entries, null, getVersionKey, fetchTime);
+
+      expect(entries[0]).not.toHaveProperty('releaseTimestamp');
+    });
+  });
+});
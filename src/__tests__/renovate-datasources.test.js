@@ -0,0 +1,209 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  getDatasourcesDir,
+  buildVersionsDatasources,
+  buildGameVersionsDatasources,
+  findChangedDatasources,
+  saveDatasources,
+  generateDatasources
+} = require('../renovate-datasources');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    mkdir: jest.fn(),
+    rename: jest.fn(),
+    copyFile: jest.fn(),
+    unlink: jest.fn()
+  }
+}));
+
+const VERSIONS = {
+  versions: [
+    { version: '11506', name: '1.15.6', variant: 'classic_era', releaseTimestamp: '2025-02-01T00:00:00.000Z' },
+    { version: '11507', name: '1.15.7', variant: 'classic_era', releaseTimestamp: '2025-05-01T00:00:00.000Z' },
+    { version: '11507', name: '1.15.7', variant: 'classic_era', releaseTimestamp: '2025-04-01T00:00:00.000Z' },
+    { version: '110107', name: '11.1.7', variant: 'retail', releaseTimestamp: '2025-06-01T00:00:00.000Z' }
+  ]
+};
+
+const GAME_VERSIONS = {
+  releases: [
+    { version: '12919', originalVersion: '1.15.7', variant: 'classic_era', releaseTimestamp: '2025-04-02T00:00:00.000Z' },
+    { version: '13245', originalVersion: '11.1.7', variant: 'retail', releaseTimestamp: '2025-06-02T00:00:00.000Z' },
+    { version: '9000', originalVersion: '3.80.0', variant: 'unknown', releaseTimestamp: '2025-06-02T00:00:00.000Z' }
+  ]
+};
+
+describe('renovate-datasources', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDatasourcesDir', () => {
+    it('should place the datasources next to the data file', () => {
+      expect(getDatasourcesDir(path.join('data', 'versions.json'))).toBe(path.join('data', 'datasources'));
+    });
+  });
+
+  describe('buildVersionsDatasources', () => {
+    it('should build interface and patch releases per variant, newest first', () => {
+      const datasources = buildVersionsDatasources(VERSIONS);
+
+      expect(datasources.map(datasource => datasource.path)).toEqual([
+        path.join('classic_era', 'interface.json'),
+        path.join('classic_era', 'patch.json'),
+        path.join('retail', 'interface.json'),
+        path.join('retail', 'patch.json')
+      ]);
+      expect(datasources[0].data).toEqual({
+        releases: [
+          { version: '11507', releaseTimestamp: '2025-04-01T00:00:00.000Z' },
+          { version: '11506', releaseTimestamp: '2025-02-01T00:00:00.000Z' }
+        ]
+      });
+      expect(datasources[1].data.releases.map(release => release.version)).toEqual(['1.15.7', '1.15.6']);
+    });
+
+    it('should deprecate releases whose entries are all withdrawn', () => {
+      const [interfaceDatasource, patchDatasource] = buildVersionsDatasources({
+        versions: [
+          { version: '11507', name: '1.15.7', variant: 'classic_era' },
+          { version: '11507', name: '1.15.7.1', variant: 'classic_era', withdrawn: true },
+          { version: '11506', name: '1.15.6', variant: 'classic_era', withdrawn: true }
+        ]
+      });
+
+      expect(interfaceDatasource.data.releases).toEqual([
+        { version: '11507' },
+        { version: '11506', isDeprecated: true }
+      ]);
+      expect(patchDatasource.data.releases).toEqual([
+        { version: '1.15.7' },
+        { version: '1.15.7.1', isDeprecated: true },
+        { version: '1.15.6', isDeprecated: true }
+      ]);
+    });
+
+    it('should build the interface release from the canonical name only', () => {
+      const [interfaceDatasource, patchDatasource] = buildVersionsDatasources({
+        versions: [
+          { version: '40003', name: '4.0.3a', variant: 'retail', releaseTimestamp: '2010-10-01T00:00:00.000Z', canonical: false },
+          { version: '40003', name: '4.0.3', variant: 'retail', releaseTimestamp: '2010-11-01T00:00:00.000Z', withdrawn: true, canonical: true }
+        ]
+      });
+
+      expect(interfaceDatasource.data.releases).toEqual([
+        { version: '40003', releaseTimestamp: '2010-11-01T00:00:00.000Z', isDeprecated: true }
+      ]);
+      expect(patchDatasource.data.releases.map(release => release.version)).toEqual(['4.0.3a', '4.0.3']);
+    });
+
+    it('should omit releaseTimestamp when an entry has none', () => {
+      const [datasource] = buildVersionsDatasources({ versions: [{ version: '11507', name: '1.15.7', variant: 'classic_era' }] });
+
+      expect(datasource.data).toEqual({ releases: [{ version: '11507' }] });
+    });
+  });
+
+  describe('buildGameVersionsDatasources', () => {
+    it('should build gameVersion ID releases per variant, skipping unmapped version types', () => {
+      expect(buildGameVersionsDatasources(GAME_VERSIONS)).toEqual([
+        {
+          path: path.join('classic_era', 'gameversion.json'),
+          data: { releases: [{ version: '12919', releaseTimestamp: '2025-04-02T00:00:00.000Z' }] }
+        },
+        {
+          path: path.join('retail', 'gameversion.json'),
+          data: { releases: [{ version: '13245', releaseTimestamp: '2025-06-02T00:00:00.000Z' }] }
+        }
+      ]);
+    });
+  });
+
+  describe('findChangedDatasources', () => {
+    it('should skip files whose content is unchanged', async () => {
+      const datasources = buildGameVersionsDatasources(GAME_VERSIONS);
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath.includes('classic_era')) {
+          return JSON.stringify(datasources[0].data, null, 2);
+        }
+        throw new Error('ENOENT');
+      });
+
+      const files = await findChangedDatasources('datasources', datasources);
+
+      expect(files).toEqual([{
+        path: path.join('datasources', 'retail', 'gameversion.json'),
+        content: JSON.stringify(datasources[1].data, null, 2)
+      }]);
+    });
+  });
+
+  describe('saveDatasources', () => {
+    it('should create the variant directories and write through temp files', async () => {
+      const filePath = path.join('datasources', 'retail', 'gameversion.json');
+
+      await saveDatasources([{ path: filePath, content: '{}' }]);
+
+      expect(fs.mkdir).toHaveBeenCalledWith(path.join('datasources', 'retail'), { recursive: true });
+      expect(fs.writeFile).toHaveBeenCalledWith(`${filePath}.${process.pid}.tmp`, '{}');
+      expect(fs.rename).toHaveBeenCalledWith(`${filePath}.${process.pid}.tmp`, filePath);
+    });
+
+    it('should do nothing without files', async () => {
+      await saveDatasources([]);
+
+      expect(fs.mkdir).not.toHaveBeenCalled();
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateDatasources', () => {
+    it('should regenerate the datasources of both data files', async () => {
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath === 'versions.json') {
+          return JSON.stringify(VERSIONS);
+        }
+        if (filePath === 'game-versions.json') {
+          return JSON.stringify(GAME_VERSIONS);
+        }
+        throw new Error('ENOENT');
+      });
+
+      const result = await generateDatasources({ versionsPath: 'versions.json', gameVersionsPath: 'game-versions.json' });
+
+      expect(result.changed).toBe(true);
+      expect(result.files).toHaveLength(6);
+      expect(fs.rename).toHaveBeenCalledTimes(6);
+    });
+
+    it('should not write in dry-run mode', async () => {
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath === 'versions.json') {
+          return JSON.stringify(VERSIONS);
+        }
+        if (filePath === 'game-versions.json') {
+          return JSON.stringify(GAME_VERSIONS);
+        }
+        throw new Error('ENOENT');
+      });
+
+      const result = await generateDatasources({
+        versionsPath: 'versions.json',
+        gameVersionsPath: 'game-versions.json',
+        dryRun: true
+      });
+
+      expect(result.changed).toBe(true);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+});
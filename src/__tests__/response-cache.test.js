@@ -0,0 +1,140 @@
+const fs = require('fs').promises;
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    readdir: jest.fn()
+  }
+}));
+
+const {
+  readResponseCache,
+  saveResponseCache,
+  isOfflineRun,
+  readCacheOptions,
+  getConditionalHeaders,
+  toCacheEntry
+} = require('../response-cache');
+const { UsageError } = require('../errors');
+
+describe('response-cache', () => {
+  const FETCHED_AT = '2025-06-01T00:00:00.000Z';
+  const ENTRY = { etag: '"abc"', lastModified: 'Sun, 01 Jun 2025 00:00:00 GMT', fetchedAt: FETCHED_AT, data: [] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('readResponseCache', () => {
+    it('should read the cache file', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ entries: { 'game versions': ENTRY } }));
+
+      await expect(readResponseCache('versions.cache.json')).resolves.toEqual({ entries: { 'game versions': ENTRY } });
+    });
+
+    it('should start with an empty cache if the file is missing or invalid', async () => {
+      fs.readFile.mockRejectedValueOnce(new Error('ENOENT')).mockResolvedValueOnce('{');
+
+      await expect(readResponseCache('versions.cache.json')).resolves.toEqual({ entries: {} });
+      await expect(readResponseCache('versions.cache.json')).resolves.toEqual({ entries: {} });
+    });
+  });
+
+  describe('saveResponseCache', () => {
+    it('should write the cache file', async () => {
+      fs.writeFile.mockResolvedValue();
+
+      await saveResponseCache('versions.cache.json', {
+        fingerprint: 'fingerprint',
+        files: { 'versions.json': 'hash' },
+        entries: {}
+      });
+
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        'versions.cache.json',
+        JSON.stringify({ fingerprint: 'fingerprint', files: { 'versions.json': 'hash' }, entries: {} })
+      );
+    });
+  });
+
+  describe('readCacheOptions', () => {
+    it('should read the cache of the cache path', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ entries: {} }));
+
+      await expect(readCacheOptions({ cachePath: 'versions.cache.json', offline: true })).resolves.toEqual({
+        responseCache: { entries: {} },
+        offline: true,
+        recording: false
+      });
+      await expect(readCacheOptions({})).resolves.toEqual({ responseCache: null, offline: false, recording: false });
+    });
+
+    it('should keep the cache of other code online, its responses are still valid', async () => {
+      const cache = { fingerprint: 'old fingerprint', files: {}, entries: { 'game versions': ENTRY } };
+      fs.readFile.mockResolvedValue(JSON.stringify(cache));
+
+      await expect(readCacheOptions({ cachePath: 'versions.cache.json' })).resolves.toEqual({
+        responseCache: cache,
+        offline: false,
+        recording: false
+      });
+    });
+
+    it('should refuse offline mode without a cache path', async () => {
+      await expect(readCacheOptions({ offline: true })).rejects.toThrow(UsageError);
+    });
+
+    it('should record with a record directory', async () => {
+      await expect(readCacheOptions({ recordDir: 'fixtures' })).resolves.toEqual({
+        responseCache: null,
+        offline: false,
+        recording: true
+      });
+    });
+
+    it('should run offline from the fixtures of a replay directory', async () => {
+      fs.readdir.mockResolvedValue(['game-versions.json']);
+      fs.readFile.mockResolvedValue(JSON.stringify({ label: 'game versions', recordedAt: FETCHED_AT, data: [] }));
+
+      await expect(readCacheOptions({ replayDir: 'fixtures' })).resolves.toEqual({
+        responseCache: { entries: { 'game versions': { fetchedAt: FETCHED_AT, data: [] } } },
+        offline: true,
+        recording: false
+      });
+      await expect(readCacheOptions({ replayDir: 'fixtures', recordDir: 'fixtures' })).rejects.toThrow(UsageError);
+    });
+  });
+
+  describe('isOfflineRun', () => {
+    it('should treat offline mode and replayed fixtures as offline', () => {
+      expect(isOfflineRun({ offline: true })).toBe(true);
+      expect(isOfflineRun({ replayDir: 'fixtures' })).toBe(true);
+      expect(isOfflineRun({ cachePath: 'versions.cache.json' })).toBe(false);
+    });
+  });
+
+  describe('getConditionalHeaders', () => {
+    it('should send the validators of the cached response', () => {
+      expect(getConditionalHeaders(ENTRY)).toEqual({
+        'If-None-Match': '"abc"',
+        'If-Modified-Since': 'Sun, 01 Jun 2025 00:00:00 GMT'
+      });
+      expect(getConditionalHeaders({ data: [] })).toEqual({});
+      expect(getConditionalHeaders(undefined)).toEqual({});
+    });
+  });
+
+  describe('toCacheEntry', () => {
+    it('should keep the validators and the data of a response', () => {
+      const response = { headers: { 'etag': '"abc"', 'last-modified': ENTRY.lastModified }, data: [] };
+
+      expect(toCacheEntry(response, FETCHED_AT)).toEqual(ENTRY);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs').promises;
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn(),
+    writeFile: jest.fn(),
+    readdir: jest.fn(),
+    mkdir: jest.fn(),
+    rename: jest.fn(),
+    unlink: jest.fn()
+  }
+}));
+
+jest.mock('dotenv', () => ({
+  config: jest.fn()
+}));
+
+const { getFixturePath, saveFixtures, readFixtures } = require('../response-fixtures');
+const fetchAndSaveVersions = require('../fetch-versions');
+const { UsageError } = require('../errors');
+const { addSecret, clearSecrets } = require('../redaction');
+
+describe('response-fixtures', () => {
+  const RECORDED_AT = '2025-06-01T00:00:00.000Z';
+
+  const FIXTURES = {
+    '/fixtures/game-version-types.json': {
+      label: 'game version types',
+      url: 'https://api.curseforge.com/v1/games/1/version-types',
+      recordedAt: RECORDED_AT,
+      data: { data: [{ id: 517, name: 'WoW Retail', slug: 'wow_retail' }] }
+    },
+    '/fixtures/game-versions.json': {
+      label: 'game versions',
+      url: 'https://api.curseforge.com/v1/games/1/versions',
+      recordedAt: RECORDED_AT,
+      data: { data: [{ type: 517, versions: ['11.2.0', '11.2.5'] }] }
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearSecrets();
+  });
+
+  describe('getFixturePath', () => {
+    it('should name the fixture after the request label', () => {
+      expect(getFixturePath('/fixtures', 'game version IDs')).toBe('/fixtures/game-version-ids.json');
+    });
+  });
+
+  describe('saveFixtures', () => {
+    it('should write one fixture per request without the API key', async () => {
+      addSecret('secret-api-key');
+
+      await saveFixtures('/fixtures', {
+        'game version IDs': {
+          url: 'https://wow.curseforge.com/api/game/versions?token=secret-api-key',
+          recordedAt: RECORDED_AT,
+          data: [{ id: 13433, name: '11.2.0', gameVersionTypeID: 517 }]
+        }
+      });
+
+      expect(fs.mkdir).toHaveBeenCalledWith('/fixtures', { recursive: true });
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+
+      const [fixturePath, content] = fs.writeFile.mock.calls[0];
+      expect(fixturePath).toBe('/fixtures/game-version-ids.json');
+      expect(content).not.toContain('secret-api-key');
+      expect(JSON.parse(content)).toEqual({
+        label: 'game version IDs',
+        url: 'https://wow.curseforge.com/api/game/versions?token=[REDACTED]',
+        recordedAt: RECORDED_AT,
+        data: [{ id: 13433, name: '11.2.0', gameVersionTypeID: 517 }]
+      });
+    });
+  });
+
+  describe('readFixtures', () => {
+    it('should read the fixtures into a response cache', async () => {
+      fs.readdir.mockResolvedValue(['game-versions.json', 'notes.md']);
+      fs.readFile.mockResolvedValue(JSON.stringify(FIXTURES['/fixtures/game-versions.json']));
+
+      await expect(readFixtures('/fixtures')).resolves.toEqual({
+        entries: {
+          'game versions': { fetchedAt: RECORDED_AT, data: FIXTURES['/fixtures/game-versions.json'].data }
+        }
+      });
+      expect(fs.readFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject missing directories, empty directories and invalid fixtures', async () => {
+      fs.readdir.mockRejectedValueOnce(new Error('ENOENT: no such file or directory'));
+      await expect(readFixtures('/missing')).rejects.toThrow(UsageError);
+
+      fs.readdir.mockResolvedValueOnce([]);
+      await expect(readFixtures('/fixtures')).rejects.toThrow('No fixtures in /fixtures, record them with --record');
+
+      fs.readdir.mockResolvedValueOnce(['game-versions.json']);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ data: [] }));
+      await expect(readFixtures('/fixtures')).rejects.toThrow(UsageError);
+    });
+  });
+
+  describe('replaying through fetchAndSaveVersions', () => {
+    it('should build versions.json from the fixtures without an API key', async () => {
+      const apiKey = process.env.CURSEFORGE_API_KEY;
+      delete process.env.CURSEFORGE_API_KEY;
+
+      fs.readdir.mockResolvedValue(Object.keys(FIXTURES).map(fixturePath => fixturePath.split('/').pop()));
+      fs.readFile.mockImplementation(async filePath => {
+        if (FIXTURES[filePath]) {
+          return JSON.stringify(FIXTURES[filePath]);
+        }
+
+        throw Object.assign(new Error(`ENOENT: no such file or directory, open '${filePath}'`), { code: 'ENOENT' });
+      });
+
+      try {
+        const result = await fetchAndSaveVersions({
+          replayDir: '/fixtures',
+          outputPath: '/data/versions.json',
+          dryRun: true
+        });
+
+        expect(result.changed).toBe(true);
+        expect(result.diff.variants.retail.added.map(version => version.name)).toEqual(['11.2.0', '11.2.5']);
+        expect(fs.writeFile).not.toHaveBeenCalled();
+      } finally {
+        if (apiKey !== undefined) {
+          process.env.CURSEFORGE_API_KEY = apiKey;
+        }
+      }
+    });
+  });
+});
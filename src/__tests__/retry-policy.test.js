@@ -0,0 +1,105 @@
+const {
+  classifyRequestError,
+  getRetryAfterDelay,
+  getBackoffDelay,
+  toRequestError
+} = require('../retry-policy');
+const { UpstreamError, CredentialsRejectedError, NetworkError } = require('../errors');
+
+/**
+ * Creates an axios-like error with a response.
+ *
+ * @param {number} status - HTTP status of the response
+ * @param {Object} [headers] - Response headers
+ *
+ * @returns {Error} The error
+ */
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+}
+
+describe('retry-policy', () => {
+  const NOW = Date.parse('2025-06-01T00:00:00.000Z');
+
+  describe('classifyRequestError', () => {
+    it('should not retry a rejected API key', () => {
+      expect(classifyRequestError(httpError(401))).toEqual({ retryable: false, fault: 'credentials' });
+      expect(classifyRequestError(httpError(403))).toEqual({ retryable: false, fault: 'credentials' });
+    });
+
+    it('should retry rate limits and server errors but no other client errors', () => {
+      expect(classifyRequestError(httpError(429))).toEqual({ retryable: true, fault: 'upstream' });
+      expect(classifyRequestError(httpError(503))).toEqual({ retryable: true, fault: 'upstream' });
+      expect(classifyRequestError(httpError(404))).toEqual({ retryable: false, fault: 'upstream' });
+    });
+
+    it('should retry errors without a response except cancelled requests', () => {
+      expect(classifyRequestError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))).toEqual({
+        retryable: true,
+        fault: 'network'
+      });
+      expect(classifyRequestError(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })).retryable).toBe(false);
+    });
+  });
+
+  describe('getRetryAfterDelay', () => {
+    it('should read Retry-After in seconds and as HTTP date', () => {
+      expect(getRetryAfterDelay({ status: 429, headers: { 'retry-after': '5' } }, NOW)).toBe(5000);
+      expect(getRetryAfterDelay(
+        { status: 503, headers: { 'retry-after': 'Sun, 01 Jun 2025 00:00:30 GMT' } },
+        NOW
+      )).toBe(30000);
+    });
+
+    it('should fall back to the rate-limit reset header on a 429', () => {
+      expect(getRetryAfterDelay({ status: 429, headers: { 'x-ratelimit-reset': '12' } }, NOW)).toBe(12000);
+      expect(getRetryAfterDelay({ status: 429, headers: { 'x-ratelimit-reset': String(NOW / 1000 + 3) } }, NOW)).toBe(3000);
+      expect(getRetryAfterDelay({ status: 503, headers: { 'x-ratelimit-reset': '12' } }, NOW)).toBeNull();
+    });
+
+    it('should return null without usable headers', () => {
+      expect(getRetryAfterDelay(undefined, NOW)).toBeNull();
+      expect(getRetryAfterDelay({ status: 429, headers: { 'retry-after': 'soon' } }, NOW)).toBeNull();
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    it('should double the delay per attempt with up to half of it random', () => {
+      expect(getBackoffDelay(1, 1000, () => 0)).toBe(500);
+      expect(getBackoffDelay(1, 1000, () => 1)).toBe(1000);
+      expect(getBackoffDelay(3, 1000, () => 0.5)).toBe(3000);
+    });
+  });
+
+  describe('toRequestError', () => {
+    it('should say who is at fault', () => {
+      const rejected = toRequestError(httpError(401), 'game versions');
+      const unreachable = toRequestError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }), 'game versions');
+      const failed = toRequestError(httpError(502), 'game versions');
+
+      expect(rejected).toBeInstanceOf(CredentialsRejectedError);
+      expect(rejected.message).toContain('rejected the API key');
+      expect(unreachable).toBeInstanceOf(NetworkError);
+      expect(unreachable.message).toBe('Could not reach CurseForge to fetch game versions: connect ECONNREFUSED');
+      expect(failed).toBeInstanceOf(UpstreamError);
+      expect(failed).not.toBeInstanceOf(NetworkError);
+      expect(failed.cause.status).toBe(502);
+    });
+
+    it('should keep neither the request config nor its API key in the cause', () => {
+      const error = Object.assign(httpError(502), {
+        code: 'ERR_BAD_RESPONSE',
+        config: { headers: { 'x-api-key': 'secret-api-key' } }
+      });
+
+      const { cause } = toRequestError(error, 'game versions');
+
+      expect(cause).not.toBe(error);
+      expect(cause).toEqual(expect.objectContaining({ code: 'ERR_BAD_RESPONSE', status: 502 }));
+      expect(cause.message).toBe(error.message);
+      expect(cause.config).toBeUndefined();
+      expect(cause.response).toBeUndefined();
+      expect(JSON.stringify(cause)).not.toContain('secret-api-key');
+    });
+  });
+});
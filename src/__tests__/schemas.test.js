@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  SCHEMA_VERSION,
+  SCHEMAS_DIR,
+  getSchemaUrl,
+  withSchemaFields,
+  validateAgainstSchema
+} = require('../schemas');
+
+const VERSIONS = withSchemaFields('versions', {
+  lastUpdated: '2025-01-01T00:00:00.000Z',
+  versions: [
+    { version: '110107', name: '11.1.7', variant: 'retail', gameVersionTypeId: 517, gameVersionId: 13245 }
+  ],
+  versionsByVariant: {
+    retail: [{ version: '110107', name: '11.1.7', variant: 'retail' }]
+  },
+  versionTypes: {
+    517: { id: 517, name: 'WoW Retail', slug: 'wow-retail', variant: 'retail' }
+  },
+  summary: { retail: 1 }
+});
+
+const GAME_VERSIONS = withSchemaFields('game-versions', {
+  lastUpdated: '2025-01-01T00:00:00.000Z',
+  releases: [
+    {
+      version: '13245',
+      originalVersion: '11.1.7',
+      variant: 'retail',
+      interfaceVersion: '110107',
+      releaseTimestamp: '2025-01-01T00:00:00.000Z'
+    }
+  ]
+});
+
+describe('schemas', () => {
+  it('should ship a schema for each dataset in the versioned directory', () => {
+    expect(SCHEMAS_DIR).toMatch(new RegExp(`schemas[\\\\/]v${SCHEMA_VERSION}$`));
+    expect(fs.existsSync(path.join(SCHEMAS_DIR, 'versions.schema.json'))).toBe(true);
+    expect(fs.existsSync(path.join(SCHEMAS_DIR, 'game-versions.schema.json'))).toBe(true);
+    expect(getSchemaUrl('versions')).toMatch(/\/schemas\/v1\/versions\.schema\.json$/);
+  });
+
+  it('should prepend the schema fields', () => {
+    const data = withSchemaFields('game-versions', { lastUpdated: 'x', releases: [] });
+
+    expect(Object.keys(data)).toEqual(['$schema', 'schemaVersion', 'lastUpdated', 'releases']);
+    expect(data.$schema).toBe(getSchemaUrl('game-versions'));
+    expect(data.schemaVersion).toBe(SCHEMA_VERSION);
+  });
+
+  it('should accept valid datasets', () => {
+    expect(validateAgainstSchema('versions', VERSIONS)).toEqual([]);
+    expect(validateAgainstSchema('game-versions', GAME_VERSIONS)).toEqual([]);
+  });
+
+  it('should report errors with their location', () => {
+    const data = {
+      ...VERSIONS,
+      schemaVersion: 2,
+      versions: [{ ...VERSIONS.versions[0], gameVersionId: '13245', extra: true }]
+    };
+
+    expect(validateAgainstSchema('versions', data)).toEqual([
+      'schemaVersion must be equal to constant 1',
+      'versions[0] must NOT have additional properties: extra',
+      'versions[0].gameVersionId must be integer'
+    ]);
+  });
+
+  it('should report missing schema fields', () => {
+    const data = { ...GAME_VERSIONS };
+    delete data.$schema;
+
+    expect(validateAgainstSchema('game-versions', data)).toEqual(['file must have required property \'$schema\'']);
+  });
+});
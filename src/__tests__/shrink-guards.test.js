@@ -0,0 +1,123 @@
+const {
+  DEFAULT_MAX_SHRINK_PERCENT,
+  checkVersionsShrink,
+  checkGameVersionsShrink,
+  assertNoShrink
+} = require('../shrink-guards');
+const { ShrinkError } = require('../errors');
+
+/**
+ * Builds versions.json content with the given versions.
+ *
+ * @param {Array<Array<string>>} entries - [name, variant] pairs
+ *
+ * @returns {Object} The versions.json content
+ */
+function versionsData(entries) {
+  return {
+    versions: entries.map(([name, variant]) => ({ version: name.replace(/\./g, ''), name, variant }))
+  };
+}
+
+describe('shrink-guards', () => {
+  const existing = versionsData([
+    ['11.1.7', 'retail'],
+    ['11.1.5', 'retail'],
+    ['11.1.0', 'retail'],
+    ['11.0.7', 'retail'],
+    ['11.0.5', 'retail'],
+    ['11.0.2', 'retail'],
+    ['11.0.0', 'retail'],
+    ['10.2.7', 'retail'],
+    ['1.15.7', 'classic_era'],
+    ['1.15.6', 'classic_era']
+  ]);
+
+  describe('checkVersionsShrink', () => {
+    it('should pass without existing data and when versions are added', () => {
+      expect(checkVersionsShrink(null, existing)).toEqual([]);
+      expect(checkVersionsShrink(existing, versionsData([
+        ...existing.versions.map(v => [v.name, v.variant]),
+        ['11.2.0', 'retail']
+      ]))).toEqual([]);
+    });
+
+    it('should allow removing up to the threshold', () => {
+      const shrunk = versionsData(existing.versions.filter(v => v.name !== '11.0.0').map(v => [v.name, v.variant]));
+
+      expect(DEFAULT_MAX_SHRINK_PERCENT).toBe(10);
+      expect(checkVersionsShrink(existing, shrunk)).toEqual([]);
+    });
+
+    it('should report a disappeared variant', () => {
+      const retailOnly = versionsData(existing.versions.filter(v => v.variant === 'retail').map(v => [v.name, v.variant]));
+
+      expect(checkVersionsShrink(existing, retailOnly, 50)).toEqual(['variant classic_era disappeared']);
+    });
+
+    it('should report a count drop beyond the threshold', () => {
+      const shrunk = versionsData([['11.1.7', 'retail'], ['11.0.0', 'retail'], ['1.15.7', 'classic_era']]);
+
+      expect(checkVersionsShrink(existing, shrunk)).toEqual([
+        'entry count dropped from 10 to 3 (-70.0%, at most 10% allowed)'
+      ]);
+      expect(checkVersionsShrink(existing, shrunk, 80)).toEqual([]);
+    });
+
+    it('should report a latest version going backwards', () => {
+      const data = versionsData(existing.versions.map(v => [v.name, v.variant]));
+      data.versions[8].name = '1.15.5';
+
+      expect(checkVersionsShrink(existing, data)).toEqual([
+        'latest classic_era version went backwards from 1.15.7 to 1.15.6'
+      ]);
+    });
+  });
+
+  describe('checkGameVersionsShrink', () => {
+    it('should ignore game versions of unmapped version types', () => {
+      const existingGameVersions = {
+        releases: [
+          { version: '13245', originalVersion: '11.1.7', variant: 'retail' },
+          { version: '9000', originalVersion: '3.80.0', variant: 'unknown' }
+        ]
+      };
+
+      expect(checkGameVersionsShrink(existingGameVersions, {
+        releases: [{ version: '13245', originalVersion: '11.1.7', variant: 'retail' }]
+      }, 50)).toEqual([]);
+    });
+  });
+
+  describe('assertNoShrink', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+      console.warn.mockRestore();
+    });
+
+    it('should throw a ShrinkError carrying the reasons', () => {
+      expect(() => assertNoShrink(['variant retail disappeared'], 'versions.json')).toThrow(ShrinkError);
+      expect(console.error).toHaveBeenCalledWith('- variant retail disappeared');
+
+      try {
+        assertNoShrink(['variant retail disappeared'], 'versions.json');
+      } catch (error) {
+        expect(error.reasons).toEqual(['variant retail disappeared']);
+      }
+    });
+
+    it('should only warn with force', () => {
+      expect(() => assertNoShrink(['variant retail disappeared'], 'versions.json', true)).not.toThrow();
+      expect(console.warn).toHaveBeenCalledWith('- variant retail disappeared');
+    });
+
+    it('should pass without reasons', () => {
+      expect(() => assertNoShrink([], 'versions.json')).not.toThrow();
+    });
+  });
+});
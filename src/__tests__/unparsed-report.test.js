@@ -0,0 +1,68 @@
+jest.mock('fs', () => ({
+  promises: {
+    writeFile: jest.fn()
+  }
+}));
+
+const fs = require('fs').promises;
+const { renderUnparsedReport, reportUnparsedVersions, writeUnparsedReport } = require('../unparsed-report');
+
+describe('unparsed-report', () => {
+  const UNPARSED = [
+    { name: '1.15.3-beta', variant: 'classic_era', gameVersionTypeId: 67408, reason: 'suffix' },
+    { name: '12.0', variant: 'retail', gameVersionTypeId: 517, reason: 'segments' }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('renderUnparsedReport', () => {
+    it('should render a table row per unparsed version', () => {
+      expect(renderUnparsedReport(UNPARSED)).toBe([
+        '## Unparsed version names',
+        '',
+        '| Name | Variant | Type ID | Reason |',
+        '| --- | --- | --- | --- |',
+        '| `1.15.3-beta` | classic_era | 67408 | unexpected suffix |',
+        '| `12.0` | retail | 517 | not three dot-separated segments |',
+        ''
+      ].join('\n'));
+    });
+
+    it('should say so when every name parsed', () => {
+      expect(renderUnparsedReport([])).toBe('## Unparsed version names\n\nAll version names parsed.\n');
+    });
+  });
+
+  describe('reportUnparsedVersions', () => {
+    it('should warn about every unparsed version', () => {
+      reportUnparsedVersions(UNPARSED);
+
+      expect(console.warn).toHaveBeenCalledWith('WARNING: 2 version names could not be parsed:');
+      expect(console.warn).toHaveBeenCalledWith('- 12.0 (retail, type 517): not three dot-separated segments');
+    });
+
+    it('should stay silent when every name parsed', () => {
+      reportUnparsedVersions([]);
+
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('writeUnparsedReport', () => {
+    it('should write the rendered report', async () => {
+      fs.writeFile.mockResolvedValue();
+
+      await writeUnparsedReport('/tmp/unparsed.md', UNPARSED);
+
+      expect(fs.writeFile).toHaveBeenCalledWith('/tmp/unparsed.md', renderUnparsedReport(UNPARSED));
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { resolveVariant, reportVariantResolution, applyUnclassifiedMode } = require('../variant-resolution');
+const { guessVariantFromName } = require('../version-types');
+const { ValidationError } = require('../errors');
+
+describe('variant-resolution', () => {
+  const VERSION_TYPES = { 517: { variant: 'retail' } };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('guessVariantFromName', () => {
+    it('should map the major patch version to a variant', () => {
+      expect(guessVariantFromName('1.15.7')).toBe('classic_era');
+      expect(guessVariantFromName('3.80.2')).toBe('wotlk_classic');
+      expect(guessVariantFromName('5.5.0')).toBe('mop_classic');
+      expect(guessVariantFromName('11.2.0')).toBe('retail');
+      expect(guessVariantFromName('0.5.3')).toBeNull();
+      expect(guessVariantFromName('invalid')).toBeNull();
+    });
+
+    it('should map the original patches of the Classic majors to retail', () => {
+      expect(guessVariantFromName('1.12.1')).toBe('retail');
+      expect(guessVariantFromName('2.4.3')).toBe('retail');
+      expect(guessVariantFromName('3.3.5')).toBe('retail');
+      expect(guessVariantFromName('4.3.4')).toBe('retail');
+      expect(guessVariantFromName('5.4.8')).toBe('retail');
+      expect(guessVariantFromName('2.5.4')).toBe('tbc_classic');
+      expect(guessVariantFromName('4.4.0')).toBe('cata_classic');
+    });
+
+    it('should ignore the letter suffix of hotfix builds', () => {
+      expect(guessVariantFromName('4.0.3a')).toBe('retail');
+      expect(guessVariantFromName('1.15.7a')).toBe('classic_era');
+      expect(guessVariantFromName('3.80.2b')).toBe('wotlk_classic');
+      expect(guessVariantFromName('11.2.0-beta')).toBeNull();
+    });
+  });
+
+  describe('resolveVariant', () => {
+    it('should prefer the discovered version types', () => {
+      expect(resolveVariant({ name: '3.4.3', gameVersionTypeID: 517 }, VERSION_TYPES)).toEqual({
+        variant: 'retail',
+        source: 'versionType'
+      });
+    });
+
+    it('should fall back to the Upload API type mapping, then to the patch name', () => {
+      const gameVersion = { name: '3.80.2', gameVersionTypeID: 99999 };
+
+      expect(resolveVariant(gameVersion, VERSION_TYPES, { 99999: 'titan_reforged' })).toEqual({
+        variant: 'titan_reforged',
+        source: 'uploadVersionType'
+      });
+      expect(resolveVariant(gameVersion, VERSION_TYPES, {})).toEqual({ variant: 'wotlk_classic', source: 'name' });
+      expect(resolveVariant({ name: 'beta', gameVersionTypeID: 99999 }, VERSION_TYPES, {})).toEqual({
+        variant: 'unknown',
+        source: 'none'
+      });
+    });
+
+    it('should let the Upload API type mapping win over a retail-looking patch name', () => {
+      const gameVersion = { name: '3.3.5', gameVersionTypeID: 99999 };
+
+      expect(resolveVariant(gameVersion, VERSION_TYPES, {})).toEqual({ variant: 'retail', source: 'name' });
+      expect(resolveVariant(gameVersion, VERSION_TYPES, { 99999: 'wotlk_classic' })).toEqual({
+        variant: 'wotlk_classic',
+        source: 'uploadVersionType'
+      });
+    });
+  });
+
+  describe('reportVariantResolution', () => {
+    it('should report game versions classified by name and warn about unclassified ones', () => {
+      const unclassified = reportVariantResolution([
+        { id: 13433, name: '11.2.0', gameVersionTypeID: 517 },
+        { id: 16785, name: '3.80.2', gameVersionTypeID: 99999 },
+        { id: 17000, name: 'beta', gameVersionTypeID: 99999 }
+      ], VERSION_TYPES);
+
+      expect(unclassified).toEqual([{ id: 17000, name: 'beta', gameVersionTypeID: 99999 }]);
+      expect(console.log).toHaveBeenCalledWith('Classified 3.80.2 (type 99999) as wotlk_classic by its patch name');
+      expect(console.warn).toHaveBeenCalledWith('- beta (gameVersion ID 17000, type 99999)');
+    });
+  });
+
+  describe('applyUnclassifiedMode', () => {
+    const gameVersions = {
+      '11.2.0': { id: 13433, variant: 'retail' },
+      'beta': { id: 17000, variant: 'unknown' }
+    };
+
+    it('should keep unclassified game versions by default', () => {
+      expect(applyUnclassifiedMode(gameVersions)).toBe(gameVersions);
+    });
+
+    it('should exclude unclassified game versions', () => {
+      expect(applyUnclassifiedMode(gameVersions, 'exclude')).toEqual({ '11.2.0': { id: 13433, variant: 'retail' } });
+    });
+
+    it('should fail on unclassified game versions', () => {
+      expect(() => applyUnclassifiedMode(gameVersions, 'fail')).toThrow(ValidationError);
+      expect(() => applyUnclassifiedMode({ '11.2.0': gameVersions['11.2.0'] }, 'fail')).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { buildLastUpdatedByVariant } = require('../variant-timestamps');
+
+describe('variant-timestamps', () => {
+  const FETCH_TIME = '2025-06-01T00:00:00.000Z';
+  const EARLIER = '2025-01-01T00:00:00.000Z';
+
+  const classicEra = { version: '11507', name: '1.15.7', variant: 'classic_era' };
+  const retail = { version: '110107', name: '11.1.7', variant: 'retail' };
+
+  describe('buildLastUpdatedByVariant', () => {
+    it('should only move the timestamp of variants whose entries changed', () => {
+      const existingData = {
+        lastUpdated: EARLIER,
+        lastUpdatedByVariant: { classic_era: EARLIER, retail: EARLIER },
+        versions: [classicEra, retail]
+      };
+      const data = {
+        versions: [classicEra, retail, { version: '110200', name: '11.2.0', variant: 'retail' }],
+        summary: { classic_era: 1, retail: 2, mop_classic: 0 }
+      };
+
+      expect(buildLastUpdatedByVariant('versions', data, existingData, FETCH_TIME)).toEqual({
+        classic_era: EARLIER,
+        retail: FETCH_TIME,
+        mop_classic: EARLIER
+      });
+    });
+
+    it('should ignore the order of the entries', () => {
+      const existingData = {
+        lastUpdated: EARLIER,
+        lastUpdatedByVariant: { retail: EARLIER },
+        releases: [
+          { version: '13245', originalVersion: '11.1.7', variant: 'retail' },
+          { version: '13433', originalVersion: '11.2.0', variant: 'retail' }
+        ]
+      };
+      const data = { releases: [...existingData.releases].reverse() };
+
+      expect(buildLastUpdatedByVariant('game-versions', data, existingData, FETCH_TIME)).toEqual({ retail: EARLIER });
+    });
+
+    it('should count a withdrawal as a change', () => {
+      const existingData = { lastUpdated: EARLIER, lastUpdatedByVariant: { retail: EARLIER }, versions: [retail] };
+      const data = { versions: [{ ...retail, withdrawn: true, withdrawnTimestamp: FETCH_TIME }] };
+
+      expect(buildLastUpdatedByVariant('versions', data, existingData, FETCH_TIME)).toEqual({ retail: FETCH_TIME });
+    });
+
+    it('should fall back to lastUpdated for existing data without per-variant timestamps', () => {
+      const existingData = { lastUpdated: EARLIER, versions: [classicEra] };
+
+      expect(buildLastUpdatedByVariant('versions', { versions: [classicEra] }, existingData, FETCH_TIME)).toEqual({
+        classic_era: EARLIER
+      });
+    });
+
+    it('should use the fetch time without existing data', () => {
+      expect(buildLastUpdatedByVariant('versions', { versions: [classicEra] }, null, FETCH_TIME)).toEqual({
+        classic_era: FETCH_TIME
+      });
+    });
+  });
+});
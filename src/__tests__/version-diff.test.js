@@ -0,0 +1,181 @@
+const {
+  diffVersions,
+  diffGameVersions,
+  hasChanges,
+  addPendingChanges,
+  filterDiff,
+  renderChangelog
+} = require('../version-diff');
+
+describe('version-diff', () => {
+  describe('diffVersions', () => {
+    it('should report added and removed versions per variant', () => {
+      const oldData = {
+        versions: [
+          { version: '11503', name: '1.15.3', variant: 'classic_era' },
+          { version: '110100', name: '11.1.0', variant: 'retail' }
+        ]
+      };
+      const newData = {
+        versions: [
+          { version: '11503', name: '1.15.3', variant: 'classic_era' },
+          { version: '11504', name: '1.15.4', variant: 'classic_era' }
+        ]
+      };
+
+      const diff = diffVersions(oldData, newData);
+
+      expect(diff.variants.classic_era.added).toEqual([{ name: '1.15.4', version: '11504' }]);
+      expect(diff.variants.retail.removed).toEqual([{ name: '11.1.0', version: '110100' }]);
+    });
+
+    it('should report a withdrawal as removed and ignore existing tombstones', () => {
+      const tombstone = { version: '11502', name: '1.15.2', variant: 'classic_era', withdrawn: true };
+      const oldData = {
+        versions: [
+          { version: '11503', name: '1.15.3', variant: 'classic_era' },
+          tombstone
+        ]
+      };
+      const newData = {
+        versions: [
+          { ...oldData.versions[0], withdrawn: true },
+          tombstone
+        ]
+      };
+
+      expect(diffVersions(oldData, newData).variants).toEqual({
+        classic_era: { added: [], removed: [{ name: '1.15.3', version: '11503' }], reclassified: [], interfaceChanged: [] }
+      });
+    });
+
+    it('should report a version moving to another variant as reclassified', () => {
+      const oldData = { versions: [{ version: '50501', name: '5.5.1', variant: 'retail' }] };
+      const newData = { versions: [{ version: '50501', name: '5.5.1', variant: 'mop_classic' }] };
+
+      const diff = diffVersions(oldData, newData);
+
+      expect(Object.keys(diff.variants)).toEqual(['mop_classic']);
+      expect(diff.variants.mop_classic.reclassified).toEqual([
+        { name: '5.5.1', version: '50501', fromVariant: 'retail' }
+      ]);
+      expect(diff.variants.mop_classic.added).toEqual([]);
+    });
+
+    it('should report interface number changes', () => {
+      const oldData = { versions: [{ version: '40003', name: '4.0.3a', variant: 'retail' }] };
+      const newData = { versions: [{ version: '400030', name: '4.0.3a', variant: 'retail' }] };
+
+      const diff = diffVersions(oldData, newData);
+
+      expect(diff.variants.retail.interfaceChanged).toEqual([
+        { name: '4.0.3a', from: '40003', to: '400030' }
+      ]);
+    });
+
+    it('should treat missing old data as everything added', () => {
+      const diff = diffVersions(null, { versions: [{ version: '110200', name: '11.2.0', variant: 'retail' }] });
+
+      expect(diff.variants.retail.added).toHaveLength(1);
+    });
+
+    it('should report no changes for identical data regardless of order', () => {
+      const a = { version: '11503', name: '1.15.3', variant: 'classic_era' };
+      const b = { version: '110200', name: '11.2.0', variant: 'retail' };
+
+      const diff = diffVersions({ versions: [a, b] }, { versions: [b, a] });
+
+      expect(hasChanges(diff)).toBe(false);
+    });
+  });
+
+  describe('diffGameVersions', () => {
+    it('should report added, removed and reclassified gameVersion IDs', () => {
+      const oldReleases = [
+        { version: '12919', originalVersion: '1.15.7', variant: 'classic_era' },
+        { version: '11274', originalVersion: '11.0.0', variant: 'retail' },
+        { version: '14282', originalVersion: '3.80.0', variant: 'unknown' }
+      ];
+      const newReleases = [
+        { version: '12919', originalVersion: '1.15.7', variant: 'classic_era' },
+        { version: '13433', originalVersion: '11.2.0', variant: 'retail' },
+        { version: '14282', originalVersion: '3.80.0', variant: 'wotlk_classic' }
+      ];
+
+      const diff = diffGameVersions(oldReleases, newReleases);
+
+      expect(diff.variants.retail.added).toEqual([{ id: '13433', name: '11.2.0' }]);
+      expect(diff.variants.retail.removed).toEqual([{ id: '11274', name: '11.0.0' }]);
+      expect(diff.variants.wotlk_classic.reclassified).toEqual([
+        { id: '14282', name: '3.80.0', fromVariant: 'unknown' }
+      ]);
+      expect(diff.variants.classic_era).toBeUndefined();
+    });
+
+    it('should report a new ID for the same patch as idChanged', () => {
+      const diff = diffGameVersions(
+        [{ version: '12919', originalVersion: '1.15.7', variant: 'classic_era' }],
+        [{ version: '13000', originalVersion: '1.15.7', variant: 'classic_era' }]
+      );
+
+      expect(diff.variants.classic_era.idChanged).toEqual([{ name: '1.15.7', from: '12919', to: '13000' }]);
+      expect(diff.variants.classic_era.added).toEqual([]);
+      expect(diff.variants.classic_era.removed).toEqual([]);
+    });
+  });
+
+  describe('addPendingChanges', () => {
+    const toChange = v => ({ name: v.name, version: v.version });
+
+    it('should list promoted and pending entries separately', () => {
+      const promoted = { version: '11504', name: '1.15.4', variant: 'classic_era' };
+      const pending = { version: '110200', name: '11.2.0', variant: 'retail' };
+      const diff = addPendingChanges(
+        diffVersions({ versions: [] }, { versions: [promoted] }),
+        {
+          promoted: [{ entry: promoted, seenCount: 2 }],
+          pending: [{ entry: pending, seenCount: 1 }]
+        },
+        toChange,
+        2
+      );
+
+      expect(diff.variants.classic_era.added).toEqual([]);
+      expect(diff.variants.classic_era.promoted).toEqual([{ name: '1.15.4', version: '11504', seenCount: 2 }]);
+      expect(diff.pending).toEqual([
+        { variant: 'retail', name: '11.2.0', version: '110200', seenCount: 1, requiredRuns: 2 }
+      ]);
+      expect(filterDiff(diff, ['classic_era']).pending).toEqual([]);
+
+      const changelog = renderChangelog({ versions: diff });
+
+      expect(changelog).toContain('- Promoted `1.15.4` (interface `11504`) after 2 consecutive fetches');
+      expect(changelog).toContain('### Pending');
+      expect(changelog).toContain('- `11.2.0` (retail, interface `110200`) seen in 1 of 2 consecutive fetches');
+    });
+  });
+
+  describe('renderChangelog', () => {
+    it('should render changes as Markdown grouped by variant', () => {
+      const versions = diffVersions(
+        { versions: [] },
+        { versions: [{ version: '11504', name: '1.15.4', variant: 'classic_era' }] }
+      );
+      const gameVersions = diffGameVersions([], [{ version: '13433', originalVersion: '11.2.0', variant: 'retail' }]);
+
+      const changelog = renderChangelog({ versions, gameVersions });
+
+      expect(changelog).toContain('## WoW interface versions (versions.json)');
+      expect(changelog).toContain('### classic_era');
+      expect(changelog).toContain('- Added `1.15.4` (interface `11504`)');
+      expect(changelog).toContain('## CurseForge gameVersion IDs (game-versions.json)');
+      expect(changelog).toContain('- Added `11.2.0` (gameVersion ID `13433`)');
+    });
+
+    it('should state when a dataset has no changes', () => {
+      const changelog = renderChangelog({ versions: { variants: {} } });
+
+      expect(changelog).toBe('## WoW interface versions (versions.json)\n\nNo changes.\n');
+    });
+  });
+});
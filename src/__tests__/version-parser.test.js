@@ -49,6 +49,12 @@ describe('VersionParser', () => {
       expect(parser.parseInterfaceVersion('1.15.3 ')).toBeNull();
       expect(parser.parseInterfaceVersion('1.15.3ab')).toBeNull(); // Multiple letters not allowed
     });
+
+    it('should return null for minor or patch versions above 99', () => {
+      expect(parser.parseInterfaceVersion('1.100.0')).toBeNull();
+      expect(parser.parseInterfaceVersion('11.0.100')).toBeNull();
+      expect(parser.parseInterfaceVersion('11.99.99')).toBe('119999');
+    });
   });
 
   describe('parseVersion', () => {
@@ -100,6 +106,13 @@ describe('VersionParser', () => {
         versionTypeSlug: undefined
       });
     });
+
+    it('should keep the letter suffix of the name', () => {
+      const result = parser.parseVersion({ name: '4.0.3a', variant: 'retail', type: 517 });
+
+      expect(result).toMatchObject({ version: '40003', name: '4.0.3a', suffix: 'a' });
+      expect(Object.keys(result).indexOf('suffix')).toBe(3);
+    });
   });
 
   describe('parseVersions', () => {
@@ -149,6 +162,100 @@ describe('VersionParser', () => {
     it('should handle empty array', () => {
       expect(parser.parseVersions([])).toEqual([]);
     });
+
+    describe('with version names out of range', () => {
+      beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should skip them and leave reporting them to the unparsed report', () => {
+        const versions = [
+          { name: '1.100.0', variant: 'classic_era', type: 67408 },
+          { name: '11.0.0', variant: 'retail', type: 517 }
+        ];
+        const results = parser.parseVersions(versions);
+
+        expect(results.map(r => r.name)).toEqual(['11.0.0']);
+        expect(console.warn).not.toHaveBeenCalled();
+        expect(parser.findUnparsedVersions(versions)).toEqual([
+          { name: '1.100.0', variant: 'classic_era', gameVersionTypeId: 67408, reason: 'out-of-range' }
+        ]);
+      });
+    });
+
+    describe('with names sharing an interface version', () => {
+      beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should mark the name without suffix canonical and report the collision', () => {
+        const results = parser.parseVersions([
+          { name: '4.0.3a', variant: 'retail' },
+          { name: '4.0.3', variant: 'retail' },
+          { name: '4.0.1', variant: 'retail' }
+        ]);
+
+        expect(results).toEqual([
+          expect.objectContaining({ name: '4.0.3a', suffix: 'a', canonical: false }),
+          expect.objectContaining({ name: '4.0.3', canonical: true }),
+          { version: '40001', name: '4.0.1', variant: 'retail', gameVersionTypeId: undefined,
+            versionTypeName: undefined, versionTypeSlug: undefined }
+        ]);
+        expect(console.warn).toHaveBeenCalledWith('- 40003 (retail): 4.0.3 (canonical), 4.0.3a');
+      });
+
+      it('should mark the lowest suffix canonical if every name has one', () => {
+        const results = parser.parseVersions([
+          { name: '4.0.3b', variant: 'retail' },
+          { name: '4.0.3a', variant: 'retail' }
+        ]);
+
+        expect(results.map(r => [r.name, r.canonical])).toEqual([['4.0.3b', false], ['4.0.3a', true]]);
+      });
+
+      it('should not treat the same interface version in different variants as a collision', () => {
+        const results = parser.parseVersions([
+          { name: '4.0.3', variant: 'retail' },
+          { name: '4.0.3a', variant: 'cata_classic' }
+        ]);
+
+        expect(results.every(r => r.canonical === undefined)).toBe(true);
+        expect(console.warn).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('getParseFailure', () => {
+    it('should tell why a version name does not parse', () => {
+      expect(parser.getParseFailure('1.2')).toBe('segments');
+      expect(parser.getParseFailure('1.2.3.4')).toBe('segments');
+      expect(parser.getParseFailure('')).toBe('segments');
+      expect(parser.getParseFailure('v1.15.3')).toBe('non-numeric');
+      expect(parser.getParseFailure('1.x.3')).toBe('non-numeric');
+      expect(parser.getParseFailure('1.15.3-beta')).toBe('suffix');
+      expect(parser.getParseFailure('1.15.3ab')).toBe('suffix');
+      expect(parser.getParseFailure('1.100.0')).toBe('out-of-range');
+      expect(parser.getParseFailure('4.0.3a')).toBeNull();
+    });
+  });
+
+  describe('findUnparsedVersions', () => {
+    it('should return the versions parseVersions drops with their reason', () => {
+      const results = parser.findUnparsedVersions([
+        { name: '1.15.3', variant: 'classic_era', type: 67408 },
+        { name: 'Beta 12', variant: 'retail', type: 517 }
+      ]);
+
+      expect(results).toEqual([{ name: 'Beta 12', variant: 'retail', gameVersionTypeId: 517, reason: 'segments' }]);
+    });
   });
 
   describe('parseVersionToNumber', () => {
@@ -0,0 +1,142 @@
+const path = require('path');
+const {
+  loadVersions,
+  loadGameVersions,
+  getLatestVersions,
+  getLatestVersion,
+  findByInterface,
+  findByName,
+  getVersionsInRange,
+  findGameVersions
+} = require('../version-query');
+
+describe('version-query', () => {
+  const versionsData = {
+    versions: [
+      { version: '11502', name: '1.15.2', variant: 'classic_era' },
+      { version: '110200', name: '11.2.0', variant: 'retail' },
+      { version: '11503', name: '1.15.3', variant: 'classic_era' },
+      { version: '110100', name: '11.1.0', variant: 'retail' },
+      { version: '11503', name: '1.15.3', variant: 'retail' }
+    ]
+  };
+
+  const gameVersionsData = {
+    releases: [
+      { version: '12919', originalVersion: '1.15.7', variant: 'classic_era' },
+      { version: '13433', originalVersion: '11.2.0', variant: 'retail' }
+    ]
+  };
+
+  describe('getLatestVersions', () => {
+    it('should return the highest interface number per variant', () => {
+      const latest = getLatestVersions(versionsData);
+
+      expect(latest.classic_era.name).toBe('1.15.3');
+      expect(latest.retail.name).toBe('11.2.0');
+    });
+  });
+
+  describe('getLatestVersion', () => {
+    it('should skip withdrawn versions', () => {
+      const data = {
+        versions: [...versionsData.versions, { version: '110300', name: '11.3.0', variant: 'retail', withdrawn: true }]
+      };
+
+      expect(getLatestVersion(data, 'retail').name).toBe('11.2.0');
+    });
+
+    it('should return the latest version of a variant', () => {
+      expect(getLatestVersion(versionsData, 'retail').version).toBe('110200');
+    });
+
+    it('should return null for a variant without versions', () => {
+      expect(getLatestVersion(versionsData, 'mop_classic')).toBeNull();
+    });
+  });
+
+  describe('findByInterface', () => {
+    it('should find versions in all variants', () => {
+      expect(findByInterface(versionsData, 11503)).toHaveLength(2);
+    });
+
+    it('should filter by variant', () => {
+      expect(findByInterface(versionsData, '11503', 'retail')).toEqual([
+        { version: '11503', name: '1.15.3', variant: 'retail' }
+      ]);
+    });
+  });
+
+  describe('canonical names', () => {
+    const collisionData = {
+      versions: [
+        { version: '40003', name: '4.0.3a', variant: 'retail', suffix: 'a', canonical: false },
+        { version: '40003', name: '4.0.3', variant: 'retail', canonical: true },
+        { version: '40001', name: '4.0.1', variant: 'retail' }
+      ]
+    };
+
+    it('should only find the canonical name of a shared interface number', () => {
+      expect(findByInterface(collisionData, 40003).map(version => version.name)).toEqual(['4.0.3']);
+      expect(findByInterface(collisionData, 40001, 'retail')).toHaveLength(1);
+    });
+
+    it('should return the canonical name as latest version', () => {
+      expect(getLatestVersion(collisionData, 'retail').name).toBe('4.0.3');
+    });
+
+    it('should still find the other names by patch name', () => {
+      expect(findByName(collisionData, '4.0.3a')).toHaveLength(1);
+    });
+  });
+
+  describe('findByName', () => {
+    it('should find versions by patch name', () => {
+      expect(findByName(versionsData, '1.15.3', 'classic_era')).toEqual([
+        { version: '11503', name: '1.15.3', variant: 'classic_era' }
+      ]);
+      expect(findByName(versionsData, '9.9.9')).toEqual([]);
+    });
+  });
+
+  describe('getVersionsInRange', () => {
+    it('should accept interface numbers and patch names as bounds', () => {
+      const byInterface = getVersionsInRange(versionsData, { from: '11503', to: 110100 });
+      const byName = getVersionsInRange(versionsData, { from: '1.15.3', to: '11.1.0' });
+
+      expect(byInterface.map(v => v.name)).toEqual(['11.1.0', '1.15.3', '1.15.3']);
+      expect(byName).toEqual(byInterface);
+    });
+
+    it('should support open bounds and variant filters', () => {
+      const result = getVersionsInRange(versionsData, { from: '1.15.0', variant: 'classic_era' });
+
+      expect(result.map(v => v.name)).toEqual(['1.15.3', '1.15.2']);
+    });
+  });
+
+  describe('findGameVersions', () => {
+    it('should find gameVersion releases by patch name', () => {
+      expect(findGameVersions(gameVersionsData, '11.2.0')).toEqual([
+        { version: '13433', originalVersion: '11.2.0', variant: 'retail' }
+      ]);
+      expect(findGameVersions(gameVersionsData, '11.2.0', 'classic_era')).toEqual([]);
+    });
+  });
+
+  describe('loaders', () => {
+    it('should load the datasets shipped with the package', async () => {
+      const versions = await loadVersions();
+      const gameVersions = await loadGameVersions();
+
+      expect(Array.isArray(versions.versions)).toBe(true);
+      expect(Array.isArray(gameVersions.releases)).toBe(true);
+    });
+
+    it('should load a dataset from a custom path', async () => {
+      const versions = await loadVersions(path.join(__dirname, '..', '..', 'versions.json'));
+
+      expect(versions).toHaveProperty('versionsByVariant');
+    });
+  });
+});
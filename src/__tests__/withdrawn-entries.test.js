@@ -0,0 +1,44 @@
+const { isLive, getLiveEntries, applyWithdrawals } = require('../withdrawn-entries');
+const { getGameVersionKey } = require('../release-timestamps');
+
+describe('withdrawn-entries', () => {
+  const FETCH_TIME = '2025-06-01T00:00:00.000Z';
+
+  describe('getLiveEntries', () => {
+    it('should drop withdrawn entries', () => {
+      const live = { version: '13245' };
+
+      expect(isLive(live)).toBe(true);
+      expect(getLiveEntries([live, { version: '13000', withdrawn: true }])).toEqual([live]);
+      expect(getLiveEntries(undefined)).toEqual([]);
+    });
+  });
+
+  describe('applyWithdrawals', () => {
+    it('should append tombstones for entries missing from the fetch', () => {
+      const existing = [
+        { version: '13245', originalVersion: '11.1.7' },
+        { version: '13000', originalVersion: '11.1.5' }
+      ];
+
+      expect(applyWithdrawals([existing[0]], existing, getGameVersionKey, FETCH_TIME)).toEqual([
+        existing[0],
+        { ...existing[1], withdrawn: true, withdrawnTimestamp: FETCH_TIME }
+      ]);
+    });
+
+    it('should keep the withdrawnTimestamp of earlier withdrawals', () => {
+      const tombstone = { version: '13000', withdrawn: true, withdrawnTimestamp: '2025-01-01T00:00:00.000Z' };
+
+      expect(applyWithdrawals([], [tombstone], getGameVersionKey, FETCH_TIME)).toEqual([tombstone]);
+    });
+
+    it('should drop the tombstone of an entry that is listed again', () => {
+      const tombstone = { version: '13000', withdrawn: true, withdrawnTimestamp: '2025-01-01T00:00:00.000Z' };
+
+      expect(applyWithdrawals([{ version: '13000' }], [tombstone], getGameVersionKey, FETCH_TIME)).toEqual([
+        { version: '13000' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Writes a group of files so that readers never see a partially written file.
+ */
+const fs = require('fs').promises;
+
+/**
+ * Returns the path of the temporary file a file is staged in before it is renamed into place.
+ * The temporary file lives next to the target so the rename stays on one file system.
+ *
+ * @param {string} filePath - Path of the target file
+ *
+ * @returns {string} Path of the temporary file
+ */
+function getTempPath(filePath) {
+  return `${filePath}.${process.pid}.tmp`;
+}
+
+/**
+ * Returns the path of the backup a target is copied to before the staged file replaces it.
+ *
+ * @param {string} filePath - Path of the target file
+ *
+ * @returns {string} Path of the backup file
+ */
+function getBackupPath(filePath) {
+  return `${filePath}.${process.pid}.bak`;
+}
+
+/**
+ * Removes files, ignoring files that don't exist.
+ *
+ * @param {Array<string>} paths - Paths of the files
+ *
+ * @returns {Promise<void>}
+ */
+async function removeFiles(paths) {
+  await Promise.all(paths.map(async filePath => {
+    try {
+      await fs.unlink(filePath);
+    } catch (_error) {
+      // Never written or already renamed
+    }
+  }));
+}
+
+/**
+ * Puts the targets that were already replaced back into their previous state: a backed up
+ * target gets its backup back, a target that didn't exist before is removed.
+ *
+ * @param {Array<{path: string, backedUp: boolean}>} replaced - The replaced targets
+ *
+ * @returns {Promise<void>}
+ */
+async function restoreTargets(replaced) {
+  for (const target of replaced.reverse()) {
+    try {
+      if (target.backedUp) {
+        await fs.rename(getBackupPath(target.path), target.path);
+      } else {
+        await fs.unlink(target.path);
+      }
+    } catch (error) {
+      console.error(`Could not restore ${target.path}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Writes several files through temp-file-and-rename. All files are staged first, if staging
+ * any of them fails the staged files are removed and none of the targets is touched. Only then
+ * are the staged files renamed over their targets, each target is copied to a backup before.
+ * If a rename fails, the targets replaced so far are restored from their backups, so the files
+ * are either all written or all left as they were. Only a failure of that restore can leave a
+ * mix of old and new files, it is logged for every affected file.
+ *
+ * @param {Array<{path: string, content: string}>} files - The files to write
+ *
+ * @returns {Promise<void>}
+ */
+async function writeFilesAtomically(files) {
+  const staged = [];
+
+  try {
+    for (const file of files) {
+      const tempPath = getTempPath(file.path);
+      staged.push(tempPath);
+      await fs.writeFile(tempPath, file.content);
+    }
+  } catch (error) {
+    await removeFiles(staged);
+    throw error;
+  }
+
+  const replaced = [];
+
+  try {
+    for (const file of files) {
+      const target = { path: file.path, backedUp: true };
+
+      try {
+        await fs.copyFile(file.path, getBackupPath(file.path));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        target.backedUp = false;
+      }
+
+      await fs.rename(getTempPath(file.path), file.path);
+      replaced.push(target);
+    }
+  } catch (error) {
+    await restoreTargets(replaced);
+    await removeFiles([...staged, ...files.map(file => getBackupPath(file.path))]);
+    throw error;
+  }
+
+  await removeFiles(files.map(file => getBackupPath(file.path)));
+}
+
+module.exports = {
+  getTempPath,
+  getBackupPath,
+  writeFilesAtomically
+};
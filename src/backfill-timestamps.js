@@ -0,0 +1,256 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const path = require('path');
+const { getVersionKey, getGameVersionKey } = require('./release-timestamps');
+const { canonicalize } = require('./canonical-order');
+const { buildLastUpdatedByVariant } = require('./variant-timestamps');
+const { generateDatasources } = require('./renovate-datasources');
+const { runCommand } = require('./cli-options');
+
+const execFileAsync = promisify(execFile);
+
+// Data files can be large and have a long history, raise the default output buffer
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * Datasets that carry release timestamps, with how to find their entries in a committed file.
+ */
+const DATASETS = [
+  {
+    file: 'versions.json',
+    type: 'versions',
+    getEntries: data => data.versions,
+    getKey: getVersionKey,
+    isValidEntry: entry => Boolean(entry && entry.name && entry.variant)
+  },
+  {
+    file: 'game-versions.json',
+    type: 'game-versions',
+    getEntries: data => data.releases,
+    getKey: getGameVersionKey,
+    isValidEntry: entry => Boolean(entry && entry.version)
+  }
+];
+
+/**
+ * Runs a git command in the repository directory.
+ *
+ * @param {Array<string>} args - Arguments passed to git
+ * @param {string} repoDir - The repository directory
+ *
+ * @returns {Promise<string>} The command's standard output
+ */
+async function git(args, repoDir) {
+  const { stdout } = await execFileAsync('git', args, { cwd: repoDir, maxBuffer: GIT_MAX_BUFFER });
+
+  return stdout;
+}
+
+/**
+ * Lists all commits reachable from HEAD that touched a file, oldest first.
+ *
+ * @param {string} file - Path of the file relative to the repository root
+ * @param {string} repoDir - The repository directory
+ *
+ * @returns {Promise<Array<{sha: string, timestamp: string}>>} Commits with their ISO commit timestamps
+ */
+async function listFileCommits(file, repoDir) {
+  const stdout = await git(['rev-list', '--reverse', '--timestamp', 'HEAD', '--', file], repoDir);
+
+  return stdout
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const [seconds, sha] = line.trim().split(' ');
+
+      return { sha, timestamp: new Date(parseInt(seconds, 10) * 1000).toISOString() };
+    });
+}
+
+/**
+ * Reads and parses a JSON file as it was at a specific commit.
+ *
+ * @param {string} sha - The commit hash
+ * @param {string} file - Path of the file relative to the repository root
+ * @param {string} repoDir - The repository directory
+ *
+ * @returns {Promise<Object|null>} The parsed file or null if it is missing or not valid JSON
+ */
+async function readFileAtCommit(sha, file, repoDir) {
+  try {
+    const content = await git(['cat-file', '-p', `${sha}:${file}`], repoDir);
+    return JSON.parse(content);
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Walks the history of a dataset and finds the first commit each entry appeared in.
+ *
+ * @param {Object} dataset - Dataset definition from DATASETS
+ * @param {string} repoDir - The repository directory
+ *
+ * @returns {Promise<Map<string, string>>} Map of entry keys to the ISO timestamp of their first commit
+ */
+async function collectFirstSeen(dataset, repoDir) {
+  const firstSeen = new Map();
+  const commits = await listFileCommits(dataset.file, repoDir);
+
+  for (const commit of commits) {
+    const data = await readFileAtCommit(commit.sha, dataset.file, repoDir);
+    const entries = data ? dataset.getEntries(data) : null;
+
+    if (!Array.isArray(entries)) {
+      continue;
+    }
+
+    entries.filter(dataset.isValidEntry).forEach(entry => {
+      const key = dataset.getKey(entry);
+      const seen = firstSeen.get(key);
+
+      // Commit timestamps are not guaranteed to be monotonic, always keep the earliest
+      if (!seen || commit.timestamp < seen) {
+        firstSeen.set(key, commit.timestamp);
+      }
+    });
+  }
+
+  return firstSeen;
+}
+
+/**
+ * Returns the more accurate of two release timestamps, which is the earlier one.
+ *
+ * @param {string|undefined} current - The timestamp currently stored in the dataset
+ * @param {string|undefined} historic - The timestamp found in the git history
+ *
+ * @returns {string|undefined} The earlier timestamp
+ */
+function pickEarliest(current, historic) {
+  if (!current) return historic;
+  if (!historic) return current;
+
+  return new Date(historic).getTime() < new Date(current).getTime() ? historic : current;
+}
+
+/**
+ * Applies historic first-seen timestamps to a list of entries.
+ * A timestamp is only replaced when the history shows an earlier one.
+ *
+ * @param {Array} entries - Entries of the current dataset
+ * @param {Map<string, string>} firstSeen - Map of entry keys to historic timestamps
+ * @param {Function} getKey - Function returning the key of an entry
+ *
+ * @returns {{entries: Array, updated: number}} The updated entries and the number of changed timestamps
+ */
+function applyHistoricTimestamps(entries, firstSeen, getKey) {
+  let updated = 0;
+
+  const result = entries.map(entry => {
+    const releaseTimestamp = pickEarliest(entry.releaseTimestamp, firstSeen.get(getKey(entry)));
+
+    if (!releaseTimestamp || releaseTimestamp === entry.releaseTimestamp) {
+      return entry;
+    }
+
+    updated++;
+    return { ...entry, releaseTimestamp };
+  });
+
+  return { entries: result, updated };
+}
+
+/**
+ * Backfills the release timestamps of one dataset file from its git history. The backfill
+ * changes the published entries, so lastUpdated and the lastUpdatedByVariant timestamps of the
+ * changed variants move to the time of the backfill.
+ *
+ * @param {Object} dataset - Dataset definition from DATASETS
+ * @param {string} repoDir - The repository directory
+ * @param {string} backfillTime - ISO timestamp of the backfill
+ *
+ * @returns {Promise<number>} The number of entries whose timestamp was updated
+ */
+async function backfillDataset(dataset, repoDir, backfillTime) {
+  const filePath = path.join(repoDir, dataset.file);
+  let data;
+
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (_error) {
+    console.log(`Skipping ${dataset.file}: file does not exist or is not valid JSON`);
+    return 0;
+  }
+
+  const firstSeen = await collectFirstSeen(dataset, repoDir);
+  console.log(`${dataset.file}: found ${firstSeen.size} entries in the git history`);
+
+  const { entries, updated } = applyHistoricTimestamps(dataset.getEntries(data) || [], firstSeen, dataset.getKey);
+
+  if (updated === 0) {
+    console.log(`${dataset.file}: all release timestamps are up to date`);
+    return 0;
+  }
+
+  const existingData = JSON.parse(JSON.stringify(data));
+
+  if (dataset.file === 'versions.json') {
+    data.versions = entries;
+
+    // versionsByVariant holds copies of the same versions, keep them in sync
+    const byKey = new Map(entries.map(entry => [getVersionKey(entry), entry]));
+
+    Object.keys(data.versionsByVariant || {}).forEach(variant => {
+      data.versionsByVariant[variant] = data.versionsByVariant[variant].map(version => {
+        return byKey.get(getVersionKey(version)) || version;
+      });
+    });
+  } else {
+    data.releases = entries;
+  }
+
+  data.lastUpdated = backfillTime;
+  data.lastUpdatedByVariant = buildLastUpdatedByVariant(dataset.type, data, existingData, backfillTime);
+
+  await fs.writeFile(filePath, JSON.stringify(canonicalize(dataset.type, data), null, 2));
+  console.log(`${dataset.file}: backfilled ${updated} release timestamps`);
+
+  return updated;
+}
+
+/**
+ * Main function to backfill release timestamps of versions.json and game-versions.json
+ * from the first commit each entry appeared in. Safe to re-run, existing timestamps are
+ * only replaced by earlier ones. The per-variant Renovate datasources carry the timestamps
+ * too, so they are regenerated after a backfill.
+ *
+ * @param {string} [repoDir] - The repository directory, defaults to the project root
+ *
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} If a git command fails or a data file cannot be written
+ */
+async function backfillReleaseTimestamps(repoDir = path.join(__dirname, '..')) {
+  const backfillTime = new Date().toISOString();
+  let updated = 0;
+
+  for (const dataset of DATASETS) {
+    console.log(`Walking git history of ${dataset.file}...`);
+    updated += await backfillDataset(dataset, repoDir, backfillTime);
+  }
+
+  if (updated > 0) {
+    await generateDatasources({
+      versionsPath: path.join(repoDir, 'versions.json'),
+      gameVersionsPath: path.join(repoDir, 'game-versions.json')
+    });
+  }
+}
+
+if (require.main === module) {
+  runCommand(() => backfillReleaseTimestamps());
+}
+
+module.exports = backfillReleaseTimestamps;
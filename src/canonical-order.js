@@ -0,0 +1,193 @@
+/**
+ * Canonical order of the published datasets.
+ *
+ * CurseForge returns versions in no particular order, so the fetch scripts sort every array
+ * and object key of a dataset before writing it. Fields follow the order of the properties in
+ * the JSON Schema, variants follow their canonical order (see version-types.js) with unknown
+ * variants alphabetically after them, and entries are sorted newest first within a variant.
+ * Two datasets with the same content therefore serialize to the same JSON.
+ */
+const { getKnownVariants } = require('./version-types');
+const { getSchema } = require('./schemas');
+const { compareNames } = require('./version-diff');
+
+/**
+ * Compares two variant keys by their canonical order.
+ *
+ * @param {string} a - First variant key
+ * @param {string} b - Second variant key
+ *
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if equal
+ */
+function compareVariants(a, b) {
+  const known = getKnownVariants();
+  const indexA = known.includes(a) ? known.indexOf(a) : known.length;
+  const indexB = known.includes(b) ? known.indexOf(b) : known.length;
+
+  return indexA - indexB || String(a || '').localeCompare(String(b || ''));
+}
+
+/**
+ * Compares two entries of versions.json: by variant, then newest interface version first,
+ * then newest patch name first.
+ *
+ * @param {Object} a - First version
+ * @param {Object} b - Second version
+ *
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if equal
+ */
+function compareVersions(a, b) {
+  return compareVariants(a.variant, b.variant) ||
+    Number(b.version) - Number(a.version) ||
+    compareNames(b.name, a.name);
+}
+
+/**
+ * Compares two releases of game-versions.json: by variant, then newest patch name first,
+ * then newest gameVersion ID first.
+ *
+ * @param {Object} a - First release
+ * @param {Object} b - Second release
+ *
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if equal
+ */
+function compareReleases(a, b) {
+  return compareVariants(a.variant, b.variant) ||
+    compareNames(b.originalVersion, a.originalVersion) ||
+    Number(b.version) - Number(a.version);
+}
+
+/**
+ * Copies an object with its keys in the given order. Keys missing from the order follow
+ * alphabetically, keys without a value are dropped as in JSON.
+ *
+ * @param {Object} object - The object to copy
+ * @param {Array<string>} keys - The key order
+ *
+ * @returns {Object} The copy with ordered keys
+ */
+function orderKeys(object, keys) {
+  const rank = key => (keys.includes(key) ? keys.indexOf(key) : keys.length);
+  const sortedKeys = Object.keys(object)
+    .filter(key => object[key] !== undefined)
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+
+  return Object.fromEntries(sortedKeys.map(key => [key, object[key]]));
+}
+
+/**
+ * Copies an object with its keys sorted by a compare function.
+ *
+ * @param {Object|undefined} object - The object to copy
+ * @param {Function} compare - Compare function of two keys
+ * @param {Function} [mapValue] - Function applied to every value
+ *
+ * @returns {Object|undefined} The copy with sorted keys
+ */
+function sortKeys(object, compare, mapValue = value => value) {
+  if (!object) {
+    return object;
+  }
+
+  return Object.fromEntries(
+    Object.keys(object).sort(compare).map(key => [key, mapValue(object[key])])
+  );
+}
+
+/**
+ * Sorts the entries of a dataset array and the fields of each entry.
+ *
+ * @param {Array|undefined} entries - The entries
+ * @param {Function} compare - Compare function of two entries
+ * @param {Array<string>} keys - Field order of an entry
+ *
+ * @returns {Array|undefined} The sorted copy
+ */
+function sortEntries(entries, compare, keys) {
+  if (!Array.isArray(entries)) {
+    return entries;
+  }
+
+  return entries.map(entry => orderKeys(entry, keys)).sort(compare);
+}
+
+/**
+ * Returns the canonical form of a versions.json content.
+ *
+ * @param {Object} data - The versions.json content
+ *
+ * @returns {Object} New object in canonical order
+ */
+function canonicalizeVersions(data) {
+  const schema = getSchema('versions');
+  const versionKeys = Object.keys(schema.definitions.version.properties);
+  const versionTypeKeys = Object.keys(schema.definitions.versionType.properties);
+
+  return orderKeys({
+    ...data,
+    lastUpdatedByVariant: sortKeys(data.lastUpdatedByVariant, compareVariants),
+    versions: sortEntries(data.versions, compareVersions, versionKeys),
+    versionsByVariant: sortKeys(data.versionsByVariant, compareVariants, versions => {
+      return sortEntries(versions, compareVersions, versionKeys);
+    }),
+    versionTypes: sortKeys(data.versionTypes, (a, b) => Number(a) - Number(b), versionType => {
+      return orderKeys(versionType, versionTypeKeys);
+    }),
+    summary: sortKeys(data.summary, compareVariants)
+  }, Object.keys(schema.properties));
+}
+
+/**
+ * Returns the canonical form of a game-versions.json content.
+ *
+ * @param {Object} data - The game-versions.json content
+ *
+ * @returns {Object} New object in canonical order
+ */
+function canonicalizeGameVersions(data) {
+  const schema = getSchema('game-versions');
+
+  return orderKeys({
+    ...data,
+    lastUpdatedByVariant: sortKeys(data.lastUpdatedByVariant, compareVariants),
+    releases: sortEntries(data.releases, compareReleases, Object.keys(schema.definitions.release.properties))
+  }, Object.keys(schema.properties));
+}
+
+/**
+ * Returns the canonical form of a dataset.
+ *
+ * @param {string} type - "versions" or "game-versions"
+ * @param {Object} data - The dataset content
+ *
+ * @returns {Object} New object in canonical order
+ */
+function canonicalize(type, data) {
+  return type === 'versions' ? canonicalizeVersions(data) : canonicalizeGameVersions(data);
+}
+
+/**
+ * Checks whether two datasets have the same content, regardless of the order of their
+ * entries and fields.
+ *
+ * @param {string} type - "versions" or "game-versions"
+ * @param {Object|null} a - First dataset
+ * @param {Object|null} b - Second dataset
+ *
+ * @returns {boolean} True if both datasets have the same content
+ */
+function isSameContent(type, a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+
+  return JSON.stringify(canonicalize(type, a)) === JSON.stringify(canonicalize(type, b));
+}
+
+module.exports = {
+  compareVariants,
+  compareVersions,
+  compareReleases,
+  canonicalize,
+  isSameContent
+};
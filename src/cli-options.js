@@ -0,0 +1,265 @@
+const { parseArgs } = require('util');
+const {
+  MissingCredentialsError,
+  CredentialsRejectedError,
+  UpstreamError,
+  EmptyResponseError,
+  ValidationError,
+  UsageError,
+  ShrinkError
+} = require('./errors');
+const { UNCLASSIFIED_MODES } = require('./variant-resolution');
+const { addSecret, redactConsole } = require('./redaction');
+
+/**
+ * Exit codes of the command line scripts.
+ */
+const EXIT_CODES = {
+  // Success, the data files did not change
+  SUCCESS: 0,
+  // Unexpected error
+  ERROR: 1,
+  // Success, the data files changed (with --exit-code) or would change (with --dry-run)
+  DATA_CHANGED: 2,
+  // CURSEFORGE_API_KEY is not set or CurseForge rejected it
+  MISSING_CREDENTIALS: 3,
+  // A request to CurseForge failed
+  UPSTREAM_ERROR: 4,
+  // CurseForge returned no usable data
+  EMPTY_RESPONSE: 5,
+  // Data did not have the expected shape
+  VALIDATION_FAILED: 6,
+  // Invalid command or options
+  USAGE: 7,
+  // A fetch would have written a dataset with less data, see --force
+  SHRINK_REFUSED: 8
+};
+
+/**
+ * Maps library error classes to their exit codes. Order matters, the first match wins.
+ */
+const ERROR_EXIT_CODES = [
+  [MissingCredentialsError, EXIT_CODES.MISSING_CREDENTIALS],
+  [CredentialsRejectedError, EXIT_CODES.MISSING_CREDENTIALS],
+  [UpstreamError, EXIT_CODES.UPSTREAM_ERROR],
+  [EmptyResponseError, EXIT_CODES.EMPTY_RESPONSE],
+  [ValidationError, EXIT_CODES.VALIDATION_FAILED],
+  [UsageError, EXIT_CODES.USAGE],
+  [ShrinkError, EXIT_CODES.SHRINK_REFUSED]
+];
+
+/**
+ * Parses command line arguments with util.parseArgs and turns its errors into UsageErrors.
+ *
+ * @param {Object} config - Configuration passed to util.parseArgs
+ *
+ * @returns {Object} The parsed values and positionals
+ *
+ * @throws {UsageError} If the arguments do not match the configuration
+ */
+function parseArguments(config) {
+  try {
+    return parseArgs(config);
+  } catch (error) {
+    throw new UsageError(error.message, { cause: error });
+  }
+}
+
+/**
+ * Parses the value of the --max-shrink option.
+ *
+ * @param {string|undefined} value - The option value, a percentage
+ *
+ * @returns {number|undefined} The percentage or undefined if the option was not passed
+ *
+ * @throws {UsageError} If the value is not a percentage between 0 and 100
+ */
+function parseMaxShrinkPercent(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const percent = Number(value);
+
+  if (value.trim() === '' || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+    throw new UsageError(`--max-shrink must be a percentage between 0 and 100, got "${value}"`);
+  }
+
+  return percent;
+}
+
+/**
+ * Parses the value of the --pending-runs option.
+ *
+ * @param {string|undefined} value - The option value, a number of fetches
+ *
+ * @returns {number|undefined} The number of fetches or undefined if the option was not passed
+ *
+ * @throws {UsageError} If the value is not a whole number of at least 1
+ */
+function parsePendingRuns(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const runs = Number(value);
+
+  if (value.trim() === '' || !Number.isInteger(runs) || runs < 1) {
+    throw new UsageError(`--pending-runs must be a whole number of at least 1, got "${value}"`);
+  }
+
+  return runs;
+}
+
+/**
+ * Parses the value of the --unclassified option.
+ *
+ * @param {string|undefined} value - The option value
+ *
+ * @returns {string|undefined} The mode or undefined if the option was not passed
+ *
+ * @throws {UsageError} If the value is not one of UNCLASSIFIED_MODES
+ */
+function parseUnclassifiedMode(value) {
+  if (value !== undefined && !UNCLASSIFIED_MODES.includes(value)) {
+    throw new UsageError(`--unclassified must be one of ${UNCLASSIFIED_MODES.join(', ')}, got "${value}"`);
+  }
+
+  return value;
+}
+
+/**
+ * Parses the command line options shared by the fetch scripts.
+ *
+ * @param {Array<string>} argv - Command line arguments without the node binary and script path
+ *
+ * @returns {Object} Options object with changelogPath, dryRun, exitCode, force, maxShrinkPercent,
+ *   pendingRuns, unclassified, unparsedReportPath, cachePath, offline, configPath, recordDir and
+ *   replayDir
+ *
+ * @throws {UsageError} If an unknown option or an invalid value is passed
+ */
+function parseFetchOptions(argv) {
+  const { values } = parseArguments({
+    args: argv,
+    options: {
+      changelog: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'exit-code': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      'max-shrink': { type: 'string' },
+      'pending-runs': { type: 'string' },
+      unclassified: { type: 'string' },
+      'unparsed-report': { type: 'string' },
+      cache: { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      config: { type: 'string' },
+      record: { type: 'string' },
+      replay: { type: 'string' }
+    },
+    strict: true
+  });
+
+  return {
+    changelogPath: values.changelog,
+    dryRun: values['dry-run'],
+    exitCode: values['exit-code'],
+    force: values.force,
+    maxShrinkPercent: parseMaxShrinkPercent(values['max-shrink']),
+    pendingRuns: parsePendingRuns(values['pending-runs']),
+    unclassified: parseUnclassifiedMode(values.unclassified),
+    unparsedReportPath: values['unparsed-report'],
+    cachePath: values.cache,
+    offline: values.offline,
+    configPath: values.config,
+    recordDir: values.record,
+    replayDir: values.replay
+  };
+}
+
+/**
+ * Returns the exit code for an error thrown by a command.
+ *
+ * @param {Error} error - The error
+ *
+ * @returns {number} One of EXIT_CODES
+ */
+function getExitCode(error) {
+  const match = ERROR_EXIT_CODES.find(([ErrorClass]) => error instanceof ErrorClass);
+
+  return match ? match[1] : EXIT_CODES.ERROR;
+}
+
+/**
+ * Runs a command and maps errors it throws to an error message and exit code.
+ * The console is redacted while the command runs, so the API key never shows in the output.
+ *
+ * @param {Function} command - Async function running the command
+ *
+ * @returns {Promise<void>}
+ */
+async function runCommand(command) {
+  addSecret(process.env.CURSEFORGE_API_KEY);
+  const restoreConsole = redactConsole();
+
+  try {
+    await command();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+
+    if (error.cause) {
+      console.error(`Caused by: ${error.cause.message || error.cause}`);
+    }
+
+    process.exitCode = getExitCode(error);
+  } finally {
+    restoreConsole();
+  }
+}
+
+/**
+ * Runs a fetch pipeline as command line script. With --dry-run or --exit-code the
+ * exit code tells the caller whether the data files changed.
+ *
+ * @param {Function} pipeline - The fetch pipeline, resolving to a result with a changed flag
+ * @param {Array<string>} argv - Command line arguments without the node binary and script path
+ *
+ * @returns {Promise<void>}
+ */
+async function runFetchCommand(pipeline, argv) {
+  await runCommand(async () => {
+    const options = parseFetchOptions(argv);
+    const result = await pipeline(options);
+
+    if (options.dryRun || options.exitCode) {
+      process.exitCode = result.changed ? EXIT_CODES.DATA_CHANGED : EXIT_CODES.SUCCESS;
+    }
+  });
+}
+
+/**
+ * Runs a fetch pipeline as the script node was started with, on the arguments of the process.
+ * Only the script loads .env, quietly like the command line, library users pass the
+ * environment themselves.
+ *
+ * @param {Function} pipeline - The fetch pipeline, resolving to a result with a changed flag
+ *
+ * @returns {Promise<void>}
+ */
+function runFetchScript(pipeline) {
+  require('dotenv').config({ quiet: true });
+  return runFetchCommand(pipeline, process.argv.slice(2));
+}
+
+module.exports = {
+  EXIT_CODES,
+  parseArguments,
+  parseMaxShrinkPercent,
+  parsePendingRuns,
+  parseUnclassifiedMode,
+  parseFetchOptions,
+  getExitCode,
+  runCommand,
+  runFetchCommand,
+  runFetchScript
+};
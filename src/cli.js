@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const path = require('path');
+const fetchAndSaveVersions = require('./fetch-versions');
+const fetchAndSaveGameVersions = require('./fetch-game-versions');
+const fetchAndSaveAll = require('./fetch-all');
+const versionQuery = require('./version-query');
+const { diffVersions, diffGameVersions, filterDiff, hasChanges, renderChangelog, writeChangelog } = require('./version-diff');
+const { detectDatasetType, validateDataset } = require('./dataset-validation');
+const { generateDatasources } = require('./renovate-datasources');
+const { LOG_FORMATS, setLogFormat } = require('./logger');
+const { EXIT_CODES, parseArguments, parseMaxShrinkPercent, parsePendingRuns, parseUnclassifiedMode, runCommand } = require('./cli-options');
+const { DEFAULT_MAX_SHRINK_PERCENT } = require('./shrink-guards');
+const { UsageError, ValidationError } = require('./errors');
+
+// Directory holding the published datasets, the project root
+const DATA_DIR = path.join(__dirname, '..');
+
+const USAGE = `Usage: wow-renovate-data <command> [options]
+
+Commands:
+  fetch versions            Fetch WoW interface versions into versions.json
+  fetch game-versions       Fetch CurseForge gameVersion IDs into game-versions.json
+  fetch all                 Fetch both datasets and write them together, or neither
+  datasources               Regenerate the per-variant Renovate datasource files from the datasets
+  diff <old> [new]          Show the changes between two revisions of a dataset file
+  validate [files...]       Validate dataset files against their JSON Schemas
+                            (default: versions.json and game-versions.json)
+  query latest              Latest version of every variant
+  query interface <number>  Versions with an interface number, e.g. 11507
+  query name <patch>        Versions with a patch name, e.g. 1.15.7
+  query range               Versions between --from and --to (interface numbers or patch names)
+  query game-version <patch>  gameVersion IDs of a patch name
+
+Options:
+  -o, --output <path>       Dataset file to write (fetch versions, fetch game-versions)
+                            or directory holding both datasets (fetch all, datasources)
+  -f, --file <path>         Dataset file to read (query)
+  --dry-run                 Fetch, parse and diff but do not write any data file
+  --exit-code               Exit with ${EXIT_CODES.DATA_CHANGED} when data changed (fetch, datasources, diff)
+  --changelog <path>        Write the Markdown changelog to a file (fetch, diff)
+  --force                   Write even if the data would shrink (fetch)
+  --max-shrink <percent>    Largest share of entries a fetch may remove (fetch, default: ${DEFAULT_MAX_SHRINK_PERCENT})
+  --pending-runs <n>        Publish new entries only after n consecutive fetches (fetch)
+  --unclassified <mode>     keep (default), exclude or fail on game versions without a variant (fetch)
+  --unparsed-report <path>  Write the Markdown report of version names that could not be parsed (fetch)
+  --cache <path>            Keep the CurseForge responses in a file and send conditional requests (fetch)
+  --offline                 Run from the --cache file without contacting CurseForge (fetch)
+  --config <path>           JSON file with the CurseForge endpoints, timeout and retry settings (fetch)
+  --record <dir>            Save the raw CurseForge responses as fixtures, without the API key (fetch)
+  --replay <dir>            Run from the fixtures of --record without contacting CurseForge (fetch)
+  --variant <variant>       Only include this variant, can be repeated
+  --from <version>          Lower bound of query range
+  --to <version>            Upper bound of query range
+  --log-format <format>     text (default) or json
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  file: { type: 'string', short: 'f' },
+  'dry-run': { type: 'boolean', default: false },
+  'exit-code': { type: 'boolean', default: false },
+  changelog: { type: 'string' },
+  force: { type: 'boolean', default: false },
+  'max-shrink': { type: 'string' },
+  'pending-runs': { type: 'string' },
+  unclassified: { type: 'string' },
+  'unparsed-report': { type: 'string' },
+  cache: { type: 'string' },
+  offline: { type: 'boolean', default: false },
+  config: { type: 'string' },
+  record: { type: 'string' },
+  replay: { type: 'string' },
+  variant: { type: 'string', multiple: true, default: [] },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  'log-format': { type: 'string', default: 'text' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Reads and parses a dataset file.
+ *
+ * @param {string} filePath - Path of the dataset file
+ *
+ * @returns {Promise<Object>} The parsed dataset
+ *
+ * @throws {ValidationError} If the file is not valid JSON
+ */
+async function readDatasetFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(`${filePath} is not valid JSON: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Prints a result of a command as JSON to standard output.
+ *
+ * @param {*} result - The result to print
+ */
+function printJson(result) {
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+}
+
+/**
+ * Runs the fetch command.
+ *
+ * @param {string} target - "versions", "game-versions" or "all"
+ * @param {Object} values - Parsed command line options
+ *
+ * @returns {Promise<{changed: boolean}>} Whether any data file changed
+ */
+async function runFetch(target, values) {
+  const options = {
+    dryRun: values['dry-run'],
+    variants: values.variant,
+    force: values.force,
+    maxShrinkPercent: parseMaxShrinkPercent(values['max-shrink']),
+    pendingRuns: parsePendingRuns(values['pending-runs']),
+    unclassified: parseUnclassifiedMode(values.unclassified),
+    unparsedReportPath: values['unparsed-report'],
+    cachePath: values.cache,
+    offline: values.offline,
+    configPath: values.config,
+    recordDir: values.record,
+    replayDir: values.replay
+  };
+
+  if (target === 'versions') {
+    return fetchAndSaveVersions({ ...options, outputPath: values.output, changelogPath: values.changelog });
+  }
+
+  if (target === 'game-versions') {
+    return fetchAndSaveGameVersions({ ...options, outputPath: values.output, changelogPath: values.changelog });
+  }
+
+  if (target === 'all') {
+    const outputDir = values.output || DATA_DIR;
+
+    return fetchAndSaveAll({
+      ...options,
+      versionsPath: path.join(outputDir, 'versions.json'),
+      gameVersionsPath: path.join(outputDir, 'game-versions.json'),
+      changelogPath: values.changelog
+    });
+  }
+
+  throw new UsageError(`Unknown fetch target "${target || ''}", expected versions, game-versions or all`);
+}
+
+/**
+ * Runs the diff command, comparing two revisions of a dataset file.
+ *
+ * @param {Array<string>} files - The old file and optionally the new file
+ * @param {Object} values - Parsed command line options
+ *
+ * @returns {Promise<{changed: boolean}>} Whether the files differ
+ */
+async function runDiff(files, values) {
+  if (files.length < 1 || files.length > 2) {
+    throw new UsageError('diff expects the old dataset file and optionally the new dataset file');
+  }
+
+  const oldData = await readDatasetFile(files[0]);
+  const type = detectDatasetType(oldData);
+
+  if (!type) {
+    throw new ValidationError(`${files[0]} is neither a versions.json nor a game-versions.json dataset`);
+  }
+
+  const newFile = files[1] || path.join(DATA_DIR, `${type}.json`);
+  const newData = await readDatasetFile(newFile);
+
+  if (detectDatasetType(newData) !== type) {
+    throw new ValidationError(`${files[0]} and ${newFile} are not the same kind of dataset`);
+  }
+
+  const diff = filterDiff(
+    type === 'versions' ? diffVersions(oldData, newData) : diffGameVersions(oldData.releases, newData.releases),
+    values.variant
+  );
+  const changelog = renderChangelog(type === 'versions' ? { versions: diff } : { gameVersions: diff });
+
+  if (values.changelog) {
+    await writeChangelog(values.changelog, changelog);
+  }
+
+  process.stdout.write(changelog);
+
+  return { changed: hasChanges(diff) };
+}
+
+/**
+ * Runs the validate command.
+ *
+ * @param {Array<string>} files - The dataset files to validate, defaults to both published datasets
+ *
+ * @returns {Promise<void>}
+ *
+ * @throws {ValidationError} If any file is invalid
+ */
+async function runValidate(files) {
+  const targets = files.length > 0
+    ? files
+    : [path.join(DATA_DIR, 'versions.json'), path.join(DATA_DIR, 'game-versions.json')];
+  let invalid = 0;
+
+  for (const file of targets) {
+    const errors = validateDataset(await readDatasetFile(file));
+
+    if (errors.length === 0) {
+      console.log(`${file}: valid`);
+      continue;
+    }
+
+    invalid++;
+    console.error(`${file}: ${errors.length} problems`);
+    errors.forEach(error => console.error(`  - ${error}`));
+  }
+
+  if (invalid > 0) {
+    throw new ValidationError(`${invalid} of ${targets.length} dataset files are invalid`);
+  }
+}
+
+/**
+ * Keeps only entries of the given variants.
+ *
+ * @param {Array} entries - Version or release entries
+ * @param {Array<string>} variants - Variant keys to keep, all entries are kept if empty
+ *
+ * @returns {Array} The filtered entries
+ */
+function filterVariants(entries, variants) {
+  return variants.length > 0 ? entries.filter(entry => variants.includes(entry.variant)) : entries;
+}
+
+/**
+ * Runs the query command and prints its result as JSON.
+ *
+ * @param {string} query - The query name
+ * @param {Array<string>} args - Arguments of the query
+ * @param {Object} values - Parsed command line options
+ *
+ * @returns {Promise<void>}
+ */
+async function runQuery(query, args, values) {
+  const requireArgument = name => {
+    if (!args[0]) {
+      throw new UsageError(`query ${query} expects a ${name}`);
+    }
+    return args[0];
+  };
+
+  if (query === 'game-version') {
+    const patch = requireArgument('patch name');
+    const data = await versionQuery.loadGameVersions(values.file);
+    printJson(filterVariants(versionQuery.findGameVersions(data, patch), values.variant));
+    return;
+  }
+
+  const data = await versionQuery.loadVersions(values.file);
+
+  switch (query) {
+  case 'latest': {
+    const latest = versionQuery.getLatestVersions(data);
+    const variants = values.variant.length > 0 ? values.variant : Object.keys(latest);
+    printJson(Object.fromEntries(variants.filter(variant => latest[variant]).map(variant => [variant, latest[variant]])));
+    return;
+  }
+  case 'interface':
+    printJson(filterVariants(versionQuery.findByInterface(data, requireArgument('interface number')), values.variant));
+    return;
+  case 'name':
+    printJson(filterVariants(versionQuery.findByName(data, requireArgument('patch name')), values.variant));
+    return;
+  case 'range':
+    printJson(filterVariants(versionQuery.getVersionsInRange(data, { from: values.from, to: values.to }), values.variant));
+    return;
+  default:
+    throw new UsageError(`Unknown query "${query || ''}", expected latest, interface, name, range or game-version`);
+  }
+}
+
+/**
+ * Runs a command of the command line.
+ *
+ * @param {string} command - The command, e.g. "fetch"
+ * @param {Array<string>} args - The positional arguments after the command
+ * @param {Object} values - The parsed options
+ *
+ * @returns {Promise<Object|undefined>} The result of a command that changes data, with a
+ *   changed flag
+ *
+ * @throws {UsageError} If the command is unknown
+ */
+async function runSubcommand(command, args, values) {
+  switch (command) {
+  case 'fetch':
+    return runFetch(args[0], values);
+  case 'datasources': {
+    const dataDir = values.output || DATA_DIR;
+    return generateDatasources({
+      versionsPath: path.join(dataDir, 'versions.json'),
+      gameVersionsPath: path.join(dataDir, 'game-versions.json'),
+      dryRun: values['dry-run']
+    });
+  }
+  case 'diff':
+    return runDiff(args, values);
+  case 'validate':
+    return runValidate(args);
+  case 'query':
+    return runQuery(args[0], args.slice(1), values);
+  default:
+    throw new UsageError(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+}
+
+/**
+ * Runs the command line with the given arguments. The log format wraps the console before
+ * runCommand redacts it and is restored after, so the wrappers come off in reverse order and
+ * even the error of a failed command is logged in the chosen format.
+ *
+ * @param {Array<string>} argv - Command line arguments without the node binary and script path
+ *
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  let parsed = null;
+
+  await runCommand(async () => {
+    const result = parseArguments({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+      strict: true
+    });
+    const format = result.values['log-format'];
+
+    if (!LOG_FORMATS.includes(format)) {
+      throw new UsageError(`Unknown log format "${format}", expected one of ${LOG_FORMATS.join(', ')}`);
+    }
+
+    parsed = result;
+  });
+
+  if (!parsed) {
+    return;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const restoreLogFormat = setLogFormat(values['log-format']);
+
+  try {
+    await runCommand(async () => {
+      const result = await runSubcommand(command, args, values);
+
+      if (result && (values['dry-run'] || values['exit-code'])) {
+        process.exitCode = result.changed ? EXIT_CODES.DATA_CHANGED : EXIT_CODES.SUCCESS;
+      }
+    });
+  } finally {
+    restoreLogFormat();
+  }
+}
+
+if (require.main === module) {
+  // Only the command line loads .env, quietly so query output stays valid JSON
+  require('dotenv').config({ quiet: true });
+  main(process.argv.slice(2));
+}
+
+module.exports = main;
@@ -0,0 +1,183 @@
+/**
+ * Joins the interface versions of versions.json with the CurseForge gameVersion IDs of
+ * game-versions.json. Both sides describe patches by name and variant, the parsed name from
+ * VersionParser.parseVersion on one side and the game version name from processGameVersionData
+ * on the other.
+ */
+const fs = require('fs').promises;
+const { UNKNOWN_VARIANT } = require('./version-types');
+const { getLiveEntries } = require('./withdrawn-entries');
+
+/**
+ * Builds the key a patch is joined on.
+ *
+ * @param {string} variant - The variant key, e.g. "retail"
+ * @param {string} name - The patch name, e.g. "11.1.7"
+ *
+ * @returns {string} The join key
+ */
+function getPatchKey(variant, name) {
+  return `${variant}:${name}`;
+}
+
+/**
+ * Converts the releases of game-versions.json back into the shape of processGameVersionData.
+ * Withdrawn releases are skipped.
+ *
+ * @param {Array} releases - Releases with version (the gameVersion ID), originalVersion and variant
+ *
+ * @returns {Object} Object mapping version names to {id, variant} objects
+ */
+function releasesToGameVersions(releases) {
+  const gameVersions = {};
+
+  getLiveEntries(releases).forEach(release => {
+    gameVersions[release.originalVersion] = {
+      id: Number(release.version),
+      variant: release.variant
+    };
+  });
+
+  return gameVersions;
+}
+
+/**
+ * Adds the matching gameVersionId to each parsed version. Versions without a gameVersion ID
+ * of the same variant are returned unchanged.
+ *
+ * @param {Array} versions - Parsed versions with version, name and variant
+ * @param {Object} gameVersions - Object mapping version names to {id, variant} objects
+ *
+ * @returns {Array} New array of versions, linked versions carry gameVersionId
+ */
+function linkGameVersionIds(versions, gameVersions) {
+  const ids = new Map(
+    Object.entries(gameVersions).map(([name, data]) => [getPatchKey(data.variant, name), data.id])
+  );
+
+  return versions.map(version => {
+    const linked = { ...version };
+    const id = ids.get(getPatchKey(version.variant, version.name));
+
+    delete linked.gameVersionId;
+    if (id !== undefined) {
+      linked.gameVersionId = id;
+    }
+
+    return linked;
+  });
+}
+
+/**
+ * Adds the matching interface version to each game version. If a patch has several
+ * interface versions, the highest one is used.
+ *
+ * @param {Object} gameVersions - Object mapping version names to {id, variant} objects
+ * @param {Array} versions - Parsed versions with version, name and variant
+ *
+ * @returns {Object} New game versions object, linked entries carry interfaceVersion
+ */
+function linkInterfaceVersions(gameVersions, versions) {
+  const interfaces = new Map();
+
+  versions.forEach(version => {
+    const key = getPatchKey(version.variant, version.name);
+    const current = interfaces.get(key);
+
+    if (current === undefined || parseInt(version.version) > parseInt(current)) {
+      interfaces.set(key, version.version);
+    }
+  });
+
+  return Object.fromEntries(Object.entries(gameVersions).map(([name, data]) => {
+    const linked = { ...data };
+    const interfaceVersion = interfaces.get(getPatchKey(data.variant, name));
+
+    delete linked.interfaceVersion;
+    if (interfaceVersion !== undefined) {
+      linked.interfaceVersion = interfaceVersion;
+    }
+
+    return [name, linked];
+  }));
+}
+
+/**
+ * Finds patches that could not be linked. A version without a gameVersion ID is always a
+ * mismatch, a game version without an interface version only if its variant is known,
+ * game versions of unmapped version types have no interface version.
+ *
+ * @param {Array} versions - Parsed versions with version, name and variant
+ * @param {Object} gameVersions - Object mapping version names to {id, variant} objects
+ *
+ * @returns {Array<string>} Human-readable descriptions of the mismatches
+ */
+function findLinkMismatches(versions, gameVersions) {
+  const versionKeys = new Set(versions.map(version => getPatchKey(version.variant, version.name)));
+  const gameVersionKeys = new Set(Object.entries(gameVersions).map(([name, data]) => getPatchKey(data.variant, name)));
+  const mismatches = [];
+
+  versions.forEach(version => {
+    if (gameVersionKeys.has(getPatchKey(version.variant, version.name))) {
+      return;
+    }
+
+    const other = gameVersions[version.name];
+
+    mismatches.push(other
+      ? `${version.name} is ${version.variant} in versions.json but ${other.variant} in game-versions.json`
+      : `${version.name} (${version.variant}, interface ${version.version}) has no gameVersion ID`);
+  });
+
+  Object.entries(gameVersions).forEach(([name, data]) => {
+    if (data.variant === UNKNOWN_VARIANT || versionKeys.has(getPatchKey(data.variant, name))) {
+      return;
+    }
+
+    if (!versions.some(version => version.name === name)) {
+      mismatches.push(`${name} (${data.variant}, gameVersion ID ${data.id}) has no interface version`);
+    }
+  });
+
+  return mismatches;
+}
+
+/**
+ * Prints link mismatches as warnings.
+ *
+ * @param {Array<string>} mismatches - Descriptions from findLinkMismatches
+ */
+function reportLinkMismatches(mismatches) {
+  if (mismatches.length === 0) {
+    return;
+  }
+
+  console.warn(`WARNING: ${mismatches.length} patches could not be linked between versions.json and game-versions.json:`);
+  mismatches.forEach(mismatch => console.warn(`- ${mismatch}`));
+}
+
+/**
+ * Reads the dataset on the other side of the link.
+ *
+ * @param {string} filePath - Path of versions.json or game-versions.json
+ *
+ * @returns {Promise<Object|null>} The parsed dataset or null if the file doesn't exist or is invalid
+ */
+async function readLinkedDataset(filePath) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (_error) {
+    return null;
+  }
+}
+
+module.exports = {
+  getPatchKey,
+  releasesToGameVersions,
+  linkGameVersionIds,
+  linkInterfaceVersions,
+  findLinkMismatches,
+  reportLinkMismatches,
+  readLinkedDataset
+};
@@ -1,5 +1,22 @@
 const axios = require('axios');
 const packageInfo = require('../package.json');
+const { KNOWN_VERSION_TYPES, generateVariantKey } = require('./version-types');
+const { UpstreamError, ValidationError } = require('./errors');
+const { classifyRequestError, getRetryAfterDelay, getBackoffDelay, toRequestError } = require('./retry-policy');
+const { getConditionalHeaders, toCacheEntry } = require('./response-cache');
+const { addSecret, redact } = require('./redaction');
+const { DEFAULT_CLIENT_CONFIG } = require('./client-config');
+
+/**
+ * Accepts 304 Not Modified besides the 2xx statuses axios accepts by default.
+ *
+ * @param {number} status - HTTP status of the response
+ *
+ * @returns {boolean} True if the response is not an error
+ */
+function isSuccessOrNotModified(status) {
+  return (status >= 200 && status < 300) || status === 304;
+}
 
 /**
  * Client for interacting with the CurseForge API to fetch WoW version data.
@@ -9,64 +26,218 @@ class CurseForgeClient {
    * Creates a new CurseForgeClient instance.
    *
    * @param {string} apiKey - The CurseForge API key for authentication
+   * @param {Object} [options] - Client options
+   * @param {Object} [options.responseCache] - Cache from readResponseCache, requests are sent
+   *   conditionally and 304 responses answered from it
+   * @param {boolean} [options.offline] - Answer every request from the response cache without
+   *   contacting CurseForge
+   * @param {boolean} [options.recording] - Keep the data of every response for
+   *   getRecordedResponses(), to save it as fixtures
+   * @param {string} [options.baseUrl] - URL of the Core API, e.g. of a mirror
+   * @param {string} [options.uploadApiUrl] - URL of the Upload API
+   * @param {number} [options.requestTimeout] - Timeout of a single attempt in milliseconds
+   * @param {number} [options.maxRetries] - Number of attempts of a request
+   * @param {number} [options.retryBaseDelay] - Backoff after the first failed attempt in milliseconds
+   * @param {number} [options.retryBudget] - Total time a request may take including retries in
+   *   milliseconds
    */
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
+    const config = { ...DEFAULT_CLIENT_CONFIG };
+
+    Object.keys(DEFAULT_CLIENT_CONFIG).forEach(key => {
+      if (options[key] !== undefined) {
+        config[key] = options[key];
+      }
+    });
+
     this.apiKey = apiKey;
-    this.baseUrl = 'https://api.curseforge.com/v1';
+    addSecret(apiKey);
+    this.baseUrl = config.baseUrl;
+    this.uploadApiUrl = config.uploadApiUrl;
     this.wowGameId = 1;
     this.userAgent = `${packageInfo.name}/${packageInfo.version}`;
 
-    this.requestTimeout = 30000;
-    this.maxRetries = 3;
-    this.retryBaseDelay = 1000;
-
-    // Hardcoded mappings based on known gameVersionTypeIds
-    this.versionTypeMap = {
-      67408: { id: 67408, name: 'WoW Classic Era', slug: 'wow-classic-era', variant: 'classic_era' },
-      73246: { id: 73246, name: 'WoW Burning Crusade Classic', slug: 'wow-burning-crusade-classic', variant: 'tbc_classic' },
-      73713: { id: 73713, name: 'WoW Wrath of the Lich King Classic', slug: 'wow-wrath-of-the-lich-king-classic', variant: 'wotlk_classic' },
-      77522: { id: 77522, name: 'WoW Cataclysm Classic', slug: 'wow-cataclysm-classic', variant: 'cata_classic' },
-      79434: { id: 79434, name: 'WoW Mists of Pandaria Classic', slug: 'wow-mists-of-pandaria-classic', variant: 'mop_classic' },
-      517: { id: 517, name: 'WoW Retail', slug: 'wow-retail', variant: 'retail' }
-    };
+    this.requestTimeout = config.requestTimeout;
+    this.maxRetries = config.maxRetries;
+    this.retryBaseDelay = config.retryBaseDelay;
+    // Total time a request may take including retries, a retry that would end later is not made
+    this.retryBudget = config.retryBudget;
+
+    this.responseCache = options.responseCache ? { entries: { ...options.responseCache.entries } } : null;
+    this.offline = Boolean(options.offline);
+    // How each request was answered: "fetched", "not-modified" or "offline"
+    this.requestResults = [];
+    // Responses by request label, only while recording
+    this.recordedResponses = options.recording ? {} : null;
+
+    // Start out with the known mappings, discoverVersionTypes() replaces them with what CurseForge returns
+    this.versionTypeMap = Object.fromEntries(
+      Object.entries(KNOWN_VERSION_TYPES).map(([id, versionType]) => [id, { ...versionType }])
+    );
+    this.versionTypesDiscovered = false;
   }
 
   /**
-   * Performs an HTTP GET with a request timeout and exponential-backoff retries.
+   * Performs an HTTP GET with a request timeout and retries, see retry-policy.js.
+   * Network errors, timeouts, rate limits and server errors are retried after the delay
+   * Retry-After or the rate-limit headers ask for, otherwise after an exponential backoff with
+   * jitter. A rejected API key and other client errors fail right away.
    *
    * @param {string} url - The URL to request
    * @param {Object} headers - Request headers
    * @param {string} label - Human-readable label used in log messages
+   * @param {Object} [config] - Further axios request options
    *
    * @returns {Promise<Object>} The axios response
    *
-   * @throws {Error} If all retry attempts fail
+   * @throws {CredentialsRejectedError} If CurseForge rejects the API key
+   * @throws {NetworkError} If CurseForge could not be reached in any attempt
+   * @throws {UpstreamError} If CurseForge failed in every attempt or answered with a client error
    */
-  async requestWithRetry(url, headers, label) {
+  async requestWithRetry(url, headers, label, config = {}) {
+    const startTime = Date.now();
+    let attempts = 0;
     let lastError;
 
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+    while (attempts < this.maxRetries) {
+      attempts++;
+
       try {
-        return await axios.get(url, { headers, timeout: this.requestTimeout });
+        return await axios.get(url, { headers, timeout: this.requestTimeout, ...config });
       } catch (error) {
         lastError = error;
 
-        if (attempt < this.maxRetries) {
-          const delay = this.retryBaseDelay * 2 ** (attempt - 1);
+        if (!classifyRequestError(error).retryable || attempts === this.maxRetries) {
+          break;
+        }
 
-          console.warn(
-            `Error fetching ${label} (attempt ${attempt}/${this.maxRetries}): ${error.message}. ` +
-            `Retrying in ${delay}ms...`
-          );
+        const delay = getRetryAfterDelay(error.response) ?? getBackoffDelay(attempts, this.retryBaseDelay);
 
-          await new Promise(resolve => setTimeout(resolve, delay));
+        if (Date.now() - startTime + delay > this.retryBudget) {
+          console.warn(`Error fetching ${label}: ${redact(error.message)}. Retrying in ${delay}ms would exceed the retry budget`);
+          break;
         }
+
+        console.warn(
+          `Error fetching ${label} (attempt ${attempts}/${this.maxRetries}): ${redact(error.message)}. ` +
+          `Retrying in ${delay}ms...`
+        );
+
+        await this.wait(delay);
       }
     }
 
-    console.error(`Error fetching ${label} after ${this.maxRetries} attempts:`, lastError.message);
+    console.error(`Error fetching ${label} after ${attempts} ${attempts === 1 ? 'attempt' : 'attempts'}:`, redact(lastError.message));
+
+    throw toRequestError(lastError, label);
+  }
+
+  /**
+   * Performs a request through the response cache. With a cached response the request is sent
+   * with If-None-Match and If-Modified-Since and a 304 is answered from the cache, a fresh
+   * response replaces the cached one. In offline mode every request is answered from the cache.
+   * While recording, the data of the response is kept for getRecordedResponses().
+   *
+   * @param {string} url - The URL to request
+   * @param {Object} headers - Request headers
+   * @param {string} label - Human-readable label used in log messages and as cache key
+   *
+   * @returns {Promise<Object>} The axios response or an object with the cached data
+   *
+   * @throws {UpstreamError} If the request fails, see requestWithRetry, or there is no cached
+   *   response in offline mode
+   */
+  async request(url, headers, label) {
+    const response = await this.requestThroughCache(url, headers, label);
+
+    if (this.recordedResponses) {
+      this.recordedResponses[label] = { url, recordedAt: new Date().toISOString(), data: response.data };
+    }
 
-    throw lastError;
+    return response;
+  }
+
+  /**
+   * Answers a request from the response cache or CurseForge, see request.
+   *
+   * @param {string} url - The URL to request
+   * @param {Object} headers - Request headers
+   * @param {string} label - Human-readable label used in log messages and as cache key
+   *
+   * @returns {Promise<Object>} The axios response or an object with the cached data
+   *
+   * @throws {UpstreamError} If the request fails or there is no cached response in offline mode
+   */
+  async requestThroughCache(url, headers, label) {
+    const cached = this.responseCache?.entries[label];
+
+    if (this.offline) {
+      if (!cached) {
+        throw new UpstreamError(`No cached or recorded response for ${label}, run the fetch once online to store it`);
+      }
+
+      this.requestResults.push('offline');
+      return { data: cached.data };
+    }
+
+    const conditionalHeaders = getConditionalHeaders(cached);
+    const config = Object.keys(conditionalHeaders).length > 0 ? { validateStatus: isSuccessOrNotModified } : {};
+    const response = await this.requestWithRetry(url, { ...headers, ...conditionalHeaders }, label, config);
+
+    if (response.status === 304) {
+      console.log(`CurseForge reports ${label} not modified since ${cached.fetchedAt}, using the cached response`);
+      this.requestResults.push('not-modified');
+      return { data: cached.data };
+    }
+
+    this.requestResults.push('fetched');
+
+    if (this.responseCache) {
+      this.responseCache.entries[label] = toCacheEntry(response, new Date().toISOString());
+    }
+
+    return response;
+  }
+
+  /**
+   * Tells whether CurseForge answered every request so far with 304 Not Modified.
+   *
+   * @returns {boolean} True if at least one request was made and none returned new data
+   */
+  isNotModified() {
+    return this.requestResults.length > 0 && this.requestResults.every(result => result === 'not-modified');
+  }
+
+  /**
+   * Returns the response cache with the responses of this client, to save it once the data
+   * files were written.
+   *
+   * @returns {Object|null} The cache, or null if the client has no response cache
+   */
+  getResponseCache() {
+    return this.responseCache;
+  }
+
+  /**
+   * Returns the responses recorded by a client created with the recording option, to save them
+   * with saveFixtures.
+   *
+   * @returns {Object|null} Object mapping request labels to {url, recordedAt, data} objects, or
+   *   null if the client doesn't record
+   */
+  getRecordedResponses() {
+    return this.recordedResponses;
+  }
+
+  /**
+   * Waits before the next attempt of a request.
+   *
+   * @param {number} delay - Delay in milliseconds
+   *
+   * @returns {Promise<void>}
+   */
+  wait(delay) {
+    return new Promise(resolve => setTimeout(resolve, delay));
   }
 
   /**
@@ -74,10 +245,10 @@ class CurseForgeClient {
    *
    * @returns {Promise<Array>} Array of version group objects
    *
-   * @throws {Error} If the API request fails
+   * @throws {UpstreamError} If the API request fails, see requestWithRetry
    */
   async getGameVersions() {
-    const response = await this.requestWithRetry(
+    const response = await this.request(
       `${this.baseUrl}/games/${this.wowGameId}/versions`,
       {
         'Accept': 'application/json',
@@ -90,14 +261,106 @@ class CurseForgeClient {
     return response.data.data;
   }
 
+  /**
+   * Fetches the game version types from the CurseForge API.
+   *
+   * @returns {Promise<Array>} Array of version type objects with id, name and slug
+   *
+   * @throws {UpstreamError} If the API request fails, see requestWithRetry
+   */
+  async getGameVersionTypes() {
+    const response = await this.request(
+      `${this.baseUrl}/games/${this.wowGameId}/version-types`,
+      {
+        'Accept': 'application/json',
+        'x-api-key': this.apiKey,
+        'User-Agent': this.userAgent
+      },
+      'game version types'
+    );
+
+    return response.data.data;
+  }
+
+  /**
+   * Fetches the version types from CurseForge and merges them with the known metadata.
+   * Known types keep their variant key, types without known metadata get a generated
+   * variant key and a warning so the mapping can be added to the known metadata.
+   * Falls back to the known metadata if CurseForge returns no types. The types are only
+   * requested once per client, later calls return the discovered mappings.
+   *
+   * @returns {Promise<Object>} Object mapping version type IDs to their metadata
+   *
+   * @throws {UpstreamError} If the API request fails, see requestWithRetry
+   */
+  async discoverVersionTypes() {
+    if (this.versionTypesDiscovered) {
+      return this.versionTypeMap;
+    }
+
+    const versionTypes = await this.getGameVersionTypes();
+    this.versionTypesDiscovered = true;
+
+    if (!Array.isArray(versionTypes) || versionTypes.length === 0) {
+      console.warn('WARNING: CurseForge returned no game version types, falling back to the known version types');
+      return this.versionTypeMap;
+    }
+
+    const versionTypeMap = {};
+
+    versionTypes.forEach(versionType => {
+      if (!versionType || !versionType.id) {
+        return;
+      }
+
+      const known = KNOWN_VERSION_TYPES[versionType.id];
+
+      if (known) {
+        versionTypeMap[versionType.id] = {
+          id: versionType.id,
+          name: versionType.name || known.name,
+          slug: versionType.slug || known.slug,
+          variant: known.variant
+        };
+        return;
+      }
+
+      const variant = generateVariantKey(versionType);
+
+      console.warn(
+        `WARNING: Unmapped CurseForge version type ${versionType.id} (${versionType.name || 'unnamed'}), ` +
+        `using generated variant "${variant}". Add it to KNOWN_VERSION_TYPES in src/version-types.js`
+      );
+
+      versionTypeMap[versionType.id] = {
+        id: versionType.id,
+        name: versionType.name || `Unknown version type ${versionType.id}`,
+        slug: versionType.slug || variant,
+        variant: variant
+      };
+    });
+
+    this.versionTypeMap = versionTypeMap;
+
+    return versionTypeMap;
+  }
+
   /**
    * Fetches and processes all WoW versions from all version groups.
+   * Version types are discovered from CurseForge first so new flavors are not skipped.
    *
    * @returns {Promise<Array>} Array of version objects with name, type, variant, and type metadata
+   *
+   * @throws {ValidationError} If the API response does not contain an array of version groups
    */
   async getAllWowVersions() {
+    await this.discoverVersionTypes();
     const versionGroups = await this.getGameVersions();
 
+    if (!Array.isArray(versionGroups)) {
+      throw new ValidationError('Unexpected game versions response from CurseForge, expected an array of version groups');
+    }
+
     // Extract all WoW versions (Classic and Retail)
     const allVersions = [];
 
@@ -110,6 +373,7 @@ class CurseForgeClient {
       const versionType = this.versionTypeMap[group.type];
 
       if (!versionType) {
+        console.warn(`WARNING: Skipping ${group.versions.length} versions of unknown version type ${group.type}`);
         return;
       }
 
@@ -128,7 +392,8 @@ class CurseForgeClient {
   }
 
   /**
-   * Returns the hardcoded version type mappings.
+   * Returns the version type mappings. These are the known mappings until
+   * discoverVersionTypes() has replaced them with the types CurseForge returned.
    *
    * @returns {Object} Object mapping version type IDs to their metadata
    */
@@ -137,17 +402,19 @@ class CurseForgeClient {
   }
 
   /**
-   * Fetches game version IDs from the CurseForge Upload API.
+   * Fetches game version IDs from the CurseForge Upload API. The API key is sent in the
+   * X-Api-Token header, not in the query string, so it can't end up in logged URLs.
    *
    * @returns {Promise<Array>} Array of game version objects with IDs
    *
-   * @throws {Error} If the API request fails
+   * @throws {UpstreamError} If the API request fails, see requestWithRetry
    */
   async getGameVersionIds() {
-    const response = await this.requestWithRetry(
-      `https://wow.curseforge.com/api/game/versions?token=${this.apiKey}`,
+    const response = await this.request(
+      `${this.uploadApiUrl}/game/versions`,
       {
         'Accept': 'application/json',
+        'X-Api-Token': this.apiKey,
         'User-Agent': this.userAgent
       },
       'game version IDs'
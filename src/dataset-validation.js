@@ -0,0 +1,178 @@
+/**
+ * Structural validation of the published datasets.
+ */
+const { ValidationError } = require('./errors');
+const { validateAgainstSchema } = require('./schemas');
+const { getLiveEntries } = require('./withdrawn-entries');
+
+/**
+ * Detects which dataset a parsed file contains.
+ *
+ * @param {Object} data - The parsed file
+ *
+ * @returns {string|null} "versions", "game-versions" or null if the file is neither
+ */
+function detectDatasetType(data) {
+  if (data && Array.isArray(data.versions)) {
+    return 'versions';
+  }
+
+  if (data && Array.isArray(data.releases)) {
+    return 'game-versions';
+  }
+
+  return null;
+}
+
+/**
+ * Checks that the listed fields of an entry are non-empty strings.
+ *
+ * @param {Object} entry - The entry to check
+ * @param {Array<string>} fields - The required string fields
+ * @param {string} location - Location of the entry used in error messages, e.g. "versions[3]"
+ *
+ * @returns {Array<string>} Error messages, empty if the entry is valid
+ */
+function checkStringFields(entry, fields, location) {
+  if (!entry || typeof entry !== 'object') {
+    return [`${location} must be an object`];
+  }
+
+  return fields
+    .filter(field => typeof entry[field] !== 'string' || entry[field] === '')
+    .map(field => `${location}.${field} must be a non-empty string`);
+}
+
+/**
+ * Validates the structure of versions.json data.
+ *
+ * @param {Object} data - The parsed versions.json
+ *
+ * @returns {Array<string>} Error messages, empty if the data is valid
+ */
+function validateVersionsData(data) {
+  if (!data || !Array.isArray(data.versions)) {
+    return ['versions must be an array'];
+  }
+
+  const errors = [];
+
+  if (typeof data.lastUpdated !== 'string') {
+    errors.push('lastUpdated must be a string');
+  }
+
+  data.versions.forEach((version, index) => {
+    errors.push(...checkStringFields(version, ['version', 'name', 'variant'], `versions[${index}]`));
+
+    if (version && typeof version.version === 'string' && !/^\d+$/.test(version.version)) {
+      errors.push(`versions[${index}].version must be a numeric interface version`);
+    }
+
+    if (version && version.gameVersionId !== undefined && !Number.isInteger(version.gameVersionId)) {
+      errors.push(`versions[${index}].gameVersionId must be an integer`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates the structure of game-versions.json data.
+ *
+ * @param {Object} data - The parsed game-versions.json
+ *
+ * @returns {Array<string>} Error messages, empty if the data is valid
+ */
+function validateGameVersionsData(data) {
+  if (!data || !Array.isArray(data.releases)) {
+    return ['releases must be an array'];
+  }
+
+  const errors = [];
+
+  if (typeof data.lastUpdated !== 'string') {
+    errors.push('lastUpdated must be a string');
+  }
+
+  data.releases.forEach((release, index) => {
+    errors.push(...checkStringFields(release, ['version', 'originalVersion', 'variant'], `releases[${index}]`));
+
+    if (release && typeof release.version === 'string' && !/^\d+$/.test(release.version)) {
+      errors.push(`releases[${index}].version must be a numeric gameVersion ID`);
+    }
+
+    if (release && release.interfaceVersion !== undefined && !/^\d+$/.test(release.interfaceVersion)) {
+      errors.push(`releases[${index}].interfaceVersion must be a numeric interface version`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates a parsed dataset file of either type. The structural checks run first, only a
+ * structurally valid file is checked against the JSON Schema of its type so the same problem
+ * is not reported twice.
+ *
+ * @param {Object} data - The parsed file
+ *
+ * @returns {Array<string>} Error messages, empty if the data is valid
+ */
+function validateDataset(data) {
+  const type = detectDatasetType(data);
+
+  if (!type) {
+    return ['file is neither a versions.json nor a game-versions.json dataset'];
+  }
+
+  const errors = type === 'versions' ? validateVersionsData(data) : validateGameVersionsData(data);
+
+  return errors.length > 0 ? errors : validateAgainstSchema(type, data);
+}
+
+/**
+ * Validates a dataset before it is written and prints the errors.
+ *
+ * @param {Object} data - The dataset content about to be written
+ * @param {string} fileName - Name of the file used in the error message, e.g. "versions.json"
+ *
+ * @throws {ValidationError} If the data does not match its schema
+ */
+function assertValidDataset(data, fileName) {
+  const errors = validateDataset(data);
+
+  if (errors.length > 0) {
+    errors.forEach(message => console.error(`- ${message}`));
+    throw new ValidationError(`${fileName} does not match its schema, not writing it`);
+  }
+}
+
+/**
+ * Checks that versions.json and game-versions.json describe the same patches. Every patch in
+ * versions.json needs a gameVersion ID of the same variant in game-versions.json. The reverse
+ * is not required, the Upload API also lists game versions that have no interface version.
+ * Withdrawn entries are ignored on both sides.
+ *
+ * @param {Object} versionsData - The versions.json content
+ * @param {Object} gameVersionsData - The game-versions.json content
+ *
+ * @returns {Array<string>} Error messages, empty if the datasets agree
+ */
+function checkDatasetConsistency(versionsData, gameVersionsData) {
+  const gameVersionKeys = new Set(
+    getLiveEntries(gameVersionsData.releases).map(release => `${release.variant}:${release.originalVersion}`)
+  );
+
+  return getLiveEntries(versionsData.versions)
+    .filter(version => !gameVersionKeys.has(`${version.variant}:${version.name}`))
+    .map(version => `${version.name} (${version.variant}) is in versions.json but has no gameVersion ID in game-versions.json`);
+}
+
+module.exports = {
+  detectDatasetType,
+  validateVersionsData,
+  validateGameVersionsData,
+  validateDataset,
+  assertValidDataset,
+  checkDatasetConsistency
+};
@@ -0,0 +1,105 @@
+const { redact } = require('./redaction');
+
+/**
+ * Base class of all errors thrown by the library. The command line entry points map
+ * these to exit codes, library code never exits the process itself.
+ */
+class WowDataError extends Error {
+  /**
+   * Creates a new error.
+   *
+   * @param {string} message - Description of the error
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - The underlying error
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Thrown when the CurseForge API key is not configured.
+ */
+class MissingCredentialsError extends WowDataError {}
+
+/**
+ * Thrown when a request to CurseForge fails. Used as is when CurseForge is at fault, e.g. on
+ * server errors or exhausted rate limits.
+ */
+class UpstreamError extends WowDataError {}
+
+/**
+ * Thrown when CurseForge rejects the API key, e.g. because it was revoked. Not retried.
+ */
+class CredentialsRejectedError extends UpstreamError {}
+
+/**
+ * Thrown when CurseForge could not be reached, e.g. on DNS failures, refused connections or
+ * timeouts.
+ */
+class NetworkError extends UpstreamError {}
+
+/**
+ * Thrown when CurseForge answers successfully but without any usable data.
+ */
+class EmptyResponseError extends WowDataError {}
+
+/**
+ * Thrown when data from CurseForge or a data file does not have the expected shape.
+ */
+class ValidationError extends WowDataError {}
+
+/**
+ * Thrown when the command line is called with invalid commands or options.
+ */
+class UsageError extends WowDataError {}
+
+/**
+ * Thrown when a fetch would write a dataset that lost data compared to the existing file.
+ */
+class ShrinkError extends WowDataError {
+  /**
+   * Creates a new error.
+   *
+   * @param {string} message - Description of the error
+   * @param {Array<string>} reasons - The guards that refused the write
+   * @param {Object} [options] - Error options
+   * @param {Error} [options.cause] - The underlying error
+   */
+  constructor(message, reasons, options) {
+    super(message, options);
+    this.reasons = reasons;
+  }
+}
+
+/**
+ * Wraps an error thrown while talking to CurseForge into an UpstreamError, with secrets
+ * redacted from the message.
+ * Errors that already are library errors are returned unchanged.
+ *
+ * @param {Error} error - The error to wrap
+ * @param {string} label - Human-readable label of what was fetched
+ *
+ * @returns {WowDataError} The typed error
+ */
+function toUpstreamError(error, label) {
+  if (error instanceof WowDataError) {
+    return error;
+  }
+
+  return new UpstreamError(`Failed to fetch ${label} from CurseForge: ${redact(error.message)}`, { cause: error });
+}
+
+module.exports = {
+  WowDataError,
+  MissingCredentialsError,
+  UpstreamError,
+  CredentialsRejectedError,
+  NetworkError,
+  EmptyResponseError,
+  ValidationError,
+  UsageError,
+  ShrinkError,
+  toUpstreamError
+};
@@ -0,0 +1,272 @@
+const VersionParser = require('./version-parser');
+const { ValidationError } = require('./errors');
+const fetchVersions = require('./fetch-versions');
+const fetchGameVersions = require('./fetch-game-versions');
+const { assertValidDataset, checkDatasetConsistency } = require('./dataset-validation');
+const { checkVersionsShrink, checkGameVersionsShrink, assertNoShrink } = require('./shrink-guards');
+const { linkGameVersionIds, linkInterfaceVersions, findLinkMismatches, reportLinkMismatches } = require('./cross-link');
+const { writeFilesAtomically } = require('./atomic-write');
+const {
+  getDatasourcesDir,
+  buildVersionsDatasources,
+  buildGameVersionsDatasources,
+  findChangedDatasources,
+  createDatasourceDirs
+} = require('./renovate-datasources');
+const {
+  diffVersions,
+  diffGameVersions,
+  addPendingChanges,
+  filterDiff,
+  renderChangelog,
+  writeChangelog
+} = require('./version-diff');
+const {
+  createFetchRun,
+  recordFixtures,
+  debounceDataset,
+  isUpToDate,
+  getPendingStateFiles,
+  saveRunCache
+} = require('./fetch-run');
+const { reportUnparsedVersions, writeUnparsedReport } = require('./unparsed-report');
+const { runFetchScript } = require('./cli-options');
+
+/**
+ * Fetches versions.json and game-versions.json together with one CurseForge client and
+ * writes both files only if both fetches succeed, both datasets match their schemas, neither
+ * lost data and they agree with each other.
+ * The interface versions are fetched first so the game version IDs are mapped with the
+ * version types discovered in that request. Versions are linked with their gameVersion IDs
+ * and game versions with their interface versions.
+ *
+ * Both files and the per-variant Renovate datasources are written through temp-file-and-rename
+ * in one batch, a file whose content did not change is left untouched. If a rename of the batch
+ * fails, the files replaced before are restored, see writeFilesAtomically. With pendingRuns the
+ * state files of both debounces are part of the batch. A response cache is saved after the
+ * batch with the hashes of the written files. The run stops early when CurseForge answers every
+ * request with 304 Not Modified and neither the code nor the files changed, see
+ * response-cache.js. In dry-run mode everything is fetched, checked and diffed but no file is
+ * written.
+ *
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.versionsPath] - Path of versions.json, defaults to the project root
+ * @param {string} [options.gameVersionsPath] - Path of game-versions.json, defaults to the project root
+ * @param {string} [options.datasourcesDir] - Directory of the per-variant datasource files,
+ *   defaults to the datasources directory next to versions.json
+ * @param {string} [options.changelogPath] - Path to write the Markdown changelog of both datasets to
+ * @param {boolean} [options.dryRun] - Only report what would change without writing any file
+ * @param {Array<string>} [options.variants] - Only include these variants in the changelog
+ * @param {boolean} [options.force] - Write even if a shrink guard fails
+ * @param {number} [options.maxShrinkPercent] - Largest share of entries a fetch may remove, in percent,
+ *   defaults to 10
+ * @param {number} [options.pendingRuns] - Number of consecutive fetches a new entry needs to be
+ *   published, new entries are published right away if not set
+ * @param {string} [options.unclassified] - What to do with game versions that could not be
+ *   classified into a variant: "keep" (default), "exclude" or "fail"
+ * @param {string} [options.unparsedReportPath] - Path to write the Markdown report of version names
+ *   that could not be parsed to
+ * @param {string} [options.cachePath] - Path of the response cache, requests are sent conditionally
+ *   and the run stops early if CurseForge returned no new data
+ * @param {boolean} [options.offline] - Run from the response cache without contacting CurseForge
+ * @param {string} [options.recordDir] - Directory to record the CurseForge responses to as fixtures
+ * @param {string} [options.replayDir] - Run from the fixtures recorded to this directory, implies
+ *   offline
+ * @param {string} [options.configPath] - Path of a JSON file with CurseForgeClient settings, see
+ *   client-config.js
+ *
+ * @returns {Promise<{changed: boolean, versions: Object, gameVersions: Object}>} Whether any data
+ *   file changed (or would change in dry-run mode) and the changed flag and diff of each dataset
+ *
+ * @throws {MissingCredentialsError} If the API key is not set
+ * @throws {UsageError} If offline is set without a cache path, the fixtures can't be read or the
+ *   client config is invalid
+ * @throws {UpstreamError} If a request to CurseForge fails
+ * @throws {EmptyResponseError} If the API response contains no game version IDs
+ * @throws {ValidationError} If a response has an unexpected shape, a dataset does not match its
+ *   schema, the datasets disagree or a game version could not be classified with unclassified "fail"
+ * @throws {ShrinkError} If a dataset lost data and force is not set
+ */
+async function fetchAndSaveAll(options = {}) {
+  const versionsPath = options.versionsPath || fetchVersions.DEFAULT_OUTPUT_PATH;
+  const gameVersionsPath = options.gameVersionsPath || fetchGameVersions.DEFAULT_OUTPUT_PATH;
+
+  const run = await createFetchRun(options);
+  const { client } = run;
+  const parser = new VersionParser();
+
+  const fetchTime = new Date().toISOString();
+
+  const existingVersions = await fetchVersions.readExistingVersions(versionsPath);
+  const existingGameVersions = await fetchGameVersions.readExistingGameVersions(gameVersionsPath);
+
+  // Nothing is written until both datasets are fetched, linked and checked
+  const { parsedVersions: fetchedVersions, unparsedVersions } = await fetchVersions.fetchParsedVersions(client, parser);
+  const fetchedGameVersions = await fetchGameVersions.fetchGameVersions(client, options);
+
+  await recordFixtures(run);
+
+  // Ahead of the early stop, the run summary shows the report on every run
+  reportUnparsedVersions(unparsedVersions);
+
+  if (options.unparsedReportPath) {
+    await writeUnparsedReport(options.unparsedReportPath, unparsedVersions);
+  }
+
+  const datasourcesDir = options.datasourcesDir || getDatasourcesDir(versionsPath);
+  const datasets = [
+    await debounceDataset(
+      run,
+      { dataPath: versionsPath, datasourcesDir, existing: existingVersions, fetched: fetchedVersions },
+      fetchVersions.debounceVersions,
+      fetchTime
+    ),
+    await debounceDataset(
+      run,
+      { dataPath: gameVersionsPath, datasourcesDir, existing: existingGameVersions, fetched: fetchedGameVersions },
+      fetchGameVersions.debounceGameVersions,
+      fetchTime
+    )
+  ];
+  const [
+    { debounce: versionsDebounce, entries: parsedVersions },
+    { debounce: gameVersionsDebounce, entries: gameVersionEntries }
+  ] = datasets;
+
+  if (await isUpToDate(run, datasets)) {
+    console.log('CurseForge returned no new data, versions.json and game-versions.json are up to date');
+    return {
+      changed: false,
+      versions: { changed: false, diff: diffVersions(existingVersions, existingVersions) },
+      gameVersions: {
+        changed: false,
+        diff: diffGameVersions(existingGameVersions.releases, existingGameVersions.releases)
+      }
+    };
+  }
+
+  reportLinkMismatches(findLinkMismatches(parsedVersions, gameVersionEntries));
+
+  const versions = fetchVersions.buildVersionsUpdate(
+    linkGameVersionIds(parsedVersions, gameVersionEntries),
+    client.getVersionTypes(),
+    existingVersions,
+    fetchTime
+  );
+  const linkedGameVersions = linkInterfaceVersions(gameVersionEntries, parsedVersions);
+  const gameVersions = fetchGameVersions.buildGameVersionsUpdate(linkedGameVersions, existingGameVersions);
+
+  if (versionsDebounce) {
+    versions.diff = addPendingChanges(
+      versions.diff,
+      versionsDebounce,
+      fetchVersions.toVersionChange,
+      options.pendingRuns
+    );
+    gameVersions.diff = addPendingChanges(
+      gameVersions.diff,
+      gameVersionsDebounce,
+      fetchGameVersions.toGameVersionChange,
+      options.pendingRuns
+    );
+  }
+
+  const gameVersionsOutput = fetchGameVersions.createGameVersionsDatasource(
+    linkedGameVersions,
+    parser,
+    existingGameVersions,
+    fetchTime
+  );
+
+  assertValidDataset(versions.output, 'versions.json');
+  assertValidDataset(gameVersionsOutput, 'game-versions.json');
+
+  assertNoShrink(
+    checkVersionsShrink(existingVersions, versions.output, options.maxShrinkPercent),
+    'versions.json',
+    options.force
+  );
+  assertNoShrink(
+    checkGameVersionsShrink(existingGameVersions, gameVersionsOutput, options.maxShrinkPercent),
+    'game-versions.json',
+    options.force
+  );
+
+  const inconsistencies = checkDatasetConsistency(versions.output, gameVersionsOutput);
+
+  if (inconsistencies.length > 0) {
+    inconsistencies.forEach(message => console.error(`- ${message}`));
+    throw new ValidationError(
+      `versions.json and game-versions.json disagree on ${inconsistencies.length} patches, not writing either file`
+    );
+  }
+
+  const files = [];
+
+  if (versions.changed) {
+    files.push({ path: versionsPath, content: JSON.stringify(versions.output, null, 2) });
+  }
+
+  if (gameVersions.changed) {
+    files.push({ path: gameVersionsPath, content: JSON.stringify(gameVersionsOutput, null, 2) });
+  }
+
+  const datasourceFiles = await findChangedDatasources(datasourcesDir, [
+    ...buildVersionsDatasources(versions.output),
+    ...buildGameVersionsDatasources(gameVersions.changed ? gameVersionsOutput : existingGameVersions)
+  ]);
+
+  files.push(...datasourceFiles);
+
+  // Pending entries alone don't count as a change of the published data
+  const changed = files.length > 0;
+
+  files.push(...getPendingStateFiles(run, datasets));
+
+  if (options.dryRun) {
+    console.log('Dry run: not writing versions.json, game-versions.json and datasource files');
+  } else {
+    if (!changed) {
+      console.log('No changes detected, keeping existing files');
+    }
+
+    if (files.length > 0) {
+      await createDatasourceDirs(datasourceFiles);
+      await writeFilesAtomically(files);
+      files.forEach(file => console.log(`Saved ${file.path}`));
+    }
+
+    // The cache keeps the hashes of the written files, so it is saved after the batch
+    await saveRunCache(run, datasets);
+  }
+
+  const changelog = renderChangelog({
+    versions: filterDiff(versions.diff, options.variants),
+    gameVersions: filterDiff(gameVersions.diff, options.variants)
+  });
+
+  if (options.changelogPath) {
+    await writeChangelog(options.changelogPath, changelog);
+  }
+
+  fetchVersions.printVersionSummary(versions.output, versions.versionsByVariant);
+  fetchGameVersions.printSummary(linkedGameVersions);
+  console.log(`\n${changelog}`);
+
+  if (options.dryRun) {
+    console.log(changed ? 'Dry run: data files would change' : 'Dry run: data files would not change');
+  }
+
+  return {
+    changed,
+    versions: { changed: versions.changed, diff: versions.diff },
+    gameVersions: { changed: gameVersions.changed, diff: gameVersions.diff }
+  };
+}
+
+if (require.main === module) {
+  runFetchScript(fetchAndSaveAll);
+}
+
+module.exports = fetchAndSaveAll;
+
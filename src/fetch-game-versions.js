@@ -1,8 +1,29 @@
-require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
-const CurseForgeClient = require('./curseforge-client');
+const { EmptyResponseError, ValidationError, toUpstreamError } = require('./errors');
 const VersionParser = require('./version-parser');
+const { resolveVariant, reportVariantResolution, applyUnclassifiedMode } = require('./variant-resolution');
+const { applyReleaseTimestamps, getGameVersionKey } = require('./release-timestamps');
+const { getLiveEntries, applyWithdrawals } = require('./withdrawn-entries');
+const { diffGameVersions, addPendingChanges, filterDiff, renderChangelog, writeChangelog } = require('./version-diff');
+const { canonicalize } = require('./canonical-order');
+const { buildLastUpdatedByVariant } = require('./variant-timestamps');
+const { debounceNewEntries } = require('./pending-entries');
+const { createFetchRun, recordFixtures, debounceDataset, isUpToDate, saveRunState } = require('./fetch-run');
+const {
+  getDatasourcesDir,
+  buildGameVersionsDatasources,
+  findChangedDatasources,
+  saveDatasources
+} = require('./renovate-datasources');
+const { linkInterfaceVersions, findLinkMismatches, reportLinkMismatches, readLinkedDataset } = require('./cross-link');
+const { SCHEMA_VERSION, withSchemaFields } = require('./schemas');
+const { assertValidDataset } = require('./dataset-validation');
+const { checkGameVersionsShrink, assertNoShrink } = require('./shrink-guards');
+const { runFetchScript } = require('./cli-options');
+
+// Default location of game-versions.json, the project root
+const DEFAULT_OUTPUT_PATH = path.join(__dirname, '..', 'game-versions.json');
 
 /**
  * Prints a summary of game versions grouped by variant.
@@ -25,15 +46,21 @@ function printSummary(gameVersions) {
 }
 
 /**
- * Saves game versions to a JSON file in Renovate-compatible format.
- * Organizes versions by variant and assigns release timestamps.
+ * Builds the game-versions.json content in Renovate-compatible format.
+ * Organizes versions by variant and assigns release timestamps. A gameVersion ID that is
+ * already present in the existing data keeps its releaseTimestamp, new IDs get the fetch time.
+ * IDs of the existing data that are no longer listed are kept as withdrawn tombstones.
+ * lastUpdatedByVariant only moves for the variants whose releases changed. The releases are in
+ * canonical order (see canonical-order.js).
  *
  * @param {Object} gameVersions - Object mapping version names to version data
  * @param {VersionParser} versionParser - Instance of VersionParser for version number parsing
+ * @param {Object|null} existingData - The previously saved game version data, if any
+ * @param {string} fetchTime - ISO timestamp of the fetch
  *
- * @returns {Promise<void>}
+ * @returns {Object} The game-versions.json content with lastUpdated and releases
  */
-async function saveGameVersionsToFile(gameVersions, versionParser) {
+function createGameVersionsDatasource(gameVersions, versionParser, existingData, fetchTime) {
   // First, organize all versions by variant
   const versionsByVariant = {};
 
@@ -44,6 +71,8 @@ async function saveGameVersionsToFile(gameVersions, versionParser) {
     versionsByVariant[data.variant].push({
       version: versionName,
       gameVersionId: data.id,
+      interfaceVersion: data.interfaceVersion,
+      releaseTimestamp: data.releaseTimestamp,
       sortOrder: versionParser.parseVersionToNumber(versionName)
     });
   });
@@ -58,22 +87,48 @@ async function saveGameVersionsToFile(gameVersions, versionParser) {
   // Process each variant
   Object.entries(versionsByVariant).forEach(([variant, versions]) => {
     versions.forEach((versionData) => {
-      renovateReleases.push({
+      const release = {
         // Use gameVersionId as the version (what Renovate will use)
         version: String(versionData.gameVersionId),
         // Keep the original version for reference
         originalVersion: versionData.version,
         variant: variant
-      });
+      };
+
+      // Interface version of the same patch in versions.json, if it is known there
+      if (versionData.interfaceVersion) {
+        release.interfaceVersion = versionData.interfaceVersion;
+      }
+
+      // First sighting of a gameVersion ID the debounce held back
+      if (versionData.releaseTimestamp) {
+        release.releaseTimestamp = versionData.releaseTimestamp;
+      }
+
+      renovateReleases.push(release);
     });
   });
 
-  const datasource = {
-    lastUpdated: new Date().toISOString(),
-    releases: renovateReleases
-  };
+  const releases = applyReleaseTimestamps(renovateReleases, existingData?.releases, getGameVersionKey, fetchTime);
+
+  const datasource = withSchemaFields('game-versions', {
+    lastUpdated: fetchTime,
+    releases: applyWithdrawals(releases, existingData?.releases, getGameVersionKey, fetchTime)
+  });
+  datasource.lastUpdatedByVariant = buildLastUpdatedByVariant('game-versions', datasource, existingData, fetchTime);
+
+  return canonicalize('game-versions', datasource);
+}
 
-  const outputPath = path.join(__dirname, '..', 'game-versions.json');
+/**
+ * Saves the game-versions.json content to file.
+ *
+ * @param {Object} datasource - The game-versions.json content from createGameVersionsDatasource
+ * @param {string} [outputPath] - Path of the game-versions.json file
+ *
+ * @returns {Promise<void>}
+ */
+async function saveGameVersionsToFile(datasource, outputPath = DEFAULT_OUTPUT_PATH) {
   await fs.writeFile(outputPath, JSON.stringify(datasource, null, 2));
 
   console.log(`Saved game versions to ${outputPath}`);
@@ -82,11 +137,11 @@ async function saveGameVersionsToFile(gameVersions, versionParser) {
 /**
  * Reads the existing game versions from the JSON file.
  *
+ * @param {string} [outputPath] - Path of the game-versions.json file
+ *
  * @returns {Promise<Object|null>} The parsed game version data or null if file doesn't exist
  */
-async function readExistingGameVersions() {
-  const outputPath = path.join(__dirname, '..', 'game-versions.json');
-
+async function readExistingGameVersions(outputPath = DEFAULT_OUTPUT_PATH) {
   try {
     const content = await fs.readFile(outputPath, 'utf8');
     return JSON.parse(content);
@@ -97,6 +152,8 @@ async function readExistingGameVersions() {
 
 /**
  * Checks if game versions have changed between old and new data.
+ * Data written before release timestamps were tracked or with another schema version counts as
+ * changed so it gets migrated.
  *
  * @param {Object|null} oldData - The previous game version data
  * @param {Object} gameVersions - The new game version data
@@ -106,13 +163,21 @@ async function readExistingGameVersions() {
 function hasGameVersionsChanged(oldData, gameVersions) {
   if (!oldData || !oldData.releases) return true;
 
-  // Create a map of existing versions for comparison
+  if (oldData.releases.some(release => !release.releaseTimestamp)) return true;
+
+  if (oldData.schemaVersion !== SCHEMA_VERSION) return true;
+
+  if (!oldData.lastUpdatedByVariant) return true;
+
+  // Create a map of existing live versions for comparison, tombstones only change when a
+  // release is withdrawn or listed again and both show up as a difference here
   const oldVersionsMap = {};
 
-  oldData.releases.forEach(release => {
+  getLiveEntries(oldData.releases).forEach(release => {
     oldVersionsMap[release.version] = {
       originalVersion: release.originalVersion,
-      variant: release.variant
+      variant: release.variant,
+      interfaceVersion: release.interfaceVersion
     };
   });
 
@@ -122,15 +187,33 @@ function hasGameVersionsChanged(oldData, gameVersions) {
   Object.entries(gameVersions).forEach(([version, data]) => {
     newVersionsMap[String(data.id)] = {
       originalVersion: version,
-      variant: data.variant
+      variant: data.variant,
+      interfaceVersion: data.interfaceVersion
     };
   });
 
   return JSON.stringify(oldVersionsMap) !== JSON.stringify(newVersionsMap);
 }
 
+/**
+ * Converts processed game versions into the release shape used in game-versions.json.
+ *
+ * @param {Object} gameVersions - Object mapping version names to {id, variant, interfaceVersion} objects
+ *
+ * @returns {Array} Array of {version, originalVersion, variant, interfaceVersion} release objects
+ */
+function toReleases(gameVersions) {
+  return Object.entries(gameVersions).map(([versionName, data]) => ({
+    version: String(data.id),
+    originalVersion: versionName,
+    variant: data.variant,
+    interfaceVersion: data.interfaceVersion
+  }));
+}
+
 /**
  * Processes raw game version data from the API into a structured format.
+ * Game versions of types the core API doesn't list are classified by resolveVariant.
  *
  * @param {Array} data - Array of game version objects from CurseForge API
  * @param {Object} versionTypeMap - Mapping of version type IDs to variant names
@@ -146,8 +229,7 @@ function processGameVersionData(data, versionTypeMap) {
     data.forEach(version => {
       if (version && version.name && version.id && version.gameVersionTypeID) {
         // Map the gameVersionTypeID to variant using the versionTypeMap
-        const versionType = versionTypeMap[version.gameVersionTypeID];
-        const variant = versionType ? versionType.variant : 'unknown';
+        const { variant } = resolveVariant(version, versionTypeMap);
 
         gameVersions[version.name] = {
           id: version.id,
@@ -161,68 +243,279 @@ function processGameVersionData(data, versionTypeMap) {
 }
 
 /**
- * Validates that the CurseForge API key is present in environment variables.
- * Exits the process if the API key is not found.
+ * Fetches game version IDs from the CurseForge Upload API and processes them.
+ * The version types are discovered first, like for versions.json, so a new flavor gets the
+ * same variant in both datasets. Game versions that could not be classified into a variant are reported and handled
+ * according to the unclassified mode.
+ *
+ * @param {CurseForgeClient} client - Client used to fetch the game version IDs
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.unclassified] - "keep" (default), "exclude" or "fail"
  *
- * @returns {string} The CurseForge API key
+ * @returns {Promise<Object>} Object mapping version names to {id, variant} objects
+ *
+ * @throws {UpstreamError} If the request to CurseForge fails
+ * @throws {ValidationError} If the API response is not an array, or a game version could not
+ *   be classified and the unclassified mode is "fail"
+ * @throws {EmptyResponseError} If the API response contains no game version IDs
  */
-function validateApiKey() {
-  const apiKey = process.env.CURSEFORGE_API_KEY;
+async function fetchGameVersions(client, options = {}) {
+  // Discover the version types first, so new flavors get the same variant as in versions.json
+  await client.discoverVersionTypes().catch(error => {
+    throw toUpstreamError(error, 'game version types');
+  });
 
-  if (!apiKey) {
-    console.error('Error: CURSEFORGE_API_KEY environment variable is not set');
-    console.error('Please create a .env file with your CurseForge API key');
-    process.exit(1);
+  console.log('Fetching game version IDs from CurseForge Upload API...');
+  const gameVersionData = await client.getGameVersionIds().catch(error => {
+    throw toUpstreamError(error, 'game version IDs');
+  });
+  const versionTypeMap = client.getVersionTypes();
+
+  if (!Array.isArray(gameVersionData)) {
+    throw new ValidationError('Unexpected game version IDs response from CurseForge, expected an array');
+  }
+
+  console.log('Processing game version IDs...');
+  const gameVersions = processGameVersionData(gameVersionData, versionTypeMap);
+
+  if (Object.keys(gameVersions).length === 0) {
+    throw new EmptyResponseError('No game version IDs found in the API response');
   }
 
-  return apiKey;
+  console.log(`Found ${Object.keys(gameVersions).length} game version IDs`);
+  reportVariantResolution(gameVersionData, versionTypeMap);
+
+  return applyUnclassifiedMode(gameVersions, options.unclassified);
+}
+
+/**
+ * Compares processed game versions with the existing game-versions.json content.
+ *
+ * @param {Object} gameVersions - Object mapping version names to {id, variant, interfaceVersion} objects
+ * @param {Object|null} existingData - The current game-versions.json content, if any
+ *
+ * @returns {{changed: boolean, diff: Object}} Whether game-versions.json needs to be rewritten
+ *   and the structured diff
+ */
+function buildGameVersionsUpdate(gameVersions, existingData) {
+  return {
+    changed: !existingData || hasGameVersionsChanged(existingData, gameVersions),
+    diff: diffGameVersions(existingData?.releases, toReleases(gameVersions))
+  };
+}
+
+/**
+ * Adds the interface versions of versions.json to the game versions and reports the patches
+ * that could not be linked. Without versions.json the game versions stay unlinked.
+ *
+ * @param {Object} gameVersions - Object mapping version names to {id, variant} objects
+ * @param {Object|null} versionsData - The versions.json content, if any
+ *
+ * @returns {Object} The game versions, linked ones carry interfaceVersion
+ */
+function linkWithVersions(gameVersions, versionsData) {
+  if (!versionsData || !Array.isArray(versionsData.versions)) {
+    console.log('No versions.json found, not linking interface versions');
+    return gameVersions;
+  }
+
+  const versions = getLiveEntries(versionsData.versions);
+
+  reportLinkMismatches(findLinkMismatches(versions, gameVersions));
+
+  return linkInterfaceVersions(gameVersions, versions);
+}
+
+/**
+ * Holds back game version IDs that are new to game-versions.json until they were seen in a
+ * number of consecutive fetches (see pending-entries.js).
+ *
+ * @param {Object} gameVersions - Object mapping version names to {id, variant} objects
+ * @param {Object|null} existingData - The current game-versions.json content, if any
+ * @param {Object} state - The state from readPendingState
+ * @param {number} pendingRuns - Number of consecutive fetches a new game version ID needs to be published
+ * @param {string} fetchTime - ISO timestamp of the fetch
+ *
+ * @returns {Object} Result of debounceNewEntries, its entries are the game versions to publish as
+ *   an object mapping version names to {id, variant} objects
+ */
+function debounceGameVersions(gameVersions, existingData, state, pendingRuns, fetchTime) {
+  const publishedKeys = new Set((existingData?.releases || []).map(getGameVersionKey));
+  const entries = Object.entries(gameVersions).map(([name, data]) => ({ name, ...data }));
+
+  const debounce = debounceNewEntries(
+    entries,
+    publishedKeys,
+    state,
+    entry => String(entry.id),
+    pendingRuns,
+    fetchTime
+  );
+
+  return {
+    ...debounce,
+    entries: Object.fromEntries(debounce.entries.map(({ name, ...data }) => [name, data]))
+  };
+}
+
+/**
+ * Converts a game version into the shape of the added changes of a game-versions.json diff.
+ *
+ * @param {Object} gameVersion - The game version as {name, id, variant}
+ *
+ * @returns {{id: string, name: string}} The change
+ */
+function toGameVersionChange(gameVersion) {
+  return { id: String(gameVersion.id), name: gameVersion.name };
 }
 
 /**
  * Main function to fetch game version IDs from CurseForge and save them to file.
  * Checks for changes before updating to preserve lastUpdated timestamp when appropriate.
+ * Each release is linked with its interface version from the versions.json next to it.
+ * Also emits the per-variant gameversion.json Renovate datasources.
+ * Prints a changelog of the changes and optionally writes it to a file.
+ * New content is validated against the game-versions.json schema before anything is written,
+ * and the write is refused if the new content lost data (see shrink-guards.js).
+ * With pendingRuns, new game version IDs are only published after that many consecutive fetches.
+ * With a response cache the run stops early when CurseForge answers the request with
+ * 304 Not Modified, see response-cache.js.
+ * In dry-run mode everything is fetched, processed and diffed but game-versions.json is not written.
  *
- * @returns {Promise<void>}
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.outputPath] - Path of game-versions.json, defaults to the project root
+ * @param {string} [options.versionsPath] - Path of the versions.json to link with, defaults to
+ *   the versions.json next to game-versions.json
+ * @param {string} [options.datasourcesDir] - Directory of the per-variant datasource files,
+ *   defaults to the datasources directory next to game-versions.json
+ * @param {string} [options.changelogPath] - Path to write the Markdown changelog to
+ * @param {boolean} [options.dryRun] - Only report what would change without writing any file
+ * @param {Array<string>} [options.variants] - Only include these variants in the changelog
+ * @param {boolean} [options.force] - Write even if a shrink guard fails
+ * @param {number} [options.maxShrinkPercent] - Largest share of entries a fetch may remove, in percent,
+ *   defaults to 10
+ * @param {number} [options.pendingRuns] - Number of consecutive fetches a new game version ID needs
+ *   to be published, new game version IDs are published right away if not set
+ * @param {string} [options.unclassified] - What to do with game versions that could not be
+ *   classified into a variant: "keep" (default), "exclude" or "fail"
+ * @param {string} [options.cachePath] - Path of the response cache, requests are sent conditionally
+ *   and the run stops early if CurseForge returned no new data
+ * @param {boolean} [options.offline] - Run from the response cache without contacting CurseForge
+ * @param {string} [options.recordDir] - Directory to record the CurseForge responses to as fixtures
+ * @param {string} [options.replayDir] - Run from the fixtures recorded to this directory, implies
+ *   offline
+ * @param {string} [options.configPath] - Path of a JSON file with CurseForgeClient settings, see
+ *   client-config.js
+ *
+ * @returns {Promise<{changed: boolean, diff: Object}>} Whether game-versions.json or a datasource
+ *   file changed (or would change in dry-run mode) and the structured diff
+ *
+ * @throws {MissingCredentialsError} If the API key is not set
+ * @throws {UsageError} If offline is set without a cache path, the fixtures can't be read or the
+ *   client config is invalid
+ * @throws {UpstreamError} If the request to CurseForge fails
+ * @throws {ValidationError} If the API response is not an array, the new game-versions.json
+ *   does not match its schema or a game version could not be classified with unclassified "fail"
+ * @throws {EmptyResponseError} If the API response contains no game version IDs
+ * @throws {ShrinkError} If the new game-versions.json lost data and force is not set
  */
-async function fetchAndSaveGameVersions() {
-  const apiKey = validateApiKey();
-  const client = new CurseForgeClient(apiKey);
+async function fetchAndSaveGameVersions(options = {}) {
+  const run = await createFetchRun(options);
+  const { client } = run;
+
+  const outputPath = options.outputPath || DEFAULT_OUTPUT_PATH;
+  const versionsPath = options.versionsPath || path.join(path.dirname(outputPath), 'versions.json');
+
+  // Read existing data to check for changes
+  const existingData = await readExistingGameVersions(outputPath);
+  const fetchedGameVersions = await fetchGameVersions(client, options);
+
+  await recordFixtures(run);
+
+  const fetchTime = new Date().toISOString();
+
+  const datasourcesDir = options.datasourcesDir || getDatasourcesDir(outputPath);
+  const dataset = await debounceDataset(
+    run,
+    {
+      dataPath: outputPath,
+      linkedPath: versionsPath,
+      datasourcesDir,
+      existing: existingData,
+      fetched: fetchedGameVersions
+    },
+    debounceGameVersions,
+    fetchTime
+  );
+  const { debounce } = dataset;
+
+  if (await isUpToDate(run, [dataset])) {
+    console.log('CurseForge returned no new data, game-versions.json is up to date');
+    return { changed: false, diff: diffGameVersions(existingData.releases, existingData.releases) };
+  }
 
-  try {
-    console.log('Fetching game version IDs from CurseForge Upload API...');
-    const gameVersionData = await client.getGameVersionIds();
-    const versionTypeMap = client.getVersionTypes();
+  const gameVersions = linkWithVersions(dataset.entries, await readLinkedDataset(versionsPath));
+  const update = buildGameVersionsUpdate(gameVersions, existingData);
+  const diff = debounce
+    ? addPendingChanges(update.diff, debounce, toGameVersionChange, options.pendingRuns)
+    : update.diff;
+
+  const output = update.changed
+    ? createGameVersionsDatasource(gameVersions, new VersionParser(), existingData, fetchTime)
+    : existingData;
+
+  if (update.changed) {
+    assertValidDataset(output, 'game-versions.json');
+    assertNoShrink(
+      checkGameVersionsShrink(existingData, output, options.maxShrinkPercent),
+      'game-versions.json',
+      options.force
+    );
+  }
+  const datasourceFiles = await findChangedDatasources(datasourcesDir, buildGameVersionsDatasources(output));
+  const changed = update.changed || datasourceFiles.length > 0;
 
-    console.log('Processing game version IDs...');
-    const gameVersions = processGameVersionData(gameVersionData, versionTypeMap);
+  // Only update if versions have actually changed
+  if (!update.changed) {
+    console.log('No changes detected, keeping existing file');
+  }
 
-    if (Object.keys(gameVersions).length === 0) {
-      console.error('No game version IDs found in the API response');
-      process.exit(1);
+  if (options.dryRun) {
+    console.log('Dry run: not writing game-versions.json and datasource files');
+  } else {
+    if (update.changed) {
+      await saveGameVersionsToFile(output, outputPath);
     }
+    await saveDatasources(datasourceFiles);
+    await saveRunState(run, [dataset]);
+  }
 
-    console.log(`Found ${Object.keys(gameVersions).length} game version IDs`);
+  const changelog = renderChangelog({ gameVersions: filterDiff(diff, options.variants) });
 
-    // Read existing data to check for changes
-    const existingData = await readExistingGameVersions();
+  if (options.changelogPath) {
+    await writeChangelog(options.changelogPath, changelog);
+  }
 
-    // Only update if versions have actually changed
-    if (existingData && !hasGameVersionsChanged(existingData, gameVersions)) {
-      console.log('No changes detected, keeping existing file');
-    } else {
-      const versionParser = new VersionParser();
-      await saveGameVersionsToFile(gameVersions, versionParser);
-    }
+  printSummary(gameVersions);
+  console.log(`\n${changelog}`);
 
-    printSummary(gameVersions);
-  } catch (error) {
-    console.error('Error fetching game versions:', error);
-    process.exit(1);
+  if (options.dryRun) {
+    console.log(changed ? 'Dry run: game-versions.json would change' : 'Dry run: game-versions.json would not change');
   }
+
+  return { changed, diff };
 }
 
 if (require.main === module) {
-  fetchAndSaveGameVersions();
+  runFetchScript(fetchAndSaveGameVersions);
 }
 
 module.exports = fetchAndSaveGameVersions;
+module.exports.DEFAULT_OUTPUT_PATH = DEFAULT_OUTPUT_PATH;
+module.exports.fetchGameVersions = fetchGameVersions;
+module.exports.buildGameVersionsUpdate = buildGameVersionsUpdate;
+module.exports.debounceGameVersions = debounceGameVersions;
+module.exports.toGameVersionChange = toGameVersionChange;
+module.exports.createGameVersionsDatasource = createGameVersionsDatasource;
+module.exports.readExistingGameVersions = readExistingGameVersions;
+module.exports.printSummary = printSummary;
@@ -0,0 +1,252 @@
+/**
+ * Steps the fetch pipelines (fetch-versions.js, fetch-game-versions.js and fetch-all.js) share
+ * around their own fetching and processing: creating the client, recording fixtures, the
+ * debounce of new entries, stopping early when CurseForge returned no new data and saving the
+ * pending state and the response cache.
+ *
+ * A run is the {client, offline, options} object of createFetchRun. A pipeline describes every
+ * data file it writes as dataset, see debounceDataset. An offline run is no fetch, it neither
+ * counts for the debounce nor refreshes the cache.
+ */
+const path = require('path');
+const CurseForgeClient = require('./curseforge-client');
+const { MissingCredentialsError } = require('./errors');
+const { hashFile, hashDirectory, getCodeFingerprint } = require('./file-hashes');
+const {
+  getPendingStatePath,
+  readPendingState,
+  savePendingState,
+  hasPendingEntries
+} = require('./pending-entries');
+const { readClientConfig } = require('./client-config');
+const { isOfflineRun, readCacheOptions, saveResponseCache } = require('./response-cache');
+const { saveFixtures } = require('./response-fixtures');
+
+/**
+ * Validates that the CurseForge API key is present in environment variables.
+ *
+ * @returns {string} The CurseForge API key
+ *
+ * @throws {MissingCredentialsError} If the API key is not set
+ */
+function validateApiKey() {
+  const apiKey = process.env.CURSEFORGE_API_KEY;
+
+  if (!apiKey) {
+    throw new MissingCredentialsError(
+      'CURSEFORGE_API_KEY environment variable is not set. Please create a .env file with your CurseForge API key'
+    );
+  }
+
+  return apiKey;
+}
+
+/**
+ * Creates the client of a fetch run from the client config and the cache options. An offline
+ * run needs no API key.
+ *
+ * @param {Object} options - Fetch options
+ *
+ * @returns {Promise<{client: CurseForgeClient, offline: boolean, options: Object}>} The run
+ *
+ * @throws {MissingCredentialsError} If the API key is not set
+ * @throws {UsageError} If offline is set without a cache path, the fixtures can't be read or the
+ *   client config is invalid
+ */
+async function createFetchRun(options) {
+  const offline = isOfflineRun(options);
+  const apiKey = offline ? process.env.CURSEFORGE_API_KEY : validateApiKey();
+  const client = new CurseForgeClient(apiKey, {
+    ...await readClientConfig(options),
+    ...await readCacheOptions(options)
+  });
+
+  return { client, offline, options };
+}
+
+/**
+ * Writes the responses of the run to the fixture directory of options.recordDir, if set.
+ *
+ * @param {Object} run - The run from createFetchRun
+ *
+ * @returns {Promise<void>}
+ */
+async function recordFixtures(run) {
+  if (run.options.recordDir) {
+    await saveFixtures(run.options.recordDir, run.client.getRecordedResponses());
+  }
+}
+
+/**
+ * Debounces the fetched entries of a data file if options.pendingRuns is above 1.
+ *
+ * @param {Object} run - The run from createFetchRun
+ * @param {Object} dataset - The data file
+ * @param {string} dataset.dataPath - Path of the data file, its state file lies next to it
+ * @param {Object|null} dataset.existing - The existing content of the data file
+ * @param {Array} dataset.fetched - The fetched entries
+ * @param {Function} debounceEntries - Debounce of the dataset, called with the fetched entries,
+ *   the existing content, the state, pendingRuns and the fetch time
+ * @param {string} fetchTime - ISO timestamp of the current fetch
+ *
+ * @returns {Promise<Object>} The dataset with the debounce result, null without debounce, and
+ *   the entries to publish
+ */
+async function debounceDataset(run, dataset, debounceEntries, fetchTime) {
+  const debounce = run.options.pendingRuns > 1
+    ? debounceEntries(
+      dataset.fetched,
+      dataset.existing,
+      await readPendingState(getPendingStatePath(dataset.dataPath)),
+      run.options.pendingRuns,
+      fetchTime
+    )
+    : null;
+
+  return { ...dataset, debounce, entries: debounce ? debounce.entries : dataset.fetched };
+}
+
+/**
+ * Hashes the files a run reads and writes: every data file, the dataset it links with and the
+ * datasource directory. The response cache keeps the hashes to tell whether any of them changed
+ * since the last fetch, e.g. by the fetch of the other dataset, a reverted update or a hand edit.
+ *
+ * @param {Array<Object>} datasets - The datasets from debounceDataset
+ *
+ * @returns {Promise<Object>} Object mapping the file names to their SHA-256 hashes, with a
+ *   trailing slash for the datasource directory, a missing file has no hash
+ */
+async function hashRunFiles(datasets) {
+  const hashes = {};
+
+  for (const dataset of datasets) {
+    for (const filePath of [dataset.dataPath, dataset.linkedPath].filter(Boolean)) {
+      hashes[path.basename(filePath)] = await hashFile(filePath);
+    }
+
+    if (dataset.datasourcesDir) {
+      hashes[`${path.basename(dataset.datasourcesDir)}/`] = await hashDirectory(dataset.datasourcesDir);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(hashes).filter(([, hash]) => hash));
+}
+
+/**
+ * Tells whether the data files already hold what CurseForge returned: every request was
+ * answered from the response cache with 304 Not Modified, every data file exists, no debounce
+ * holds back or promotes entries, and neither the code nor any file of the run changed since the
+ * cache was saved. The workflows restore the cache of earlier commits, so a change of the parser,
+ * a reverted update or an edited data file needs a full run even though CurseForge answers 304.
+ *
+ * @param {Object} run - The run from createFetchRun
+ * @param {Array<Object>} datasets - The datasets from debounceDataset, with the path of the
+ *   dataset they link with as linkedPath if they are written on their own and their datasource
+ *   directory as datasourcesDir
+ *
+ * @returns {Promise<boolean>} True if the run can stop early
+ */
+async function isUpToDate(run, datasets) {
+  const notModified = Boolean(run.options.cachePath) &&
+    datasets.every(dataset => dataset.existing) &&
+    run.client.isNotModified() &&
+    !datasets.some(dataset => hasPendingEntries(dataset.debounce));
+
+  if (!notModified) {
+    return false;
+  }
+
+  const cache = run.client.getResponseCache();
+
+  if (cache.fingerprint !== await getCodeFingerprint()) {
+    console.log('The code changed since the last fetch, building the data files again');
+    return false;
+  }
+
+  const cachedHashes = cache.files || {};
+  const hashes = await hashRunFiles(datasets);
+  const changedNames = [...new Set([...Object.keys(hashes), ...Object.keys(cachedHashes)])]
+    .filter(name => hashes[name] !== cachedHashes[name]);
+
+  if (changedNames.length > 0) {
+    console.log(`${changedNames.join(' and ')} changed since the last fetch, building the data files again`);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Returns the pending state files of a run, for writing them in one batch with the data files.
+ *
+ * @param {Object} run - The run from createFetchRun
+ * @param {Array<Object>} datasets - The datasets from debounceDataset
+ *
+ * @returns {Array<{path: string, content: string}>} The pending state of every debounced dataset
+ */
+function getPendingStateFiles(run, datasets) {
+  if (run.offline) {
+    return [];
+  }
+
+  return datasets
+    .filter(dataset => dataset.debounce)
+    .map(dataset => ({
+      path: getPendingStatePath(dataset.dataPath),
+      content: JSON.stringify(dataset.debounce.state, null, 2)
+    }));
+}
+
+/**
+ * Writes the response cache of a run if options.cachePath is set, with the code fingerprint and
+ * the hashes of the files of the run. It hashes the files as they are on disk, so it must run
+ * after the data files were written.
+ *
+ * @param {Object} run - The run from createFetchRun
+ * @param {Array<Object>} datasets - The datasets from debounceDataset
+ *
+ * @returns {Promise<void>}
+ */
+async function saveRunCache(run, datasets) {
+  if (run.offline || !run.options.cachePath) {
+    return;
+  }
+
+  await saveResponseCache(run.options.cachePath, {
+    ...run.client.getResponseCache(),
+    fingerprint: await getCodeFingerprint(),
+    files: await hashRunFiles(datasets)
+  });
+}
+
+/**
+ * Writes the pending state files and the response cache of a run, see getPendingStateFiles and
+ * saveRunCache.
+ *
+ * @param {Object} run - The run from createFetchRun
+ * @param {Array<Object>} datasets - The datasets from debounceDataset
+ *
+ * @returns {Promise<void>}
+ */
+async function saveRunState(run, datasets) {
+  if (run.offline) {
+    return;
+  }
+
+  for (const dataset of datasets.filter(entry => entry.debounce)) {
+    await savePendingState(getPendingStatePath(dataset.dataPath), dataset.debounce.state);
+  }
+
+  await saveRunCache(run, datasets);
+}
+
+module.exports = {
+  validateApiKey,
+  createFetchRun,
+  recordFixtures,
+  debounceDataset,
+  isUpToDate,
+  getPendingStateFiles,
+  saveRunCache,
+  saveRunState
+};
@@ -1,8 +1,33 @@
-require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
-const CurseForgeClient = require('./curseforge-client');
+const { toUpstreamError } = require('./errors');
 const VersionParser = require('./version-parser');
+const { getKnownVariants, getVariantLabel } = require('./version-types');
+const { applyReleaseTimestamps, getVersionKey } = require('./release-timestamps');
+const { applyWithdrawals } = require('./withdrawn-entries');
+const { diffVersions, addPendingChanges, filterDiff, renderChangelog, writeChangelog } = require('./version-diff');
+const { compareVersions, canonicalize, isSameContent } = require('./canonical-order');
+const { buildLastUpdatedByVariant } = require('./variant-timestamps');
+const { debounceNewEntries } = require('./pending-entries');
+const { createFetchRun, recordFixtures, debounceDataset, isUpToDate, saveRunState } = require('./fetch-run');
+const { reportUnparsedVersions, writeUnparsedReport } = require('./unparsed-report');
+const {
+  getDatasourcesDir,
+  buildVersionsDatasources,
+  findChangedDatasources,
+  saveDatasources
+} = require('./renovate-datasources');
+const {
+  releasesToGameVersions,
+  linkGameVersionIds,
+  findLinkMismatches,
+  reportLinkMismatches,
+  readLinkedDataset
+} = require('./cross-link');
+const { withSchemaFields } = require('./schemas');
+const { assertValidDataset } = require('./dataset-validation');
+const { checkVersionsShrink, assertNoShrink } = require('./shrink-guards');
+const { runFetchScript } = require('./cli-options');
 
 /**
  * Prints a summary of the fetched versions to the console.
@@ -12,12 +37,11 @@ const VersionParser = require('./version-parser');
  */
 function printVersionSummary(output, versionsByVariant) {
   console.log('\nSummary:');
-  console.log(`- Classic Era versions: ${output.summary.classic_era}`);
-  console.log(`- TBC Classic versions: ${output.summary.tbc_classic}`);
-  console.log(`- WotLK Classic versions: ${output.summary.wotlk_classic}`);
-  console.log(`- Cataclysm Classic versions: ${output.summary.cata_classic}`);
-  console.log(`- MoP Classic versions: ${output.summary.mop_classic}`);
-  console.log(`- Retail versions: ${output.summary.retail}`);
+
+  Object.entries(output.summary).forEach(([variant, count]) => {
+    console.log(`- ${getVariantLabel(variant)} versions: ${count}`);
+  });
+
   console.log('\nLatest versions:');
 
   Object.entries(versionsByVariant).forEach(([variant, versions]) => {
@@ -27,15 +51,18 @@ function printVersionSummary(output, versionsByVariant) {
   });
 }
 
+// Default location of versions.json, the project root
+const DEFAULT_OUTPUT_PATH = path.join(__dirname, '..', 'versions.json');
+
 /**
  * Saves the version data to the versions.json file.
  *
  * @param {Object} output - The complete version data object to save
+ * @param {string} [outputPath] - Path of the versions.json file
  *
  * @returns {Promise<void>}
  */
-async function saveVersionsToFile(output) {
-  const outputPath = path.join(__dirname, '..', 'versions.json');
+async function saveVersionsToFile(output, outputPath = DEFAULT_OUTPUT_PATH) {
   await fs.writeFile(outputPath, JSON.stringify(output, null, 2));
   console.log(`Saved versions to ${outputPath}`);
 }
@@ -43,11 +70,11 @@ async function saveVersionsToFile(output) {
 /**
  * Reads the existing versions from the versions.json file.
  *
+ * @param {string} [outputPath] - Path of the versions.json file
+ *
  * @returns {Promise<Object|null>} The parsed version data or null if file doesn't exist or is invalid
  */
-async function readExistingVersions() {
-  const outputPath = path.join(__dirname, '..', 'versions.json');
-
+async function readExistingVersions(outputPath = DEFAULT_OUTPUT_PATH) {
   try {
     const content = await fs.readFile(outputPath, 'utf8');
     return JSON.parse(content);
@@ -58,7 +85,8 @@ async function readExistingVersions() {
 
 /**
  * Checks if the versions have changed between old and new data.
- * Compares only the versions array, ignoring the lastUpdated timestamp.
+ * Compares only the versions array by content, ignoring the lastUpdated timestamp and the
+ * order CurseForge returned the versions in.
  *
  * @param {Object|null} oldData - The previous version data object
  * @param {Object} newData - The new version data object
@@ -69,10 +97,31 @@ function hasVersionsChanged(oldData, newData) {
   if (!oldData) return true;
 
   // Compare versions array (excluding lastUpdated)
-  const oldVersions = JSON.stringify(oldData.versions);
-  const newVersions = JSON.stringify(newData.versions);
+  return !isSameContent('versions', { versions: oldData.versions }, { versions: newData.versions });
+}
 
-  return oldVersions !== newVersions;
+/**
+ * Collects all variant keys that should appear in the summary.
+ * The known variants come first in their canonical order, followed by any
+ * variants discovered from CurseForge or present in the parsed versions.
+ *
+ * @param {Object} versionsByVariant - Versions grouped by variant
+ * @param {Object} versionTypes - Version type mappings from CurseForge
+ *
+ * @returns {Array<string>} Unique variant keys
+ */
+function collectVariants(versionsByVariant, versionTypes) {
+  const variants = new Set(getKnownVariants());
+
+  Object.values(versionTypes || {}).forEach(versionType => {
+    if (versionType && versionType.variant) {
+      variants.add(versionType.variant);
+    }
+  });
+
+  Object.keys(versionsByVariant).forEach(variant => variants.add(variant));
+
+  return [...variants];
 }
 
 /**
@@ -80,25 +129,25 @@ function hasVersionsChanged(oldData, newData) {
  *
  * @param {Array} parsedVersions - Array of parsed version objects
  * @param {Object} versionsByVariant - Versions grouped by variant (classic_era, retail, etc.)
- * @param {Object} versionTypes - Version type mappings from CurseForge
+ * @param {Object} versionTypes - Version type mappings discovered from CurseForge
+ * @param {string} [fetchTime] - ISO timestamp of the fetch, defaults to now
  *
  * @returns {Object} The complete output object with versions, metadata, and summary
  */
-function createOutputObject(parsedVersions, versionsByVariant, versionTypes) {
-  return {
-    lastUpdated: new Date().toISOString(),
+function createOutputObject(parsedVersions, versionsByVariant, versionTypes, fetchTime = new Date().toISOString()) {
+  const summary = {};
+
+  collectVariants(versionsByVariant, versionTypes).forEach(variant => {
+    summary[variant] = versionsByVariant[variant]?.length || 0;
+  });
+
+  return withSchemaFields('versions', {
+    lastUpdated: fetchTime,
     versions: parsedVersions,
     versionsByVariant: versionsByVariant,
     versionTypes: versionTypes,
-    summary: {
-      classic_era: versionsByVariant.classic_era?.length || 0,
-      tbc_classic: versionsByVariant.tbc_classic?.length || 0,
-      wotlk_classic: versionsByVariant.wotlk_classic?.length || 0,
-      cata_classic: versionsByVariant.cata_classic?.length || 0,
-      mop_classic: versionsByVariant.mop_classic?.length || 0,
-      retail: versionsByVariant.retail?.length || 0
-    }
-  };
+    summary: summary
+  });
 }
 
 /**
@@ -120,76 +169,271 @@ function processVersionsByVariant(parsedVersions) {
 
   // Sort versions within each variant (newest first)
   Object.keys(versionsByVariant).forEach(variant => {
-    versionsByVariant[variant].sort((a, b) => {
-      return parseInt(b.version) - parseInt(a.version);
-    });
+    versionsByVariant[variant].sort(compareVersions);
   });
 
   return versionsByVariant;
 }
 
 /**
- * Validates that the CurseForge API key is present in environment variables.
- * Exits the process if the API key is not found.
+ * Fetches all WoW versions from CurseForge and parses their interface versions.
+ *
+ * @param {CurseForgeClient} client - Client used to fetch the versions
+ * @param {VersionParser} parser - Parser turning CurseForge versions into interface versions
  *
- * @returns {string} The CurseForge API key
+ * @returns {Promise<{parsedVersions: Array, unparsedVersions: Array}>} The parsed versions and
+ *   the versions whose name could not be parsed, with the reason
+ *
+ * @throws {UpstreamError} If the request to CurseForge fails
  */
-function validateApiKey() {
-  const apiKey = process.env.CURSEFORGE_API_KEY;
+async function fetchParsedVersions(client, parser) {
+  console.log('Fetching WoW versions from CurseForge...');
+  const wowVersions = await client.getAllWowVersions().catch(error => {
+    throw toUpstreamError(error, 'WoW versions');
+  });
+  console.log(`Found ${wowVersions.length} WoW versions`);
+
+  console.log('Parsing interface versions...');
+  const parsedVersions = parser.parseVersions(wowVersions);
+  const unparsedVersions = parser.findUnparsedVersions(wowVersions);
+  console.log(`Parsed ${parsedVersions.length} valid WoW versions`);
+
+  return { parsedVersions, unparsedVersions };
+}
 
-  if (!apiKey) {
-    console.error('Error: CURSEFORGE_API_KEY environment variable is not set');
-    console.error('Please create a .env file with your CurseForge API key');
-    process.exit(1);
+/**
+ * Builds the new versions.json content from parsed versions without writing it.
+ * Every version carries the releaseTimestamp of the first fetch it was seen in, and lastUpdated
+ * is only moved forward when the versions changed. Versions missing from the fetch stay in
+ * versions as withdrawn tombstones, versionsByVariant and summary only count live versions.
+ * lastUpdatedByVariant only moves for the variants whose versions changed. The content is in
+ * canonical order (see canonical-order.js), so a reordering upstream is not a change.
+ *
+ * @param {Array} parsedVersions - The parsed versions
+ * @param {Object} versionTypes - Version type mappings discovered from CurseForge
+ * @param {Object|null} existingData - The current versions.json content, if any
+ * @param {string} fetchTime - ISO timestamp of the fetch
+ *
+ * @returns {{output: Object, versionsByVariant: Object, changed: boolean, diff: Object}} The new
+ *   versions.json content, whether it differs from the existing content and the structured diff
+ */
+function buildVersionsUpdate(parsedVersions, versionTypes, existingData, fetchTime) {
+  const timestampedVersions = applyReleaseTimestamps(
+    parsedVersions,
+    existingData?.versions,
+    getVersionKey,
+    fetchTime
+  );
+
+  const versionsByVariant = processVersionsByVariant(timestampedVersions);
+  const versions = applyWithdrawals(timestampedVersions, existingData?.versions, getVersionKey, fetchTime);
+
+  const content = createOutputObject(versions, versionsByVariant, versionTypes, fetchTime);
+  content.lastUpdatedByVariant = buildLastUpdatedByVariant('versions', content, existingData, fetchTime);
+
+  const output = canonicalize('versions', content);
+
+  // Only update lastUpdated if versions have actually changed
+  if (existingData && !hasVersionsChanged(existingData, output)) {
+    output.lastUpdated = existingData.lastUpdated;
+    console.log('No version changes detected, keeping existing lastUpdated timestamp');
   }
 
-  return apiKey;
+  return {
+    output,
+    versionsByVariant,
+    changed: !isSameContent('versions', existingData, output),
+    diff: diffVersions(existingData, output)
+  };
+}
+
+/**
+ * Adds the gameVersion IDs of game-versions.json to the parsed versions and reports the
+ * patches that could not be linked. Without game-versions.json the versions stay unlinked.
+ *
+ * @param {Array} parsedVersions - The parsed versions
+ * @param {Object|null} gameVersionsData - The game-versions.json content, if any
+ *
+ * @returns {Array} The parsed versions, linked ones carry gameVersionId
+ */
+function linkWithGameVersions(parsedVersions, gameVersionsData) {
+  if (!gameVersionsData || !Array.isArray(gameVersionsData.releases)) {
+    console.log('No game-versions.json found, not linking gameVersion IDs');
+    return parsedVersions;
+  }
+
+  const gameVersions = releasesToGameVersions(gameVersionsData.releases);
+  reportLinkMismatches(findLinkMismatches(parsedVersions, gameVersions));
+
+  return linkGameVersionIds(parsedVersions, gameVersions);
+}
+
+/**
+ * Holds back versions that are new to versions.json until they were seen in a number of
+ * consecutive fetches (see pending-entries.js).
+ *
+ * @param {Array} parsedVersions - The parsed versions
+ * @param {Object|null} existingData - The current versions.json content, if any
+ * @param {Object} state - The state from readPendingState
+ * @param {number} pendingRuns - Number of consecutive fetches a new version needs to be published
+ * @param {string} fetchTime - ISO timestamp of the fetch
+ *
+ * @returns {Object} Result of debounceNewEntries, its entries are the versions to publish
+ */
+function debounceVersions(parsedVersions, existingData, state, pendingRuns, fetchTime) {
+  const publishedKeys = new Set((existingData?.versions || []).map(getVersionKey));
+
+  return debounceNewEntries(parsedVersions, publishedKeys, state, getVersionKey, pendingRuns, fetchTime);
+}
+
+/**
+ * Converts a version into the shape of the added changes of a versions.json diff.
+ *
+ * @param {Object} version - The parsed version
+ *
+ * @returns {{name: string, version: string}} The change
+ */
+function toVersionChange(version) {
+  return { name: version.name, version: version.version };
 }
 
 /**
  * Main function to fetch WoW versions from CurseForge and save them to file.
  * Checks for changes before updating to preserve lastUpdated timestamp when appropriate.
+ * Each version is linked with its gameVersion ID from the game-versions.json next to it.
+ * Also emits the per-variant interface.json and patch.json Renovate datasources.
+ * Prints a changelog of the changes and optionally writes it to a file.
+ * The new content is validated against the versions.json schema before anything is written,
+ * and the write is refused if the new content lost data (see shrink-guards.js).
+ * With pendingRuns, new versions are only published after that many consecutive fetches.
+ * With a response cache the run stops early when CurseForge answers every request with
+ * 304 Not Modified, see response-cache.js.
+ * In dry-run mode everything is fetched, parsed and diffed but versions.json is not written.
  *
- * @returns {Promise<void>}
+ * @param {Object} [options] - Fetch options
+ * @param {string} [options.outputPath] - Path of versions.json, defaults to the project root
+ * @param {string} [options.gameVersionsPath] - Path of the game-versions.json to link with,
+ *   defaults to the game-versions.json next to versions.json
+ * @param {string} [options.datasourcesDir] - Directory of the per-variant datasource files,
+ *   defaults to the datasources directory next to versions.json
+ * @param {string} [options.changelogPath] - Path to write the Markdown changelog to
+ * @param {boolean} [options.dryRun] - Only report what would change without writing any file
+ * @param {Array<string>} [options.variants] - Only include these variants in the changelog
+ * @param {boolean} [options.force] - Write even if a shrink guard fails
+ * @param {number} [options.maxShrinkPercent] - Largest share of entries a fetch may remove, in percent,
+ *   defaults to 10
+ * @param {number} [options.pendingRuns] - Number of consecutive fetches a new version needs to be
+ *   published, new versions are published right away if not set
+ * @param {string} [options.unparsedReportPath] - Path to write the Markdown report of version names
+ *   that could not be parsed to
+ * @param {string} [options.cachePath] - Path of the response cache, requests are sent conditionally
+ *   and the run stops early if CurseForge returned no new data
+ * @param {boolean} [options.offline] - Run from the response cache without contacting CurseForge
+ * @param {string} [options.recordDir] - Directory to record the CurseForge responses to as fixtures
+ * @param {string} [options.replayDir] - Run from the fixtures recorded to this directory, implies
+ *   offline
+ * @param {string} [options.configPath] - Path of a JSON file with CurseForgeClient settings, see
+ *   client-config.js
+ *
+ * @returns {Promise<{changed: boolean, diff: Object}>} Whether versions.json or a datasource file
+ *   changed (or would change in dry-run mode) and the structured diff
+ *
+ * @throws {MissingCredentialsError} If the API key is not set
+ * @throws {UsageError} If offline is set without a cache path, the fixtures can't be read or the
+ *   client config is invalid
+ * @throws {UpstreamError} If the request to CurseForge fails
+ * @throws {ValidationError} If the new versions.json does not match its schema
+ * @throws {ShrinkError} If the new versions.json lost data and force is not set
  */
-async function fetchAndSaveVersions() {
-  const apiKey = validateApiKey();
-  const client = new CurseForgeClient(apiKey);
+async function fetchAndSaveVersions(options = {}) {
+  const run = await createFetchRun(options);
+  const { client } = run;
   const parser = new VersionParser();
 
-  try {
-    console.log('Fetching WoW versions from CurseForge...');
-    const wowVersions = await client.getAllWowVersions();
-    console.log(`Found ${wowVersions.length} WoW versions`);
+  const fetchTime = new Date().toISOString();
+  const outputPath = options.outputPath || DEFAULT_OUTPUT_PATH;
+  const gameVersionsPath = options.gameVersionsPath || path.join(path.dirname(outputPath), 'game-versions.json');
 
-    console.log('Parsing interface versions...');
-    const parsedVersions = parser.parseVersions(wowVersions);
-    console.log(`Parsed ${parsedVersions.length} valid WoW versions`);
+  // Read existing versions to carry forward release timestamps and check for changes
+  const existingData = await readExistingVersions(outputPath);
+  const { parsedVersions: fetchedVersions, unparsedVersions } = await fetchParsedVersions(client, parser);
 
-    const versionsByVariant = processVersionsByVariant(parsedVersions);
-    const versionTypes = client.getVersionTypes();
-    // Read existing versions to check for changes
-    const existingData = await readExistingVersions();
+  await recordFixtures(run);
 
-    const output = createOutputObject(parsedVersions, versionsByVariant, versionTypes);
+  // The report covers the fetched names, so it is written even if the run stops early
+  reportUnparsedVersions(unparsedVersions);
 
-    // Only update lastUpdated if versions have actually changed
-    if (existingData && !hasVersionsChanged(existingData, output)) {
-      output.lastUpdated = existingData.lastUpdated;
-      console.log('No version changes detected, keeping existing lastUpdated timestamp');
-    }
+  if (options.unparsedReportPath) {
+    await writeUnparsedReport(options.unparsedReportPath, unparsedVersions);
+  }
+
+  const datasourcesDir = options.datasourcesDir || getDatasourcesDir(outputPath);
+  const dataset = await debounceDataset(
+    run,
+    {
+      dataPath: outputPath,
+      linkedPath: gameVersionsPath,
+      datasourcesDir,
+      existing: existingData,
+      fetched: fetchedVersions
+    },
+    debounceVersions,
+    fetchTime
+  );
+  const { debounce, entries: parsedVersions } = dataset;
+
+  if (await isUpToDate(run, [dataset])) {
+    console.log('CurseForge returned no new data, versions.json is up to date');
+    return { changed: false, diff: diffVersions(existingData, existingData) };
+  }
 
-    await saveVersionsToFile(output);
+  const linkedVersions = linkWithGameVersions(parsedVersions, await readLinkedDataset(gameVersionsPath));
 
-    printVersionSummary(output, versionsByVariant);
-  } catch (error) {
-    console.error('Error fetching versions:', error);
-    process.exit(1);
+  const update = buildVersionsUpdate(linkedVersions, client.getVersionTypes(), existingData, fetchTime);
+  const { output, versionsByVariant } = update;
+  const diff = debounce
+    ? addPendingChanges(update.diff, debounce, toVersionChange, options.pendingRuns)
+    : update.diff;
+
+  assertValidDataset(output, 'versions.json');
+  assertNoShrink(checkVersionsShrink(existingData, output, options.maxShrinkPercent), 'versions.json', options.force);
+
+  const datasourceFiles = await findChangedDatasources(datasourcesDir, buildVersionsDatasources(output));
+  const changed = update.changed || datasourceFiles.length > 0;
+
+  if (options.dryRun) {
+    console.log('Dry run: not writing versions.json and datasource files');
+  } else {
+    await saveVersionsToFile(output, outputPath);
+    await saveDatasources(datasourceFiles);
+    await saveRunState(run, [dataset]);
+  }
+
+  const changelog = renderChangelog({ versions: filterDiff(diff, options.variants) });
+
+  if (options.changelogPath) {
+    await writeChangelog(options.changelogPath, changelog);
   }
+
+  printVersionSummary(output, versionsByVariant);
+  console.log(`\n${changelog}`);
+
+  if (options.dryRun) {
+    console.log(changed ? 'Dry run: versions.json would change' : 'Dry run: versions.json would not change');
+  }
+
+  return { changed, diff };
 }
 
 if (require.main === module) {
-  fetchAndSaveVersions();
+  runFetchScript(fetchAndSaveVersions);
 }
 
 module.exports = fetchAndSaveVersions;
+module.exports.DEFAULT_OUTPUT_PATH = DEFAULT_OUTPUT_PATH;
+module.exports.fetchParsedVersions = fetchParsedVersions;
+module.exports.buildVersionsUpdate = buildVersionsUpdate;
+module.exports.debounceVersions = debounceVersions;
+module.exports.toVersionChange = toVersionChange;
+module.exports.readExistingVersions = readExistingVersions;
+module.exports.printVersionSummary = printVersionSummary;
@@ -0,0 +1,113 @@
+/**
+ * SHA-256 hashes of the files a fetch reads and writes. The response cache keeps them, so a
+ * fetch that CurseForge answers with 304 Not Modified only stops early if neither the data
+ * files nor the code that builds them changed since the cache was saved.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Root of the package, the code fingerprint covers src/ and schemas/ below it
+const PACKAGE_ROOT = path.join(__dirname, '..');
+const FINGERPRINT_DIRS = ['src', 'schemas'];
+
+let codeFingerprint = null;
+
+/**
+ * Hashes the content of a file.
+ *
+ * @param {string} filePath - Path of the file
+ *
+ * @returns {Promise<string|null>} The SHA-256 hash in hex, null if the file can't be read
+ */
+async function hashFile(filePath) {
+  try {
+    return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Lists the files below a directory, without test directories.
+ *
+ * @param {string} dir - The directory
+ *
+ * @returns {Promise<Array<string>>} Sorted paths of the files, empty if the directory doesn't exist
+ */
+async function listFiles(dir) {
+  let dirents;
+
+  try {
+    dirents = await fs.readdir(dir, { withFileTypes: true });
+  } catch (_error) {
+    return [];
+  }
+
+  const files = [];
+
+  for (const dirent of dirents) {
+    const entryPath = path.join(dir, dirent.name);
+
+    if (dirent.isDirectory()) {
+      if (dirent.name !== '__tests__') {
+        files.push(...await listFiles(entryPath));
+      }
+    } else {
+      files.push(entryPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Hashes the files below a directory together with their paths relative to it, so a file that
+ * is added, removed or renamed changes the hash too.
+ *
+ * @param {string} dir - The directory
+ *
+ * @returns {Promise<string|null>} The SHA-256 hash in hex, null if the directory holds no files
+ */
+async function hashDirectory(dir) {
+  const files = await listFiles(dir);
+
+  if (files.length === 0) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256');
+
+  for (const filePath of files) {
+    hash.update(`${path.relative(dir, filePath)}\n${await hashFile(filePath)}\n`);
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Returns the fingerprint of the code that builds the data files: a hash of src/ and schemas/
+ * without the tests. Unlike the package version it changes with every change of the parser or
+ * the output format.
+ *
+ * @returns {Promise<string>} The SHA-256 hash in hex
+ */
+async function getCodeFingerprint() {
+  if (!codeFingerprint) {
+    const hash = crypto.createHash('sha256');
+
+    for (const dir of FINGERPRINT_DIRS) {
+      hash.update(`${dir}\n${await hashDirectory(path.join(PACKAGE_ROOT, dir))}\n`);
+    }
+
+    codeFingerprint = hash.digest('hex');
+  }
+
+  return codeFingerprint;
+}
+
+module.exports = {
+  hashFile,
+  hashDirectory,
+  getCodeFingerprint
+};
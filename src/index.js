@@ -0,0 +1,60 @@
+/**
+ * Public programmatic API of the package.
+ *
+ * Exposes the CurseForge client, the version parser, the fetch pipelines and
+ * query helpers over the published versions.json and game-versions.json datasets.
+ */
+const CurseForgeClient = require('./curseforge-client');
+const { readClientConfig } = require('./client-config');
+const VersionParser = require('./version-parser');
+const fetchAndSaveVersions = require('./fetch-versions');
+const fetchAndSaveGameVersions = require('./fetch-game-versions');
+const fetchAndSaveAll = require('./fetch-all');
+const backfillReleaseTimestamps = require('./backfill-timestamps');
+const {
+  WowDataError,
+  MissingCredentialsError,
+  UpstreamError,
+  CredentialsRejectedError,
+  NetworkError,
+  EmptyResponseError,
+  ValidationError,
+  UsageError,
+  ShrinkError
+} = require('./errors');
+const versionQuery = require('./version-query');
+const { diffVersions, diffGameVersions, hasChanges, renderChangelog } = require('./version-diff');
+const { KNOWN_VERSION_TYPES, getKnownVariants } = require('./version-types');
+const { validateDataset } = require('./dataset-validation');
+const { SCHEMA_VERSION, getSchema } = require('./schemas');
+const { generateDatasources } = require('./renovate-datasources');
+
+module.exports = {
+  CurseForgeClient,
+  readClientConfig,
+  VersionParser,
+  fetchAndSaveVersions,
+  fetchAndSaveGameVersions,
+  fetchAndSaveAll,
+  backfillReleaseTimestamps,
+  diffVersions,
+  diffGameVersions,
+  hasChanges,
+  renderChangelog,
+  KNOWN_VERSION_TYPES,
+  getKnownVariants,
+  WowDataError,
+  MissingCredentialsError,
+  UpstreamError,
+  CredentialsRejectedError,
+  NetworkError,
+  EmptyResponseError,
+  ValidationError,
+  UsageError,
+  ShrinkError,
+  validateDataset,
+  SCHEMA_VERSION,
+  getSchema,
+  generateDatasources,
+  ...versionQuery
+};
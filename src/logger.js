@@ -0,0 +1,73 @@
+/**
+ * Log output formats of the command line.
+ *
+ * The library logs through console.log, console.warn and console.error. In the json format the
+ * command line replaces these with one JSON object per line so logs can be ingested by tools.
+ */
+const util = require('util');
+const { redact } = require('./redaction');
+
+const LOG_FORMATS = ['text', 'json'];
+
+const LEVELS = {
+  log: 'info',
+  info: 'info',
+  warn: 'warn',
+  error: 'error'
+};
+
+/**
+ * Formats a log call as a JSON line, with secrets redacted.
+ *
+ * @param {string} level - The log level
+ * @param {Array} args - The arguments passed to the console method
+ *
+ * @returns {string} The JSON line
+ */
+function formatJsonLine(level, args) {
+  return JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    message: redact(util.format(...args).trim())
+  });
+}
+
+/**
+ * Switches the console to a log format.
+ *
+ * @param {string} format - "text" (default console output) or "json"
+ *
+ * @returns {Function} Function restoring the original console methods
+ *
+ * @throws {TypeError} If the format is unknown
+ */
+function setLogFormat(format) {
+  if (!LOG_FORMATS.includes(format)) {
+    throw new TypeError(`Unknown log format "${format}", expected one of ${LOG_FORMATS.join(', ')}`);
+  }
+
+  const original = {};
+
+  if (format === 'json') {
+    Object.entries(LEVELS).forEach(([method, level]) => {
+      original[method] = console[method];
+      const stream = level === 'info' ? process.stdout : process.stderr;
+
+      console[method] = (...args) => {
+        stream.write(`${formatJsonLine(level, args)}\n`);
+      };
+    });
+  }
+
+  return () => {
+    Object.entries(original).forEach(([method, fn]) => {
+      console[method] = fn;
+    });
+  };
+}
+
+module.exports = {
+  LOG_FORMATS,
+  formatJsonLine,
+  setLogFormat
+};
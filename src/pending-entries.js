@@ -0,0 +1,121 @@
+/**
+ * Optional debounce of new entries. CurseForge sometimes lists versions briefly before renaming
+ * or removing them, so a new entry can be held back until it was seen in a number of
+ * consecutive fetches.
+ *
+ * Entries that are not published yet are tracked in a state file next to the data file, e.g.
+ * versions.pending.json. The state file is not published, it only has to survive between runs.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Returns the state file that belongs to a data file.
+ *
+ * @param {string} dataPath - Path of versions.json or game-versions.json
+ *
+ * @returns {string} Path of the state file, e.g. versions.pending.json
+ */
+function getPendingStatePath(dataPath) {
+  return path.join(path.dirname(dataPath), `${path.basename(dataPath, '.json')}.pending.json`);
+}
+
+/**
+ * Reads a state file.
+ *
+ * @param {string} statePath - Path of the state file
+ *
+ * @returns {Promise<Object>} The state, an empty state if the file doesn't exist or is invalid
+ */
+async function readPendingState(statePath) {
+  try {
+    const state = JSON.parse(await fs.readFile(statePath, 'utf8'));
+    return state && state.entries ? state : { entries: {} };
+  } catch (_error) {
+    return { entries: {} };
+  }
+}
+
+/**
+ * Writes a state file.
+ *
+ * @param {string} statePath - Path of the state file
+ * @param {Object} state - The state from debounceNewEntries
+ *
+ * @returns {Promise<void>}
+ */
+async function savePendingState(statePath, state) {
+  await fs.writeFile(statePath, JSON.stringify(state, null, 2));
+  console.log(`Saved pending entries to ${statePath}`);
+}
+
+/**
+ * Holds back new entries until they were seen in requiredRuns consecutive fetches. Entries
+ * that are already published pass through, a pending entry missing from a fetch starts over.
+ * Without published entries, e.g. on the first fetch into an empty file, nothing is held back.
+ * A promoted entry is published with the fetch it was first seen in as releaseTimestamp, the
+ * debounce delays its publication but not its release.
+ *
+ * @param {Array} entries - The freshly fetched entries
+ * @param {Set<string>} publishedKeys - Keys of the entries in the existing data file
+ * @param {Object} state - The state from readPendingState
+ * @param {Function} getKey - Function returning the key of a fetched entry
+ * @param {number} requiredRuns - Number of consecutive fetches an entry needs to be published
+ * @param {string} fetchTime - ISO timestamp of the current fetch
+ *
+ * @returns {{entries: Array, state: Object, pending: Array, promoted: Array}} The entries to
+ *   publish, the new state, and the still pending and newly promoted entries as
+ *   {entry, seenCount, firstSeen} objects
+ */
+function debounceNewEntries(entries, publishedKeys, state, getKey, requiredRuns, fetchTime) {
+  const nextState = { entries: {} };
+  const published = [];
+  const pending = [];
+  const promoted = [];
+
+  entries.forEach(entry => {
+    const key = getKey(entry);
+
+    if (publishedKeys.size === 0 || publishedKeys.has(key)) {
+      published.push(entry);
+      return;
+    }
+
+    const previous = state.entries[key];
+    const seen = {
+      entry,
+      seenCount: (previous ? previous.seenCount : 0) + 1,
+      firstSeen: previous ? previous.firstSeen : fetchTime
+    };
+
+    if (seen.seenCount >= requiredRuns) {
+      published.push({ ...entry, releaseTimestamp: seen.firstSeen });
+      promoted.push(seen);
+    } else {
+      pending.push(seen);
+      nextState.entries[key] = { ...seen, lastSeen: fetchTime };
+    }
+  });
+
+  return { entries: published, state: nextState, pending, promoted };
+}
+
+/**
+ * Tells whether a debounce still holds back entries or just promoted some, in which case the
+ * run has a state to save even if CurseForge returned no new data.
+ *
+ * @param {Object|null} debounce - Result of debounceNewEntries, null without debounce
+ *
+ * @returns {boolean} True if entries are pending or were promoted
+ */
+function hasPendingEntries(debounce) {
+  return Boolean(debounce) && (debounce.pending.length > 0 || debounce.promoted.length > 0);
+}
+
+module.exports = {
+  getPendingStatePath,
+  readPendingState,
+  savePendingState,
+  debounceNewEntries,
+  hasPendingEntries
+};
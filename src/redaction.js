@@ -0,0 +1,85 @@
+/**
+ * Redaction of secrets from everything the tool prints or writes.
+ *
+ * The CurseForge client registers its API key here. Log lines, error messages and the response
+ * cache pass through redact, which replaces registered secrets and token query parameters with
+ * a placeholder.
+ */
+const util = require('util');
+
+const REDACTED = '[REDACTED]';
+
+// Shorter values are not treated as secrets, replacing them would garble unrelated output
+const MIN_SECRET_LENGTH = 8;
+
+// Query parameters that carry credentials, e.g. ?token=... of the Upload API
+const TOKEN_PARAM_PATTERN = /([?&](?:token|api[_-]?key|access_token)=)[^&\s#"']+/gi;
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error'];
+
+const secrets = new Set();
+
+/**
+ * Registers a secret to remove from all output.
+ *
+ * @param {string|undefined} secret - The secret, ignored if not set or too short
+ */
+function addSecret(secret) {
+  if (typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH) {
+    secrets.add(secret);
+  }
+}
+
+/**
+ * Forgets all registered secrets.
+ */
+function clearSecrets() {
+  secrets.clear();
+}
+
+/**
+ * Replaces the registered secrets, also URL-encoded, and token query parameters in a text.
+ *
+ * @param {*} text - The text, other values are converted to a string
+ *
+ * @returns {string} The text without secrets
+ */
+function redact(text) {
+  let result = String(text).replace(TOKEN_PARAM_PATTERN, `$1${REDACTED}`);
+
+  secrets.forEach(secret => {
+    [secret, encodeURIComponent(secret)].forEach(form => {
+      result = result.split(form).join(REDACTED);
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Routes console.log, console.info, console.warn and console.error through redact.
+ *
+ * @returns {Function} Function restoring the original console methods
+ */
+function redactConsole() {
+  const original = {};
+
+  CONSOLE_METHODS.forEach(method => {
+    original[method] = console[method];
+    console[method] = (...args) => original[method](redact(util.format(...args)));
+  });
+
+  return () => {
+    CONSOLE_METHODS.forEach(method => {
+      console[method] = original[method];
+    });
+  };
+}
+
+module.exports = {
+  REDACTED,
+  addSecret,
+  clearSecrets,
+  redact,
+  redactConsole
+};
@@ -0,0 +1,82 @@
+/**
+ * Helpers for carrying forward the first-seen release timestamp of each entry.
+ *
+ * The previously published data file is the store: an entry that already exists there keeps
+ * its releaseTimestamp, entries seen for the first time get the timestamp of the current fetch.
+ */
+
+/**
+ * Returns the key identifying a version in versions.json.
+ * Version names are only unique within a variant, so the variant is part of the key.
+ *
+ * @param {Object} version - Version object with name and variant
+ *
+ * @returns {string} Key like "classic_era:1.15.3"
+ */
+function getVersionKey(version) {
+  return `${version.variant}:${version.name}`;
+}
+
+/**
+ * Returns the key identifying a release in game-versions.json, the gameVersion ID.
+ *
+ * @param {Object} release - Release object with version (the gameVersion ID)
+ *
+ * @returns {string} The gameVersion ID as string
+ */
+function getGameVersionKey(release) {
+  return String(release.version);
+}
+
+/**
+ * Builds a map of entry keys to their release timestamps.
+ * Entries without a timestamp are skipped.
+ *
+ * @param {Array|undefined} entries - Entries from the existing data file
+ * @param {Function} getKey - Function returning the key of an entry
+ *
+ * @returns {Map<string, string>} Map of entry keys to ISO timestamps
+ */
+function buildTimestampIndex(entries, getKey) {
+  const index = new Map();
+
+  if (!Array.isArray(entries)) {
+    return index;
+  }
+
+  entries.forEach(entry => {
+    if (entry && entry.releaseTimestamp) {
+      index.set(getKey(entry), entry.releaseTimestamp);
+    }
+  });
+
+  return index;
+}
+
+/**
+ * Returns copies of the entries with a releaseTimestamp. Entries already present in the
+ * existing data keep their timestamp, new entries keep the releaseTimestamp they carry, e.g.
+ * from the debounce, or get the fetch time.
+ *
+ * @param {Array} entries - The freshly fetched entries
+ * @param {Array|undefined} existingEntries - Entries from the existing data file
+ * @param {Function} getKey - Function returning the key of an entry
+ * @param {string} fetchTime - ISO timestamp of the current fetch
+ *
+ * @returns {Array} New entry objects with releaseTimestamp set
+ */
+function applyReleaseTimestamps(entries, existingEntries, getKey, fetchTime) {
+  const index = buildTimestampIndex(existingEntries, getKey);
+
+  return entries.map(entry => ({
+    ...entry,
+    releaseTimestamp: index.get(getKey(entry)) || entry.releaseTimestamp || fetchTime
+  }));
+}
+
+module.exports = {
+  getVersionKey,
+  getGameVersionKey,
+  buildTimestampIndex,
+  applyReleaseTimestamps
+};
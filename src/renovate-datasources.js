@@ -0,0 +1,241 @@
+/**
+ * Per-variant datasource files in Renovate's native custom datasource format.
+ *
+ * Each variant gets a directory under datasources/ with one file per kind of version:
+ *
+ * - interface.json: interface versions from versions.json, e.g. "11507"
+ * - patch.json: patch names from versions.json, e.g. "1.15.7"
+ * - gameversion.json: CurseForge gameVersion IDs from game-versions.json, e.g. "12919"
+ *
+ * Every file is already in the {releases: [...]} shape Renovate expects, so consumers can
+ * point defaultRegistryUrlTemplate at it without a transformTemplates entry. Withdrawn entries
+ * are kept as releases with isDeprecated, so pinned values show a deprecation instead of
+ * failing the lookup. Names that share an interface version, e.g. "4.0.3" and "4.0.3a", each get
+ * a patch release, but only the canonical one counts for the interface release.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFilesAtomically } = require('./atomic-write');
+const { UNKNOWN_VARIANT } = require('./version-types');
+
+// Name of the directory holding the datasource files, next to the data files
+const DATASOURCES_DIRNAME = 'datasources';
+
+/**
+ * Returns the datasources directory that belongs to a data file.
+ *
+ * @param {string} dataPath - Path of versions.json or game-versions.json
+ *
+ * @returns {string} Path of the datasources directory next to the data file
+ */
+function getDatasourcesDir(dataPath) {
+  return path.join(path.dirname(dataPath), DATASOURCES_DIRNAME);
+}
+
+/**
+ * Converts entries into Renovate releases. Entries that map to the same version are merged,
+ * keeping the earliest releaseTimestamp. Withdrawn entries become deprecated releases, a merged
+ * release is only deprecated if all of its entries are withdrawn.
+ *
+ * @param {Array} entries - Entries of one variant
+ * @param {Function} getVersion - Returns the Renovate version of an entry
+ *
+ * @returns {Array<{version: string, releaseTimestamp: string, isDeprecated: boolean}>} Releases in
+ *   the order of the entries
+ */
+function toRenovateReleases(entries, getVersion) {
+  const releases = new Map();
+
+  entries.forEach(entry => {
+    const version = getVersion(entry);
+    const existing = releases.get(version);
+
+    if (!existing) {
+      const release = { version };
+      if (entry.releaseTimestamp) {
+        release.releaseTimestamp = entry.releaseTimestamp;
+      }
+      if (entry.withdrawn) {
+        release.isDeprecated = true;
+      }
+      releases.set(version, release);
+      return;
+    }
+
+    if (entry.releaseTimestamp && (!existing.releaseTimestamp || entry.releaseTimestamp < existing.releaseTimestamp)) {
+      existing.releaseTimestamp = entry.releaseTimestamp;
+    }
+    if (!entry.withdrawn) {
+      delete existing.isDeprecated;
+    }
+  });
+
+  return [...releases.values()];
+}
+
+/**
+ * Checks whether a versions.json entry is the canonical name of its interface version, see
+ * VersionParser.resolveCollisions.
+ *
+ * @param {Object} entry - Entry of versions.json
+ *
+ * @returns {boolean} True unless the entry is marked as non-canonical
+ */
+function isCanonical(entry) {
+  return entry.canonical !== false;
+}
+
+/**
+ * Groups entries by their variant.
+ *
+ * @param {Array} entries - Entries with a variant field
+ *
+ * @returns {Object} Object mapping variant keys to their entries
+ */
+function groupByVariant(entries) {
+  return entries.reduce((acc, entry) => {
+    if (!acc[entry.variant]) {
+      acc[entry.variant] = [];
+    }
+    acc[entry.variant].push(entry);
+    return acc;
+  }, {});
+}
+
+/**
+ * Builds the interface.json and patch.json datasources of every variant in versions.json.
+ *
+ * @param {Object} versionsData - The versions.json content
+ *
+ * @returns {Array<{path: string, data: Object}>} Datasources with paths relative to the datasources directory
+ */
+function buildVersionsDatasources(versionsData) {
+  return Object.entries(groupByVariant(versionsData.versions)).flatMap(([variant, versions]) => {
+    const sorted = [...versions].sort((a, b) => parseInt(b.version) - parseInt(a.version));
+
+    return [
+      {
+        path: path.join(variant, 'interface.json'),
+        data: { releases: toRenovateReleases(sorted.filter(isCanonical), v => v.version) }
+      },
+      { path: path.join(variant, 'patch.json'), data: { releases: toRenovateReleases(sorted, v => v.name) } }
+    ];
+  });
+}
+
+/**
+ * Builds the gameversion.json datasource of every variant in game-versions.json.
+ * Game versions of unmapped version types get no datasource, their variant is not stable.
+ *
+ * @param {Object} gameVersionsData - The game-versions.json content
+ *
+ * @returns {Array<{path: string, data: Object}>} Datasources with paths relative to the datasources directory
+ */
+function buildGameVersionsDatasources(gameVersionsData) {
+  return Object.entries(groupByVariant(gameVersionsData.releases))
+    .filter(([variant]) => variant !== UNKNOWN_VARIANT)
+    .map(([variant, releases]) => ({
+      path: path.join(variant, 'gameversion.json'),
+      data: { releases: toRenovateReleases(releases, release => release.version) }
+    }));
+}
+
+/**
+ * Serializes datasources and keeps only those whose file content would change.
+ *
+ * @param {string} datasourcesDir - The datasources directory
+ * @param {Array<{path: string, data: Object}>} datasources - Datasources from the build functions
+ *
+ * @returns {Promise<Array<{path: string, content: string}>>} Files to write, with absolute paths
+ */
+async function findChangedDatasources(datasourcesDir, datasources) {
+  const changed = [];
+
+  for (const datasource of datasources) {
+    const filePath = path.join(datasourcesDir, datasource.path);
+    const content = JSON.stringify(datasource.data, null, 2);
+    const existing = await fs.readFile(filePath, 'utf8').catch(() => null);
+
+    if (existing !== content) {
+      changed.push({ path: filePath, content });
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Creates the variant directories of datasource files.
+ *
+ * @param {Array<{path: string, content: string}>} files - Files from findChangedDatasources
+ *
+ * @returns {Promise<void>}
+ */
+async function createDatasourceDirs(files) {
+  const dirs = new Set(files.map(file => path.dirname(file.path)));
+
+  for (const dir of dirs) {
+    await fs.mkdir(dir, { recursive: true });
+  }
+}
+
+/**
+ * Writes datasource files through temp-file-and-rename, creating the variant directories as needed.
+ *
+ * @param {Array<{path: string, content: string}>} files - Files from findChangedDatasources
+ *
+ * @returns {Promise<void>}
+ */
+async function saveDatasources(files) {
+  if (files.length === 0) {
+    return;
+  }
+
+  await createDatasourceDirs(files);
+  await writeFilesAtomically(files);
+  files.forEach(file => console.log(`Saved datasource ${file.path}`));
+}
+
+/**
+ * Regenerates the datasource files from existing data files, e.g. after the data files were
+ * edited by hand or before the first fetch that emits them.
+ *
+ * @param {Object} [options] - Options
+ * @param {string} options.versionsPath - Path of versions.json
+ * @param {string} options.gameVersionsPath - Path of game-versions.json
+ * @param {boolean} [options.dryRun] - Only report which files would change
+ *
+ * @returns {Promise<{changed: boolean, files: Array<string>}>} Whether any file changed (or would
+ *   change in dry-run mode) and the paths of these files
+ */
+async function generateDatasources(options) {
+  const versionsData = JSON.parse(await fs.readFile(options.versionsPath, 'utf8'));
+  const gameVersionsData = JSON.parse(await fs.readFile(options.gameVersionsPath, 'utf8'));
+
+  const files = [
+    ...await findChangedDatasources(getDatasourcesDir(options.versionsPath), buildVersionsDatasources(versionsData)),
+    ...await findChangedDatasources(
+      getDatasourcesDir(options.gameVersionsPath),
+      buildGameVersionsDatasources(gameVersionsData)
+    )
+  ];
+
+  if (options.dryRun) {
+    files.forEach(file => console.log(`Dry run: would write ${file.path}`));
+  } else {
+    await saveDatasources(files);
+  }
+
+  return { changed: files.length > 0, files: files.map(file => file.path) };
+}
+
+module.exports = {
+  DATASOURCES_DIRNAME,
+  getDatasourcesDir,
+  buildVersionsDatasources,
+  buildGameVersionsDatasources,
+  findChangedDatasources,
+  createDatasourceDirs,
+  saveDatasources,
+  generateDatasources
+};
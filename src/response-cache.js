@@ -0,0 +1,161 @@
+/**
+ * On-disk cache of the CurseForge responses.
+ *
+ * The cache keeps the last response of every request with its ETag and Last-Modified, so the
+ * client can send conditional requests and the pipelines can stop early on 304 Not Modified.
+ * The cache is only saved after the data files were written, so a 304 means the data files were
+ * built from what CurseForge returns. That alone doesn't make them current: the cache also keeps
+ * a fingerprint of the code and the hashes of the files the fetch wrote, and the pipelines only
+ * stop early if both still match, see isUpToDate in fetch-run.js. In offline mode the pipelines
+ * run from the cache alone or from the fixtures of response-fixtures.js.
+ */
+const fs = require('fs').promises;
+const { UsageError } = require('./errors');
+const { redact } = require('./redaction');
+const { readFixtures } = require('./response-fixtures');
+
+/**
+ * Reads a cache file.
+ *
+ * @param {string} cachePath - Path of the cache file, e.g. versions.cache.json
+ *
+ * @returns {Promise<Object>} The cache with the fingerprint of the code that wrote it, the
+ *   hashes of the files of the fetch and an entries object mapping request labels to
+ *   {etag, lastModified, fetchedAt, data} objects, an empty cache if the file doesn't exist or
+ *   is invalid
+ */
+async function readResponseCache(cachePath) {
+  try {
+    const cache = JSON.parse(await fs.readFile(cachePath, 'utf8'));
+    return cache && cache.entries ? cache : { entries: {} };
+  } catch (_error) {
+    return { entries: {} };
+  }
+}
+
+/**
+ * Serializes a cache for its file, with secrets redacted.
+ *
+ * @param {Object} cache - The cache, e.g. from CurseForgeClient.getResponseCache()
+ * @param {string} [cache.fingerprint] - Fingerprint of the code that built the data files
+ * @param {Object} [cache.files] - Hashes of the files the fetch wrote, by file name
+ *
+ * @returns {string} The file content
+ */
+function serializeResponseCache(cache) {
+  return redact(JSON.stringify({ fingerprint: cache.fingerprint, files: cache.files, entries: cache.entries }));
+}
+
+/**
+ * Writes a cache file.
+ *
+ * @param {string} cachePath - Path of the cache file
+ * @param {Object} cache - The cache, e.g. from CurseForgeClient.getResponseCache()
+ *
+ * @returns {Promise<void>}
+ */
+async function saveResponseCache(cachePath, cache) {
+  await fs.writeFile(cachePath, serializeResponseCache(cache));
+  console.log(`Saved CurseForge responses to ${cachePath}`);
+}
+
+/**
+ * Tells whether a fetch runs without contacting CurseForge, from the response cache or from
+ * replayed fixtures. Such a run neither counts for the debounce nor refreshes the cache.
+ *
+ * @param {Object} options - Fetch options
+ * @param {boolean} [options.offline] - Run from the response cache
+ * @param {string} [options.replayDir] - Run from the fixtures in this directory
+ *
+ * @returns {boolean} True if the fetch runs offline
+ */
+function isOfflineRun(options) {
+  return Boolean(options.offline || options.replayDir);
+}
+
+/**
+ * Reads the response cache of the fetch options into CurseForgeClient options. Replayed
+ * fixtures take the place of the response cache.
+ *
+ * @param {Object} options - Fetch options
+ * @param {string} [options.cachePath] - Path of the cache file
+ * @param {boolean} [options.offline] - Run from the cache without contacting CurseForge
+ * @param {string} [options.recordDir] - Directory to record the CurseForge responses to
+ * @param {string} [options.replayDir] - Directory of recorded responses to run from, see
+ *   response-fixtures.js
+ *
+ * @returns {Promise<{responseCache: Object|null, offline: boolean, recording: boolean}>} The
+ *   client options
+ *
+ * @throws {UsageError} If offline is set without a cache path, recordDir and replayDir are both
+ *   set or the fixtures can't be read
+ */
+async function readCacheOptions(options) {
+  if (options.recordDir && options.replayDir) {
+    throw new UsageError('--record and --replay can\'t be combined, replay the recorded fixtures in a later run');
+  }
+
+  if (options.replayDir) {
+    return { responseCache: await readFixtures(options.replayDir), offline: true, recording: false };
+  }
+
+  if (options.offline && !options.cachePath) {
+    throw new UsageError('Offline mode needs the response cache of an earlier fetch, see --cache');
+  }
+
+  return {
+    responseCache: options.cachePath ? await readResponseCache(options.cachePath) : null,
+    offline: Boolean(options.offline),
+    recording: Boolean(options.recordDir)
+  };
+}
+
+/**
+ * Returns the headers of a conditional request for a cached response.
+ *
+ * @param {Object|undefined} entry - The cache entry of the request
+ *
+ * @returns {Object} If-None-Match and If-Modified-Since headers, empty without validators
+ */
+function getConditionalHeaders(entry) {
+  const headers = {};
+
+  if (entry?.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+
+  if (entry?.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified;
+  }
+
+  return headers;
+}
+
+/**
+ * Creates the cache entry of a response.
+ *
+ * @param {Object} response - The axios response
+ * @param {string} fetchedAt - ISO timestamp of the request
+ *
+ * @returns {Object} The cache entry
+ */
+function toCacheEntry(response, fetchedAt) {
+  const headers = response.headers || {};
+
+  return {
+    etag: headers.etag,
+    lastModified: headers['last-modified'],
+    fetchedAt,
+    data: response.data
+  };
+}
+
+module.exports = {
+  readResponseCache,
+  serializeResponseCache,
+  saveResponseCache,
+  isOfflineRun,
+  readCacheOptions,
+  getConditionalHeaders,
+  toCacheEntry
+};
@@ -0,0 +1,97 @@
+/**
+ * Recorded CurseForge responses for offline development.
+ *
+ * A recording fetch saves the raw response of every request to a fixture file in a directory,
+ * without the API key. Replaying the directory answers the requests from those files, so a
+ * parsing change can be run through the full fetch pipelines against real historical payloads
+ * without an API key or network access.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { UsageError } = require('./errors');
+const { redact } = require('./redaction');
+
+/**
+ * Returns the fixture file of a request.
+ *
+ * @param {string} fixturesDir - The fixture directory
+ * @param {string} label - Label of the request, e.g. "game versions"
+ *
+ * @returns {string} Path of the fixture file, e.g. <fixturesDir>/game-versions.json
+ */
+function getFixturePath(fixturesDir, label) {
+  return path.join(fixturesDir, `${label.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`);
+}
+
+/**
+ * Writes the recorded responses of a client to a fixture directory. Registered secrets and
+ * token query parameters are redacted from the files.
+ *
+ * @param {string} fixturesDir - The fixture directory, created if missing
+ * @param {Object} recordedResponses - Object mapping request labels to {url, recordedAt, data}
+ *   objects, from CurseForgeClient.getRecordedResponses()
+ *
+ * @returns {Promise<void>}
+ */
+async function saveFixtures(fixturesDir, recordedResponses) {
+  await fs.mkdir(fixturesDir, { recursive: true });
+
+  for (const [label, response] of Object.entries(recordedResponses)) {
+    const fixture = { label, url: response.url, recordedAt: response.recordedAt, data: response.data };
+    await fs.writeFile(getFixturePath(fixturesDir, label), `${redact(JSON.stringify(fixture, null, 2))}\n`);
+  }
+
+  console.log(`Recorded ${Object.keys(recordedResponses).length} CurseForge responses to ${fixturesDir}`);
+}
+
+/**
+ * Reads a fixture directory into a response cache.
+ *
+ * @param {string} fixturesDir - The fixture directory
+ *
+ * @returns {Promise<Object>} A response cache with the recorded response of every request
+ *
+ * @throws {UsageError} If the directory can't be read, holds no fixtures or an invalid fixture
+ */
+async function readFixtures(fixturesDir) {
+  let fileNames;
+
+  try {
+    fileNames = await fs.readdir(fixturesDir);
+  } catch (error) {
+    throw new UsageError(`Could not read the fixtures in ${fixturesDir}: ${error.message}`, { cause: error });
+  }
+
+  const entries = {};
+
+  for (const fileName of fileNames.filter(name => name.endsWith('.json')).sort()) {
+    const fixturePath = path.join(fixturesDir, fileName);
+    let fixture;
+
+    try {
+      fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+    } catch (error) {
+      throw new UsageError(`Could not read the fixture ${fixturePath}: ${error.message}`, { cause: error });
+    }
+
+    if (!fixture || typeof fixture.label !== 'string' || !('data' in fixture)) {
+      throw new UsageError(`The fixture ${fixturePath} has no label and data, record it again with --record`);
+    }
+
+    entries[fixture.label] = { fetchedAt: fixture.recordedAt, data: fixture.data };
+  }
+
+  if (Object.keys(entries).length === 0) {
+    throw new UsageError(`No fixtures in ${fixturesDir}, record them with --record`);
+  }
+
+  console.log(`Replaying ${Object.keys(entries).length} recorded CurseForge responses from ${fixturesDir}`);
+
+  return { entries };
+}
+
+module.exports = {
+  getFixturePath,
+  saveFixtures,
+  readFixtures
+};
@@ -0,0 +1,153 @@
+/**
+ * Retry policy of the CurseForge requests.
+ *
+ * Failures are sorted into retryable ones (network errors, timeouts, rate limits and server
+ * errors) and ones retrying cannot fix (a rejected API key or another client error). Retries
+ * wait as long as Retry-After or the rate-limit headers ask, otherwise an exponential backoff
+ * with jitter.
+ */
+const { UpstreamError, CredentialsRejectedError, NetworkError } = require('./errors');
+const { redact } = require('./redaction');
+
+// HTTP statuses that may succeed when the request is repeated
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// HTTP statuses CurseForge answers a missing, invalid or revoked API key with
+const CREDENTIALS_STATUSES = [401, 403];
+
+// Rate-limit reset values above this are epoch seconds, smaller ones are seconds from now
+const EPOCH_SECONDS_THRESHOLD = 1e9;
+
+/**
+ * Tells whether a failed request can be retried and who is at fault.
+ *
+ * @param {Error} error - Error thrown by axios
+ *
+ * @returns {{retryable: boolean, fault: string}} fault is "credentials" if CurseForge rejected
+ *   the API key, "network" if no response was received and "upstream" otherwise
+ */
+function classifyRequestError(error) {
+  const status = error.response?.status;
+
+  if (!status) {
+    // A cancelled request was given up on purpose
+    return { retryable: error.code !== 'ERR_CANCELED', fault: 'network' };
+  }
+
+  if (CREDENTIALS_STATUSES.includes(status)) {
+    return { retryable: false, fault: 'credentials' };
+  }
+
+  return { retryable: RETRYABLE_STATUSES.includes(status), fault: 'upstream' };
+}
+
+/**
+ * Reads the delay a response asks for before the next request, from Retry-After or, on a 429
+ * without it, from the RateLimit-Reset or X-RateLimit-Reset header.
+ *
+ * @param {Object|undefined} response - The axios response of the failed request
+ * @param {number} [now] - Current time in milliseconds, defaults to Date.now()
+ *
+ * @returns {number|null} Delay in milliseconds or null if the response asks for none
+ */
+function getRetryAfterDelay(response, now = Date.now()) {
+  const headers = response?.headers || {};
+  const retryAfter = headers['retry-after'];
+
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+  }
+
+  const reset = Number(headers['ratelimit-reset'] ?? headers['x-ratelimit-reset']);
+
+  if (response?.status !== 429 || !Number.isFinite(reset)) {
+    return null;
+  }
+
+  return Math.max(0, reset > EPOCH_SECONDS_THRESHOLD ? reset * 1000 - now : reset * 1000);
+}
+
+/**
+ * Calculates the exponential backoff before a retry. Half of the delay is random so clients
+ * that failed together don't retry together.
+ *
+ * @param {number} attempt - Number of the failed attempt, starting at 1
+ * @param {number} baseDelay - Delay after the first attempt in milliseconds
+ * @param {Function} [random] - Returns a number between 0 and 1, defaults to Math.random
+ *
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, baseDelay, random = Math.random) {
+  const delay = baseDelay * 2 ** (attempt - 1);
+
+  return Math.round(delay / 2 + random() * delay / 2);
+}
+
+/**
+ * Copies what is safe to log of a failed request. The axios error itself keeps the request
+ * config, whose headers hold the API key, so it must not end up as cause.
+ *
+ * @param {Error} error - Error thrown by axios
+ *
+ * @returns {Error} An error with the redacted message and stack, the error code and the HTTP
+ *   status if there was a response
+ */
+function toRequestCause(error) {
+  const cause = new Error(redact(error.message));
+
+  cause.name = error.name;
+  cause.stack = error.stack ? redact(error.stack) : cause.stack;
+  if (error.code) {
+    cause.code = error.code;
+  }
+  if (error.response?.status) {
+    cause.status = error.response.status;
+  }
+
+  return cause;
+}
+
+/**
+ * Turns a failed request into the typed error of who is at fault.
+ *
+ * @param {Error} error - Error thrown by axios
+ * @param {string} label - Human-readable label of what was fetched
+ *
+ * @returns {UpstreamError} CredentialsRejectedError, NetworkError or UpstreamError with secrets
+ *   redacted from the message and a cause that holds only the message, code and status of the
+ *   axios error, see toRequestCause
+ */
+function toRequestError(error, label) {
+  const { fault } = classifyRequestError(error);
+  const status = error.response?.status;
+  const message = redact(error.message);
+  const cause = toRequestCause(error);
+
+  if (fault === 'credentials') {
+    return new CredentialsRejectedError(
+      `CurseForge rejected the API key when fetching ${label} (HTTP ${status}), check CURSEFORGE_API_KEY`,
+      { cause }
+    );
+  }
+
+  if (fault === 'network') {
+    return new NetworkError(`Could not reach CurseForge to fetch ${label}: ${message}`, { cause });
+  }
+
+  return new UpstreamError(`CurseForge failed to return ${label} (HTTP ${status}): ${message}`, { cause });
+}
+
+module.exports = {
+  RETRYABLE_STATUSES,
+  classifyRequestError,
+  getRetryAfterDelay,
+  getBackoffDelay,
+  toRequestError
+};
@@ -0,0 +1,139 @@
+/**
+ * Versioned JSON Schemas of the published datasets.
+ *
+ * The schemas live in schemas/v<major>/ and are shipped with the package. Every data file
+ * names its schema in $schema and its major version in schemaVersion, a breaking change to
+ * the shape of a file bumps SCHEMA_VERSION and adds a new schemas directory.
+ */
+const path = require('path');
+const Ajv = require('ajv');
+
+// Major version of the schemas the fetch scripts write
+const SCHEMA_VERSION = 1;
+
+// Directory of the current schemas
+const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas', `v${SCHEMA_VERSION}`);
+
+// Schema file of each dataset type, as returned by detectDatasetType
+const SCHEMA_FILES = {
+  'versions': 'versions.schema.json',
+  'game-versions': 'game-versions.schema.json'
+};
+
+// Compiled validators by dataset type, created on first use
+const validators = {};
+
+/**
+ * Loads the current schema of a dataset type.
+ *
+ * @param {string} type - "versions" or "game-versions"
+ *
+ * @returns {Object} The JSON Schema
+ *
+ * @throws {Error} If the type has no schema
+ */
+function getSchema(type) {
+  if (!SCHEMA_FILES[type]) {
+    throw new Error(`No schema for dataset type ${type}`);
+  }
+
+  return require(path.join(SCHEMAS_DIR, SCHEMA_FILES[type]));
+}
+
+/**
+ * Returns the URL written to the $schema field of a dataset.
+ *
+ * @param {string} type - "versions" or "game-versions"
+ *
+ * @returns {string} The $id of the current schema
+ */
+function getSchemaUrl(type) {
+  return getSchema(type).$id;
+}
+
+/**
+ * Prepends the $schema and schemaVersion fields to a dataset.
+ *
+ * @param {string} type - "versions" or "game-versions"
+ * @param {Object} data - The dataset content without schema fields
+ *
+ * @returns {Object} New object with $schema and schemaVersion first
+ */
+function withSchemaFields(type, data) {
+  return {
+    $schema: getSchemaUrl(type),
+    schemaVersion: SCHEMA_VERSION,
+    ...data
+  };
+}
+
+/**
+ * Converts a JSON Pointer from Ajv into the location format of the validation messages,
+ * e.g. "/versions/3/name" into "versions[3].name".
+ *
+ * @param {string} pointer - The JSON Pointer of the invalid value
+ *
+ * @returns {string} The location, "file" for the root
+ */
+function formatLocation(pointer) {
+  const location = pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((acc, segment) => {
+      if (/^\d+$/.test(segment)) {
+        return `${acc}[${segment}]`;
+      }
+      return acc ? `${acc}.${segment}` : segment;
+    }, '');
+
+  return location || 'file';
+}
+
+/**
+ * Formats an Ajv error as a validation message.
+ *
+ * @param {Object} error - The Ajv error
+ *
+ * @returns {string} The message, e.g. "versions[3].name must NOT have fewer than 1 characters"
+ */
+function formatSchemaError(error) {
+  const message = `${formatLocation(error.instancePath)} ${error.message}`;
+
+  if (error.keyword === 'additionalProperties') {
+    return `${message}: ${error.params.additionalProperty}`;
+  }
+
+  if (error.keyword === 'const') {
+    return `${message} ${JSON.stringify(error.params.allowedValue)}`;
+  }
+
+  return message;
+}
+
+/**
+ * Validates a dataset against the current schema of its type.
+ *
+ * @param {string} type - "versions" or "game-versions"
+ * @param {Object} data - The parsed dataset
+ *
+ * @returns {Array<string>} Error messages, empty if the data matches the schema
+ */
+function validateAgainstSchema(type, data) {
+  if (!validators[type]) {
+    validators[type] = new Ajv({ allErrors: true }).compile(getSchema(type));
+  }
+
+  const validate = validators[type];
+
+  return validate(data) ? [] : validate.errors.map(formatSchemaError);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  SCHEMAS_DIR,
+  getSchema,
+  getSchemaUrl,
+  withSchemaFields,
+  validateAgainstSchema
+};
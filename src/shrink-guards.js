@@ -0,0 +1,146 @@
+/**
+ * Guards against overwriting a dataset with less data, e.g. when CurseForge returns a truncated
+ * list or drops a version type group. Each guard compares the existing file with the new content
+ * and describes why the write should be refused.
+ */
+const { ShrinkError } = require('./errors');
+const { UNKNOWN_VARIANT } = require('./version-types');
+const { compareNames } = require('./version-diff');
+const { getLiveEntries } = require('./withdrawn-entries');
+
+// Largest share of entries a fetch may remove by default, in percent
+const DEFAULT_MAX_SHRINK_PERCENT = 10;
+
+/**
+ * Finds the latest version name of each variant. Entries of unmapped version types are
+ * skipped, their variant keys are not stable between fetches.
+ *
+ * @param {Array} entries - Entries with a variant field
+ * @param {Function} getName - Returns the version name of an entry
+ *
+ * @returns {Map<string, string>} Map of variant keys to their latest version name
+ */
+function getLatestByVariant(entries, getName) {
+  const latest = new Map();
+
+  entries
+    .filter(entry => entry.variant !== UNKNOWN_VARIANT)
+    .forEach(entry => {
+      const current = latest.get(entry.variant);
+
+      if (current === undefined || compareNames(getName(entry), current) > 0) {
+        latest.set(entry.variant, getName(entry));
+      }
+    });
+
+  return latest;
+}
+
+/**
+ * Compares the entries of the existing and the new content of a dataset. Only live entries
+ * count, a withdrawn tombstone is as good as a missing entry.
+ *
+ * @param {Array|undefined} allOldEntries - Entries of the existing file, if any
+ * @param {Array} allNewEntries - Entries about to be written
+ * @param {Function} getName - Returns the version name of an entry
+ * @param {number} maxShrinkPercent - Largest share of entries that may be removed, in percent
+ *
+ * @returns {Array<string>} Human-readable reasons to refuse the write, empty if all guards pass
+ */
+function findShrinkReasons(allOldEntries, allNewEntries, getName, maxShrinkPercent) {
+  const oldEntries = getLiveEntries(allOldEntries);
+  const newEntries = getLiveEntries(allNewEntries);
+
+  if (oldEntries.length === 0) {
+    return [];
+  }
+
+  const reasons = [];
+  const oldLatest = getLatestByVariant(oldEntries, getName);
+  const newLatest = getLatestByVariant(newEntries, getName);
+
+  oldLatest.forEach((oldName, variant) => {
+    const newName = newLatest.get(variant);
+
+    if (newName === undefined) {
+      reasons.push(`variant ${variant} disappeared`);
+    } else if (compareNames(newName, oldName) < 0) {
+      reasons.push(`latest ${variant} version went backwards from ${oldName} to ${newName}`);
+    }
+  });
+
+  const removed = oldEntries.length - newEntries.length;
+  const removedPercent = (removed / oldEntries.length) * 100;
+
+  if (removedPercent > maxShrinkPercent) {
+    reasons.push(
+      `entry count dropped from ${oldEntries.length} to ${newEntries.length} ` +
+      `(-${removedPercent.toFixed(1)}%, at most ${maxShrinkPercent}% allowed)`
+    );
+  }
+
+  return reasons;
+}
+
+/**
+ * Checks whether the new versions.json content lost data compared to the existing file.
+ *
+ * @param {Object|null} existingData - The current versions.json content, if any
+ * @param {Object} newData - The versions.json content about to be written
+ * @param {number} [maxShrinkPercent] - Largest share of versions that may be removed, in percent
+ *
+ * @returns {Array<string>} Reasons to refuse the write, empty if all guards pass
+ */
+function checkVersionsShrink(existingData, newData, maxShrinkPercent = DEFAULT_MAX_SHRINK_PERCENT) {
+  return findShrinkReasons(existingData?.versions, newData.versions, version => version.name, maxShrinkPercent);
+}
+
+/**
+ * Checks whether the new game-versions.json content lost data compared to the existing file.
+ *
+ * @param {Object|null} existingData - The current game-versions.json content, if any
+ * @param {Object} newData - The game-versions.json content about to be written
+ * @param {number} [maxShrinkPercent] - Largest share of game versions that may be removed, in percent
+ *
+ * @returns {Array<string>} Reasons to refuse the write, empty if all guards pass
+ */
+function checkGameVersionsShrink(existingData, newData, maxShrinkPercent = DEFAULT_MAX_SHRINK_PERCENT) {
+  return findShrinkReasons(
+    existingData?.releases,
+    newData.releases,
+    release => release.originalVersion,
+    maxShrinkPercent
+  );
+}
+
+/**
+ * Refuses the write of a dataset that failed a shrink guard. With force the reasons are only
+ * printed as warnings and the write goes ahead.
+ *
+ * @param {Array<string>} reasons - Reasons from checkVersionsShrink or checkGameVersionsShrink
+ * @param {string} fileName - Name of the file used in the messages, e.g. "versions.json"
+ * @param {boolean} [force] - Write despite failed guards
+ *
+ * @throws {ShrinkError} If a guard failed and force is not set
+ */
+function assertNoShrink(reasons, fileName, force) {
+  if (reasons.length === 0) {
+    return;
+  }
+
+  if (force) {
+    console.warn(`WARNING: Writing ${fileName} despite failed shrink guards (--force):`);
+    reasons.forEach(reason => console.warn(`- ${reason}`));
+    return;
+  }
+
+  reasons.forEach(reason => console.error(`- ${reason}`));
+  throw new ShrinkError(`Refusing to write ${fileName}, it would lose data. Use --force to write it anyway`, reasons);
+}
+
+module.exports = {
+  DEFAULT_MAX_SHRINK_PERCENT,
+  checkVersionsShrink,
+  checkGameVersionsShrink,
+  assertNoShrink
+};
@@ -0,0 +1,74 @@
+/**
+ * Report of the CurseForge version names VersionParser could not parse.
+ *
+ * parseVersions drops those names, so without the report a new naming scheme on CurseForge
+ * would only show as a lower "Parsed" count in the log.
+ */
+const fs = require('fs').promises;
+
+// Descriptions of the reasons returned by VersionParser.getParseFailure
+const REASON_DESCRIPTIONS = {
+  'segments': 'not three dot-separated segments',
+  'non-numeric': 'non-numeric segment',
+  'suffix': 'unexpected suffix',
+  'out-of-range': 'minor or patch version above 99'
+};
+
+/**
+ * Renders unparsed versions as a Markdown report.
+ *
+ * @param {Array} unparsedVersions - Versions from VersionParser.findUnparsedVersions
+ *
+ * @returns {string} The Markdown report
+ */
+function renderUnparsedReport(unparsedVersions) {
+  const lines = ['## Unparsed version names', ''];
+
+  if (unparsedVersions.length === 0) {
+    lines.push('All version names parsed.');
+  } else {
+    lines.push('| Name | Variant | Type ID | Reason |', '| --- | --- | --- | --- |');
+    unparsedVersions.forEach(v => {
+      const reason = REASON_DESCRIPTIONS[v.reason] || v.reason;
+      lines.push(`| \`${v.name}\` | ${v.variant || ''} | ${v.gameVersionTypeId ?? ''} | ${reason} |`);
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Prints unparsed versions to the console, one warning line each.
+ *
+ * @param {Array} unparsedVersions - Versions from VersionParser.findUnparsedVersions
+ */
+function reportUnparsedVersions(unparsedVersions) {
+  if (unparsedVersions.length === 0) {
+    return;
+  }
+
+  console.warn(`WARNING: ${unparsedVersions.length} version names could not be parsed:`);
+  unparsedVersions.forEach(v => {
+    const reason = REASON_DESCRIPTIONS[v.reason] || v.reason;
+    console.warn(`- ${v.name} (${v.variant}, type ${v.gameVersionTypeId}): ${reason}`);
+  });
+}
+
+/**
+ * Writes the Markdown report of unparsed versions to a file, e.g. to add it to the run summary.
+ *
+ * @param {string} reportPath - Path of the Markdown file to write
+ * @param {Array} unparsedVersions - Versions from VersionParser.findUnparsedVersions
+ *
+ * @returns {Promise<void>}
+ */
+async function writeUnparsedReport(reportPath, unparsedVersions) {
+  await fs.writeFile(reportPath, renderUnparsedReport(unparsedVersions));
+  console.log(`Saved unparsed version names to ${reportPath}`);
+}
+
+module.exports = {
+  renderUnparsedReport,
+  reportUnparsedVersions,
+  writeUnparsedReport
+};
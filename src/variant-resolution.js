@@ -0,0 +1,124 @@
+/**
+ * Classification of Upload API game versions into variants.
+ *
+ * The Upload API lists game versions of types the core API doesn't return. Those are
+ * classified by the UPLOAD_VERSION_TYPE_VARIANTS mapping first and by their patch name
+ * second, anything left is "unknown" and reported. Unclassified game versions can be kept,
+ * excluded or fail the fetch.
+ */
+const {
+  UNKNOWN_VARIANT,
+  UPLOAD_VERSION_TYPE_VARIANTS,
+  guessVariantFromName
+} = require('./version-types');
+const { ValidationError } = require('./errors');
+
+// What to do with game versions that could not be classified
+const UNCLASSIFIED_MODES = ['keep', 'exclude', 'fail'];
+
+/**
+ * Resolves the variant of an Upload API game version.
+ *
+ * @param {Object} gameVersion - Game version from the Upload API with name and gameVersionTypeID
+ * @param {Object} versionTypeMap - Version types discovered from the core API
+ * @param {Object} [uploadVersionTypes] - Variants of Upload API type IDs, defaults to
+ *   UPLOAD_VERSION_TYPE_VARIANTS
+ *
+ * @returns {{variant: string, source: string}} The variant and what resolved it: "versionType",
+ *   "uploadVersionType", "name" or "none" for the unknown variant
+ */
+function resolveVariant(gameVersion, versionTypeMap, uploadVersionTypes = UPLOAD_VERSION_TYPE_VARIANTS) {
+  const versionType = versionTypeMap[gameVersion.gameVersionTypeID];
+
+  if (versionType) {
+    return { variant: versionType.variant, source: 'versionType' };
+  }
+
+  if (uploadVersionTypes[gameVersion.gameVersionTypeID]) {
+    return { variant: uploadVersionTypes[gameVersion.gameVersionTypeID], source: 'uploadVersionType' };
+  }
+
+  const guessed = guessVariantFromName(gameVersion.name);
+
+  if (guessed) {
+    return { variant: guessed, source: 'name' };
+  }
+
+  return { variant: UNKNOWN_VARIANT, source: 'none' };
+}
+
+/**
+ * Reports the game versions that were classified by their patch name and warns about the
+ * ones that could not be classified, with the type IDs to add to UPLOAD_VERSION_TYPE_VARIANTS.
+ *
+ * @param {Array} gameVersionData - Game versions from the Upload API
+ * @param {Object} versionTypeMap - Version types discovered from the core API
+ *
+ * @returns {Array} The game versions that could not be classified
+ */
+function reportVariantResolution(gameVersionData, versionTypeMap) {
+  const resolutions = gameVersionData
+    .filter(gameVersion => gameVersion && gameVersion.name && gameVersion.id && gameVersion.gameVersionTypeID)
+    .filter(gameVersion => !versionTypeMap[gameVersion.gameVersionTypeID])
+    .map(gameVersion => ({ gameVersion, ...resolveVariant(gameVersion, versionTypeMap) }));
+
+  resolutions
+    .filter(resolution => resolution.source === 'name')
+    .forEach(({ gameVersion, variant }) => {
+      console.log(`Classified ${gameVersion.name} (type ${gameVersion.gameVersionTypeID}) as ${variant} by its patch name`);
+    });
+
+  const unclassified = resolutions
+    .filter(resolution => resolution.source === 'none')
+    .map(resolution => resolution.gameVersion);
+
+  if (unclassified.length > 0) {
+    console.warn(
+      `WARNING: ${unclassified.length} game versions could not be classified into a variant. ` +
+      'Add their type IDs to UPLOAD_VERSION_TYPE_VARIANTS in src/version-types.js:'
+    );
+    unclassified.forEach(gameVersion => {
+      console.warn(`- ${gameVersion.name} (gameVersion ID ${gameVersion.id}, type ${gameVersion.gameVersionTypeID})`);
+    });
+  }
+
+  return unclassified;
+}
+
+/**
+ * Applies the unclassified mode to processed game versions.
+ *
+ * @param {Object} gameVersions - Object mapping version names to {id, variant} objects
+ * @param {string} [mode] - "keep" (default) keeps them as the unknown variant, "exclude" drops
+ *   them and "fail" throws
+ *
+ * @returns {Object} The game versions to publish
+ *
+ * @throws {ValidationError} If mode is "fail" and a game version could not be classified
+ */
+function applyUnclassifiedMode(gameVersions, mode = 'keep') {
+  const unclassified = Object.keys(gameVersions).filter(name => gameVersions[name].variant === UNKNOWN_VARIANT);
+
+  if (unclassified.length === 0 || mode === 'keep') {
+    return gameVersions;
+  }
+
+  if (mode === 'fail') {
+    throw new ValidationError(
+      `${unclassified.length} game versions could not be classified into a variant: ${unclassified.join(', ')}`
+    );
+  }
+
+  console.log(`Excluding ${unclassified.length} unclassified game versions`);
+
+  return Object.fromEntries(
+    Object.entries(gameVersions).filter(([, data]) => data.variant !== UNKNOWN_VARIANT)
+  );
+}
+
+module.exports = {
+  UNCLASSIFIED_MODES,
+  resolveVariant,
+  reportVariantResolution,
+  applyUnclassifiedMode
+};
@@ -0,0 +1,71 @@
+/**
+ * Per-variant lastUpdated timestamps.
+ *
+ * The top-level lastUpdated moves whenever any variant changes. lastUpdatedByVariant holds the
+ * time of the last fetch that changed the entries of each variant, so consumers of a single
+ * variant can tell when their slice really changed.
+ */
+const { isSameContent } = require('./canonical-order');
+
+// Field holding the entries of each dataset type
+const ENTRY_FIELDS = {
+  'versions': 'versions',
+  'game-versions': 'releases'
+};
+
+/**
+ * Groups the entries of a dataset by variant.
+ *
+ * @param {Array|undefined} entries - Entries of a data file, including tombstones
+ *
+ * @returns {Object} Object mapping variant keys to their entries
+ */
+function groupByVariant(entries) {
+  return (entries || []).reduce((acc, entry) => {
+    if (!acc[entry.variant]) {
+      acc[entry.variant] = [];
+    }
+    acc[entry.variant].push(entry);
+    return acc;
+  }, {});
+}
+
+/**
+ * Builds the lastUpdatedByVariant field of a dataset. A variant whose entries did not change
+ * keeps its timestamp from the existing data, or the existing lastUpdated if that data has no
+ * timestamp for it yet. Changed and new variants get the fetch time. Tombstones count as
+ * entries, so a withdrawal moves the timestamp of its variant.
+ *
+ * @param {string} type - "versions" or "game-versions"
+ * @param {Object} data - The new dataset content, the variants of versions.json also include
+ *   the variants of its summary
+ * @param {Object|null} existingData - The existing dataset content, if any
+ * @param {string} fetchTime - ISO timestamp of the current fetch
+ *
+ * @returns {Object} Object mapping variant keys to ISO timestamps
+ */
+function buildLastUpdatedByVariant(type, data, existingData, fetchTime) {
+  const field = ENTRY_FIELDS[type];
+  const entries = groupByVariant(data[field]);
+  const existingEntries = groupByVariant(existingData?.[field]);
+  const variants = new Set([...Object.keys(data.summary || {}), ...Object.keys(entries)]);
+
+  const lastUpdatedByVariant = {};
+
+  variants.forEach(variant => {
+    const previous = existingData?.lastUpdatedByVariant?.[variant] || existingData?.lastUpdated;
+    const unchanged = Boolean(existingData) && isSameContent(
+      type,
+      { [field]: existingEntries[variant] || [] },
+      { [field]: entries[variant] || [] }
+    );
+
+    lastUpdatedByVariant[variant] = unchanged && previous ? previous : fetchTime;
+  });
+
+  return lastUpdatedByVariant;
+}
+
+module.exports = {
+  buildLastUpdatedByVariant
+};
@@ -0,0 +1,424 @@
+/**
+ * Structured diffs between two revisions of the published datasets and their
+ * Markdown rendering, used for the fetch script output and the update PR body.
+ */
+const fs = require('fs').promises;
+const { getLiveEntries } = require('./withdrawn-entries');
+
+/**
+ * Compares two version names numerically ("1.15.10" sorts after "1.15.9").
+ *
+ * @param {string} a - First version name
+ * @param {string} b - Second version name
+ *
+ * @returns {number} Negative, zero or positive like any sort comparator
+ */
+function compareNames(a, b) {
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Returns the change buckets of a variant, creating them on first access.
+ *
+ * @param {Object} variants - Object mapping variant keys to their change buckets
+ * @param {string} variant - The variant key
+ * @param {Array<string>} bucketNames - Names of the change lists of a variant
+ *
+ * @returns {Object} The change buckets of the variant
+ */
+function getBuckets(variants, variant, bucketNames) {
+  if (!variants[variant]) {
+    variants[variant] = Object.fromEntries(bucketNames.map(name => [name, []]));
+  }
+
+  return variants[variant];
+}
+
+/**
+ * Sorts every change list by version name and drops variants without changes.
+ *
+ * @param {Object} variants - Object mapping variant keys to their change buckets
+ *
+ * @returns {Object} The cleaned up variants, sorted by variant key
+ */
+function finalizeVariants(variants) {
+  const result = {};
+
+  Object.keys(variants).sort().forEach(variant => {
+    const buckets = variants[variant];
+    const hasEntries = Object.values(buckets).some(list => list.length > 0);
+
+    if (!hasEntries) {
+      return;
+    }
+
+    Object.values(buckets).forEach(list => list.sort((a, b) => compareNames(a.name, b.name)));
+    result[variant] = buckets;
+  });
+
+  return result;
+}
+
+/**
+ * Diffs the versions of two versions.json revisions.
+ *
+ * Versions are identified by variant and name. A name that disappears from one variant and
+ * shows up in another is reported as reclassified instead of removed and added, a name that
+ * keeps its variant but maps to a different interface number is reported as interfaceChanged.
+ * Withdrawn versions count as missing, a withdrawal is reported as removed.
+ *
+ * @param {Object|null} oldData - The previous versions.json data
+ * @param {Object} newData - The new versions.json data
+ *
+ * @returns {Object} Diff with a variants object mapping each changed variant to
+ *   added, removed, reclassified and interfaceChanged lists
+ */
+function diffVersions(oldData, newData) {
+  const bucketNames = ['added', 'removed', 'reclassified', 'interfaceChanged'];
+  const variants = {};
+  const key = version => `${version.variant}:${version.name}`;
+
+  const oldMap = new Map(getLiveEntries(oldData?.versions).map(version => [key(version), version]));
+  const newMap = new Map(getLiveEntries(newData?.versions).map(version => [key(version), version]));
+
+  const added = [];
+  const removed = [];
+
+  newMap.forEach((version, versionKey) => {
+    const oldVersion = oldMap.get(versionKey);
+
+    if (!oldVersion) {
+      added.push(version);
+    } else if (oldVersion.version !== version.version) {
+      getBuckets(variants, version.variant, bucketNames).interfaceChanged.push({
+        name: version.name,
+        from: oldVersion.version,
+        to: version.version
+      });
+    }
+  });
+
+  oldMap.forEach((version, versionKey) => {
+    if (!newMap.has(versionKey)) {
+      removed.push(version);
+    }
+  });
+
+  added.forEach(version => {
+    const index = removed.findIndex(old => old.name === version.name);
+
+    if (index !== -1) {
+      const [old] = removed.splice(index, 1);
+
+      getBuckets(variants, version.variant, bucketNames).reclassified.push({
+        name: version.name,
+        version: version.version,
+        fromVariant: old.variant
+      });
+      return;
+    }
+
+    getBuckets(variants, version.variant, bucketNames).added.push({ name: version.name, version: version.version });
+  });
+
+  removed.forEach(version => {
+    getBuckets(variants, version.variant, bucketNames).removed.push({ name: version.name, version: version.version });
+  });
+
+  return { variants: finalizeVariants(variants) };
+}
+
+/**
+ * Diffs the releases of two game-versions.json revisions.
+ *
+ * Releases are identified by their gameVersion ID. An ID that moves to another variant is
+ * reported as reclassified, a patch name that keeps its variant but gets a different ID is
+ * reported as idChanged. Withdrawn releases count as missing, a withdrawal is reported as removed.
+ *
+ * @param {Array|undefined} oldReleases - The releases of the previous game-versions.json
+ * @param {Array} newReleases - The new releases
+ *
+ * @returns {Object} Diff with a variants object mapping each changed variant to
+ *   added, removed, reclassified and idChanged lists
+ */
+function diffGameVersions(oldReleases, newReleases) {
+  const bucketNames = ['added', 'removed', 'reclassified', 'idChanged'];
+  const variants = {};
+
+  const oldMap = new Map(getLiveEntries(oldReleases).map(release => [String(release.version), release]));
+  const newMap = new Map(getLiveEntries(newReleases).map(release => [String(release.version), release]));
+
+  const added = [];
+  const removed = [];
+
+  newMap.forEach((release, id) => {
+    const oldRelease = oldMap.get(id);
+
+    if (!oldRelease) {
+      added.push(release);
+    } else if (oldRelease.variant !== release.variant) {
+      getBuckets(variants, release.variant, bucketNames).reclassified.push({
+        id,
+        name: release.originalVersion,
+        fromVariant: oldRelease.variant
+      });
+    }
+  });
+
+  oldMap.forEach((release, id) => {
+    if (!newMap.has(id)) {
+      removed.push(release);
+    }
+  });
+
+  added.forEach(release => {
+    const index = removed.findIndex(old => {
+      return old.originalVersion === release.originalVersion && old.variant === release.variant;
+    });
+
+    if (index !== -1) {
+      const [old] = removed.splice(index, 1);
+
+      getBuckets(variants, release.variant, bucketNames).idChanged.push({
+        name: release.originalVersion,
+        from: String(old.version),
+        to: String(release.version)
+      });
+      return;
+    }
+
+    getBuckets(variants, release.variant, bucketNames).added.push({
+      id: String(release.version),
+      name: release.originalVersion
+    });
+  });
+
+  removed.forEach(release => {
+    getBuckets(variants, release.variant, bucketNames).removed.push({
+      id: String(release.version),
+      name: release.originalVersion
+    });
+  });
+
+  return { variants: finalizeVariants(variants) };
+}
+
+/**
+ * Adds the result of a debounced fetch to a diff. Newly promoted entries move from added to
+ * promoted, entries that are still pending are listed in pending with the number of
+ * consecutive fetches they were seen in. Pending entries are not part of the data, they do
+ * not count as changes.
+ *
+ * @param {Object} diff - Diff created by diffVersions or diffGameVersions
+ * @param {Object} debounce - Result of debounceNewEntries
+ * @param {Function} toChange - Converts an entry into the shape of the added changes,
+ *   e.g. {name, version}
+ * @param {number} requiredRuns - Number of consecutive fetches an entry needs to be published
+ *
+ * @returns {Object} New diff with promoted changes and a pending list
+ */
+function addPendingChanges(diff, debounce, toChange, requiredRuns) {
+  const variants = Object.fromEntries(
+    Object.entries(diff.variants).map(([variant, buckets]) => [variant, { ...buckets }])
+  );
+
+  debounce.promoted.forEach(({ entry, seenCount }) => {
+    const change = toChange(entry);
+    const buckets = variants[entry.variant];
+
+    if (!buckets) {
+      return;
+    }
+
+    buckets.added = buckets.added.filter(item => !Object.keys(change).every(key => item[key] === change[key]));
+    buckets.promoted = [...(buckets.promoted || []), { ...change, seenCount }];
+  });
+
+  const pending = debounce.pending
+    .map(({ entry, seenCount }) => ({ variant: entry.variant, ...toChange(entry), seenCount, requiredRuns }))
+    .sort((a, b) => a.variant.localeCompare(b.variant) || compareNames(a.name, b.name));
+
+  return { ...diff, variants, pending };
+}
+
+/**
+ * Checks whether a diff contains any change.
+ *
+ * @param {Object|null} diff - Diff created by diffVersions or diffGameVersions
+ *
+ * @returns {boolean} True if at least one variant has changes
+ */
+function hasChanges(diff) {
+  return Boolean(diff) && Object.keys(diff.variants).length > 0;
+}
+
+/**
+ * Limits a diff to some variants.
+ *
+ * @param {Object} diff - Diff created by diffVersions or diffGameVersions
+ * @param {Array<string>} [variants] - Variant keys to keep, all variants are kept if empty
+ *
+ * @returns {Object} The filtered diff
+ */
+function filterDiff(diff, variants) {
+  if (!variants || variants.length === 0) {
+    return diff;
+  }
+
+  const filtered = {
+    ...diff,
+    variants: Object.fromEntries(
+      Object.entries(diff.variants).filter(([variant]) => variants.includes(variant))
+    )
+  };
+
+  if (diff.pending) {
+    filtered.pending = diff.pending.filter(entry => variants.includes(entry.variant));
+  }
+
+  return filtered;
+}
+
+/**
+ * Renders the Markdown lines of a versions.json diff.
+ *
+ * @param {Object} diff - Diff created by diffVersions
+ *
+ * @returns {Array<string>} Markdown lines
+ */
+function renderVersionsDiff(diff) {
+  const lines = [];
+
+  Object.entries(diff.variants).forEach(([variant, changes]) => {
+    lines.push(`### ${variant}`, '');
+    changes.added.forEach(v => lines.push(`- Added \`${v.name}\` (interface \`${v.version}\`)`));
+    (changes.promoted || []).forEach(v => {
+      lines.push(`- Promoted \`${v.name}\` (interface \`${v.version}\`) after ${v.seenCount} consecutive fetches`);
+    });
+    changes.removed.forEach(v => lines.push(`- Withdrawn \`${v.name}\` (interface \`${v.version}\`)`));
+    changes.reclassified.forEach(v => {
+      lines.push(`- Reclassified \`${v.name}\` (interface \`${v.version}\`) from \`${v.fromVariant}\``);
+    });
+    changes.interfaceChanged.forEach(v => {
+      lines.push(`- Interface of \`${v.name}\` changed from \`${v.from}\` to \`${v.to}\``);
+    });
+    lines.push('');
+  });
+
+  return lines;
+}
+
+/**
+ * Renders the Markdown lines of a game-versions.json diff.
+ *
+ * @param {Object} diff - Diff created by diffGameVersions
+ *
+ * @returns {Array<string>} Markdown lines
+ */
+function renderGameVersionsDiff(diff) {
+  const lines = [];
+
+  Object.entries(diff.variants).forEach(([variant, changes]) => {
+    lines.push(`### ${variant}`, '');
+    changes.added.forEach(v => lines.push(`- Added \`${v.name}\` (gameVersion ID \`${v.id}\`)`));
+    (changes.promoted || []).forEach(v => {
+      lines.push(`- Promoted \`${v.name}\` (gameVersion ID \`${v.id}\`) after ${v.seenCount} consecutive fetches`);
+    });
+    changes.removed.forEach(v => lines.push(`- Withdrawn \`${v.name}\` (gameVersion ID \`${v.id}\`)`));
+    changes.reclassified.forEach(v => {
+      lines.push(`- Reclassified \`${v.name}\` (gameVersion ID \`${v.id}\`) from \`${v.fromVariant}\``);
+    });
+    changes.idChanged.forEach(v => {
+      lines.push(`- gameVersion ID of \`${v.name}\` changed from \`${v.from}\` to \`${v.to}\``);
+    });
+    lines.push('');
+  });
+
+  return lines;
+}
+
+/**
+ * Renders the Markdown lines of the pending entries of a diff.
+ *
+ * @param {Array|undefined} pending - Pending entries from addPendingChanges
+ * @param {Function} describe - Returns the label of an entry, e.g. "interface `11507`"
+ *
+ * @returns {Array<string>} Markdown lines, empty if nothing is pending
+ */
+function renderPending(pending, describe) {
+  if (!pending || pending.length === 0) {
+    return [];
+  }
+
+  return [
+    '### Pending',
+    '',
+    ...pending.map(v => {
+      return `- \`${v.name}\` (${v.variant}, ${describe(v)}) seen in ${v.seenCount} of ${v.requiredRuns} consecutive fetches`;
+    }),
+    ''
+  ];
+}
+
+/**
+ * Renders diffs of one or both datasets as a Markdown changelog.
+ *
+ * @param {Object} diffs - The diffs to render
+ * @param {Object} [diffs.versions] - Diff created by diffVersions
+ * @param {Object} [diffs.gameVersions] - Diff created by diffGameVersions
+ *
+ * @returns {string} The Markdown changelog
+ */
+function renderChangelog({ versions, gameVersions }) {
+  const lines = [];
+
+  if (versions) {
+    lines.push('## WoW interface versions (versions.json)', '');
+
+    if (hasChanges(versions)) {
+      lines.push(...renderVersionsDiff(versions));
+    } else {
+      lines.push('No changes.', '');
+    }
+
+    lines.push(...renderPending(versions.pending, v => `interface \`${v.version}\``));
+  }
+
+  if (gameVersions) {
+    lines.push('## CurseForge gameVersion IDs (game-versions.json)', '');
+
+    if (hasChanges(gameVersions)) {
+      lines.push(...renderGameVersionsDiff(gameVersions));
+    } else {
+      lines.push('No changes.', '');
+    }
+
+    lines.push(...renderPending(gameVersions.pending, v => `gameVersion ID \`${v.id}\``));
+  }
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Writes a rendered changelog to a file, e.g. to use it as the body of the update PR.
+ *
+ * @param {string} changelogPath - Path of the Markdown file to write
+ * @param {string} changelog - The rendered changelog
+ *
+ * @returns {Promise<void>}
+ */
+async function writeChangelog(changelogPath, changelog) {
+  await fs.writeFile(changelogPath, changelog);
+  console.log(`Saved changelog to ${changelogPath}`);
+}
+
+module.exports = {
+  compareNames,
+  diffVersions,
+  diffGameVersions,
+  addPendingChanges,
+  hasChanges,
+  filterDiff,
+  renderChangelog,
+  writeChangelog
+};
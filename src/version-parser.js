@@ -1,13 +1,84 @@
+// Largest minor and patch version that fits into its two digits of an interface version
+const MAX_VERSION_PART = 99;
+
 /**
  * Parser for converting CurseForge version names to WoW interface version numbers.
  */
 class VersionParser {
+  /**
+   * Splits a version name into its parts.
+   *
+   * @param {string} versionName - Version name like "1.15.3" or "4.0.3a"
+   *
+   * @returns {{major: string, minor: string, patch: string, suffix: string}|null} The parts,
+   *   suffix is empty without a letter suffix, or null if the name is not a version name
+   */
+  parseVersionName(versionName) {
+    // Must be exactly three numeric parts separated by dots, with optional letter suffix
+    const versionMatch = versionName.match(/^(\d+)\.(\d+)\.(\d+)([a-zA-Z]?)$/);
+
+    if (!versionMatch) {
+      return null;
+    }
+
+    const [, major, minor, patch, suffix] = versionMatch;
+    return { major, minor, patch, suffix };
+  }
+
+  /**
+   * Tells why a version name cannot be parsed into an interface version.
+   *
+   * @param {string} versionName - Version name like "1.15.3"
+   *
+   * @returns {string|null} "segments" if the name has not exactly three dot-separated parts,
+   *   "non-numeric" if a part is not a number, "suffix" if the patch version has a suffix other
+   *   than a single letter, "out-of-range" if the minor or patch version is above 99, or null
+   *   if the name parses
+   */
+  getParseFailure(versionName) {
+    const parts = String(versionName || '').split('.');
+
+    if (parts.length !== 3) {
+      return 'segments';
+    }
+
+    const [major, minor, patch] = parts;
+
+    if (!/^\d+$/.test(major) || !/^\d+$/.test(minor) || !/^\d/.test(patch)) {
+      return 'non-numeric';
+    }
+
+    if (!this.parseVersionName(versionName)) {
+      return 'suffix';
+    }
+
+    return this.isInRange(versionName) ? null : 'out-of-range';
+  }
+
+  /**
+   * Checks whether the minor and patch version of a version name fit into their two digits of
+   * the interface version. "1.100.0" would become 110000 and collide with "11.0.0".
+   *
+   * @param {string} versionName - Version name like "1.15.3"
+   *
+   * @returns {boolean} True if the name is a version name whose parts are in range
+   */
+  isInRange(versionName) {
+    const parts = this.parseVersionName(versionName);
+
+    return Boolean(parts) &&
+      parseInt(parts.minor, 10) <= MAX_VERSION_PART &&
+      parseInt(parts.patch, 10) <= MAX_VERSION_PART;
+  }
+
   /**
    * Parses a version name into a WoW interface version number.
+   * Letter suffixes are dropped, so "4.0.3" and "4.0.3a" share an interface version.
    *
    * @param {string} versionName - Version name like "1.15.3" or "11.2.0"
    *
-   * @returns {string|null} Interface version number like "11503" or null if parsing fails
+   * @returns {string|null} Interface version number like "11503" or null if parsing fails or
+   *   the minor or patch version is out of range
    */
   parseInterfaceVersion(versionName) {
     // Extract version numbers from CurseForge version names
@@ -17,14 +88,13 @@ class VersionParser {
     // "4.4.0" -> 40400 (Cata Classic)
     // "11.2.0" -> 110200 (Retail)
     // "4.0.3a" -> 40003 (Classic with letter suffix)
-    // Must be exactly three numeric parts separated by dots, with optional letter suffix
-    const versionMatch = versionName.match(/^(\d+)\.(\d+)\.(\d+)([a-zA-Z]?)$/);
+    const parts = this.parseVersionName(versionName);
 
-    if (!versionMatch) {
+    if (!parts || !this.isInRange(versionName)) {
       return null;
     }
 
-    const [, major, minor, patch] = versionMatch;
+    const { major, minor, patch } = parts;
     return `${major}${minor.padStart(2, '0')}${patch.padStart(2, '0')}`;
   }
 
@@ -42,10 +112,19 @@ class VersionParser {
       return null;
     }
 
-    return {
+    const parsed = {
       version: interfaceVersion,
       name: curseforgeVersion.name,
-      variant: curseforgeVersion.variant,
+      variant: curseforgeVersion.variant
+    };
+    const { suffix } = this.parseVersionName(curseforgeVersion.name);
+
+    if (suffix) {
+      parsed.suffix = suffix;
+    }
+
+    return {
+      ...parsed,
       gameVersionTypeId: curseforgeVersion.type,
       versionTypeName: curseforgeVersion.versionTypeName,
       versionTypeSlug: curseforgeVersion.versionTypeSlug
@@ -54,15 +133,93 @@ class VersionParser {
 
   /**
    * Parses an array of CurseForge versions.
+   * Version names that don't parse, including ones whose minor or patch version is out of
+   * range, are skipped, findUnparsedVersions lists them for the unparsed report.
+   * Different names with the same interface version in a variant are reported and resolved
+   * with resolveCollisions.
    *
    * @param {Array} curseforgeVersions - Array of CurseForge version objects
    *
    * @returns {Array} Array of successfully parsed version objects
    */
   parseVersions(curseforgeVersions) {
-    return curseforgeVersions
+    const parsed = curseforgeVersions
       .map(version => this.parseVersion(version))
       .filter(version => version !== null);
+
+    return this.resolveCollisions(parsed);
+  }
+
+  /**
+   * Finds the CurseForge versions that parseVersions drops because their name does not parse.
+   *
+   * @param {Array} curseforgeVersions - Array of CurseForge version objects
+   *
+   * @returns {Array<{name: string, variant: string, gameVersionTypeId: number, reason: string}>}
+   *   The dropped versions with the reason from getParseFailure
+   */
+  findUnparsedVersions(curseforgeVersions) {
+    return curseforgeVersions
+      .map(version => ({
+        name: version.name,
+        variant: version.variant,
+        gameVersionTypeId: version.type,
+        reason: this.getParseFailure(version.name)
+      }))
+      .filter(version => version.reason !== null);
+  }
+
+  /**
+   * Marks one entry canonical where different names of a variant share an interface version,
+   * e.g. "4.0.3" and "4.0.3a". The name without suffix is canonical, otherwise the lowest
+   * suffix. Entries without a collision are returned unchanged.
+   *
+   * @param {Array} versions - Parsed version objects
+   *
+   * @returns {Array} The versions, colliding ones with canonical set to true or false
+   */
+  resolveCollisions(versions) {
+    const groups = new Map();
+
+    versions.forEach(version => {
+      const key = `${version.variant}:${version.version}`;
+      groups.set(key, [...(groups.get(key) || []), version]);
+    });
+
+    const canonicalNames = new Map();
+
+    groups.forEach((group, key) => {
+      const names = [...new Set(group.map(version => version.name))].sort((a, b) => {
+        const suffixA = this.parseVersionName(a).suffix;
+        const suffixB = this.parseVersionName(b).suffix;
+
+        if (suffixA === suffixB) {
+          return 0;
+        }
+        return suffixA < suffixB ? -1 : 1;
+      });
+
+      if (names.length > 1) {
+        canonicalNames.set(key, names[0]);
+      }
+    });
+
+    if (canonicalNames.size === 0) {
+      return versions;
+    }
+
+    console.warn(`WARNING: ${canonicalNames.size} interface versions are shared by several version names:`);
+    canonicalNames.forEach((canonicalName, key) => {
+      const [variant, version] = key.split(':');
+      const names = [...new Set(groups.get(key).map(entry => entry.name))].filter(name => name !== canonicalName);
+      console.warn(`- ${version} (${variant}): ${canonicalName} (canonical), ${names.join(', ')}`);
+    });
+
+    return versions.map(version => {
+      const canonicalName = canonicalNames.get(`${version.variant}:${version.version}`);
+
+      return canonicalName ? { ...version, canonical: version.name === canonicalName } : version;
+    });
   }
 
   /**
@@ -0,0 +1,204 @@
+const fs = require('fs').promises;
+const path = require('path');
+const VersionParser = require('./version-parser');
+const { isLive } = require('./withdrawn-entries');
+
+const parser = new VersionParser();
+
+/**
+ * Loads and parses a JSON dataset file.
+ *
+ * @param {string} filePath - Path of the dataset file
+ *
+ * @returns {Promise<Object>} The parsed dataset
+ */
+async function loadDataset(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  return JSON.parse(content);
+}
+
+/**
+ * Loads versions.json, by default the one shipped with the package.
+ *
+ * @param {string} [filePath] - Path of a versions.json file
+ *
+ * @returns {Promise<Object>} The versions.json data
+ */
+async function loadVersions(filePath = path.join(__dirname, '..', 'versions.json')) {
+  return loadDataset(filePath);
+}
+
+/**
+ * Loads game-versions.json, by default the one shipped with the package.
+ *
+ * @param {string} [filePath] - Path of a game-versions.json file
+ *
+ * @returns {Promise<Object>} The game-versions.json data
+ */
+async function loadGameVersions(filePath = path.join(__dirname, '..', 'game-versions.json')) {
+  return loadDataset(filePath);
+}
+
+/**
+ * Converts an interface number ("11503", 11503) or patch name ("1.15.3") into a comparable number.
+ *
+ * @param {string|number} value - Interface number or patch name
+ *
+ * @returns {number} Numeric interface version
+ */
+function toInterfaceNumber(value) {
+  const text = String(value);
+
+  return text.includes('.') ? parser.parseVersionToNumber(text) : parseInt(text, 10);
+}
+
+/**
+ * Checks whether a version entry is the canonical name of its interface version. Only entries
+ * whose interface version is shared by several names carry canonical, see
+ * VersionParser.resolveCollisions.
+ *
+ * @param {Object} version - Version entry
+ *
+ * @returns {boolean} True unless the entry is marked as non-canonical
+ */
+function isCanonical(version) {
+  return version.canonical !== false;
+}
+
+/**
+ * Returns the versions of a dataset, optionally limited to one variant.
+ *
+ * @param {Object} versionsData - The versions.json data
+ * @param {string} [variant] - Variant key like "classic_era"
+ *
+ * @returns {Array} The matching version entries
+ */
+function getVersions(versionsData, variant) {
+  const versions = versionsData.versions || [];
+
+  return variant ? versions.filter(version => version.variant === variant) : versions;
+}
+
+/**
+ * Sorts version entries by interface number, newest first.
+ *
+ * @param {Array} versions - Version entries
+ *
+ * @returns {Array} A sorted copy
+ */
+function sortNewestFirst(versions) {
+  return [...versions].sort((a, b) => parseInt(b.version, 10) - parseInt(a.version, 10));
+}
+
+/**
+ * Returns the latest version of every variant. Withdrawn versions are skipped, of names that
+ * share an interface version only the canonical one is returned.
+ *
+ * @param {Object} versionsData - The versions.json data
+ *
+ * @returns {Object} Object mapping variant keys to their latest version entry
+ */
+function getLatestVersions(versionsData) {
+  const latest = {};
+
+  getVersions(versionsData).filter(isLive).filter(isCanonical).forEach(version => {
+    const current = latest[version.variant];
+
+    if (!current || parseInt(version.version, 10) > parseInt(current.version, 10)) {
+      latest[version.variant] = version;
+    }
+  });
+
+  return latest;
+}
+
+/**
+ * Returns the latest version of a variant.
+ *
+ * @param {Object} versionsData - The versions.json data
+ * @param {string} variant - Variant key like "classic_era"
+ *
+ * @returns {Object|null} The latest version entry or null if the variant has no versions
+ */
+function getLatestVersion(versionsData, variant) {
+  return getLatestVersions(versionsData)[variant] || null;
+}
+
+/**
+ * Finds all versions with an interface number, e.g. "11503".
+ * The same interface number can exist in several variants. Of names that share it within a
+ * variant, e.g. "4.0.3" and "4.0.3a", only the canonical one is returned.
+ *
+ * @param {Object} versionsData - The versions.json data
+ * @param {string|number} interfaceVersion - The interface number
+ * @param {string} [variant] - Only return versions of this variant
+ *
+ * @returns {Array} The matching version entries
+ */
+function findByInterface(versionsData, interfaceVersion, variant) {
+  return getVersions(versionsData, variant)
+    .filter(version => version.version === String(interfaceVersion))
+    .filter(isCanonical);
+}
+
+/**
+ * Finds all versions with a patch name, e.g. "1.15.3".
+ * The same patch name can exist in several variants.
+ *
+ * @param {Object} versionsData - The versions.json data
+ * @param {string} name - The patch name
+ * @param {string} [variant] - Only return versions of this variant
+ *
+ * @returns {Array} The matching version entries
+ */
+function findByName(versionsData, name, variant) {
+  return getVersions(versionsData, variant).filter(version => version.name === name);
+}
+
+/**
+ * Returns all versions within a range, newest first. Bounds are inclusive and can be
+ * interface numbers ("11500") or patch names ("1.15.0"), a missing bound is open.
+ *
+ * @param {Object} versionsData - The versions.json data
+ * @param {Object} range - The range
+ * @param {string|number} [range.from] - Lower bound
+ * @param {string|number} [range.to] - Upper bound
+ * @param {string} [range.variant] - Only return versions of this variant
+ *
+ * @returns {Array} The matching version entries
+ */
+function getVersionsInRange(versionsData, { from, to, variant } = {}) {
+  const lower = from !== undefined ? toInterfaceNumber(from) : -Infinity;
+  const upper = to !== undefined ? toInterfaceNumber(to) : Infinity;
+
+  return sortNewestFirst(getVersions(versionsData, variant).filter(version => {
+    const value = parseInt(version.version, 10);
+    return value >= lower && value <= upper;
+  }));
+}
+
+/**
+ * Finds the CurseForge gameVersion releases of a patch name.
+ *
+ * @param {Object} gameVersionsData - The game-versions.json data
+ * @param {string} name - The patch name, e.g. "1.15.7"
+ * @param {string} [variant] - Only return releases of this variant
+ *
+ * @returns {Array} The matching release entries
+ */
+function findGameVersions(gameVersionsData, name, variant) {
+  return (gameVersionsData.releases || []).filter(release => {
+    return release.originalVersion === name && (!variant || release.variant === variant);
+  });
+}
+
+module.exports = {
+  loadVersions,
+  loadGameVersions,
+  getLatestVersions,
+  getLatestVersion,
+  findByInterface,
+  findByName,
+  getVersionsInRange,
+  findGameVersions
+};
@@ -0,0 +1,140 @@
+/**
+ * Known metadata for CurseForge WoW game version types.
+ *
+ * CurseForge is the source of truth for which version types exist, this table only adds
+ * the information CurseForge does not provide: our stable variant keys for each type ID.
+ */
+const KNOWN_VERSION_TYPES = {
+  67408: { id: 67408, name: 'WoW Classic Era', slug: 'wow-classic-era', variant: 'classic_era' },
+  73246: { id: 73246, name: 'WoW Burning Crusade Classic', slug: 'wow-burning-crusade-classic', variant: 'tbc_classic' },
+  73713: { id: 73713, name: 'WoW Wrath of the Lich King Classic', slug: 'wow-wrath-of-the-lich-king-classic', variant: 'wotlk_classic' },
+  77522: { id: 77522, name: 'WoW Cataclysm Classic', slug: 'wow-cataclysm-classic', variant: 'cata_classic' },
+  79434: { id: 79434, name: 'WoW Mists of Pandaria Classic', slug: 'wow-mists-of-pandaria-classic', variant: 'mop_classic' },
+  517: { id: 517, name: 'WoW Retail', slug: 'wow-retail', variant: 'retail' }
+};
+
+/**
+ * Variant of game versions whose version type could not be mapped to a variant.
+ */
+const UNKNOWN_VARIANT = 'unknown';
+
+/**
+ * Variants of game version type IDs that only the Upload API lists. The core API doesn't
+ * return these types, so their game versions can't be mapped with the discovered version
+ * types. The unclassified report of the game versions fetch prints the type IDs to add here.
+ * Empty as long as guessVariantFromName classifies every such game version by its patch name,
+ * e.g. the 3.80.x releases as WotLK Classic; a type ID only goes in here as the fetch reports it.
+ */
+const UPLOAD_VERSION_TYPE_VARIANTS = {};
+
+/**
+ * Classic flavors by major patch version, with the first minor version of each. Lower minor
+ * versions of the same major are the original retail patches, e.g. 3.3.5 is retail and 3.4.3
+ * WotLK Classic. Major versions from 6 on are retail.
+ */
+const CLASSIC_VERSION_RANGES = {
+  1: { variant: 'classic_era', minMinor: 13 },
+  2: { variant: 'tbc_classic', minMinor: 5 },
+  3: { variant: 'wotlk_classic', minMinor: 4 },
+  4: { variant: 'cata_classic', minMinor: 4 },
+  5: { variant: 'mop_classic', minMinor: 5 }
+};
+
+/**
+ * Display labels for the known variants, in their canonical order.
+ */
+const VARIANT_LABELS = {
+  classic_era: 'Classic Era',
+  tbc_classic: 'TBC Classic',
+  wotlk_classic: 'WotLK Classic',
+  cata_classic: 'Cataclysm Classic',
+  mop_classic: 'MoP Classic',
+  retail: 'Retail'
+};
+
+/**
+ * Returns the variant keys of all known version types in their canonical order.
+ *
+ * @returns {Array<string>} Variant keys like "classic_era" or "retail"
+ */
+function getKnownVariants() {
+  return Object.keys(VARIANT_LABELS);
+}
+
+/**
+ * Returns a human-readable label for a variant key.
+ * Falls back to the variant key itself for variants we have no label for.
+ *
+ * @param {string} variant - Variant key like "classic_era"
+ *
+ * @returns {string} Display label like "Classic Era"
+ */
+function getVariantLabel(variant) {
+  return VARIANT_LABELS[variant] || variant;
+}
+
+/**
+ * Guesses the variant of a game version from its patch name, e.g. "3.80.2" -> "wotlk_classic"
+ * and "3.3.5" -> "retail". A letter suffix of a hotfix build like "4.0.3a" is ignored.
+ *
+ * @param {string} name - Patch name like "1.15.7"
+ *
+ * @returns {string|null} The variant key or null if the name is not a patch name
+ */
+function guessVariantFromName(name) {
+  const match = /^(\d+)\.(\d+)(\.\d+)?[a-z]?$/i.exec(String(name));
+
+  if (!match) {
+    return null;
+  }
+
+  const major = parseInt(match[1], 10);
+  const minor = parseInt(match[2], 10);
+
+  if (major >= 6) {
+    return 'retail';
+  }
+
+  const classic = CLASSIC_VERSION_RANGES[major];
+
+  if (!classic) {
+    return null;
+  }
+
+  return minor >= classic.minMinor ? classic.variant : 'retail';
+}
+
+/**
+ * Generates a variant key for a version type that has no known metadata.
+ * The CurseForge slug is used when available ("wow-the-war-within-classic" -> "the_war_within_classic"),
+ * otherwise the type ID ("type_12345").
+ *
+ * @param {Object} versionType - Version type object from CurseForge with id and optional slug
+ *
+ * @returns {string} Generated variant key
+ */
+function generateVariantKey(versionType) {
+  if (versionType.slug) {
+    const key = versionType.slug
+      .toLowerCase()
+      .replace(/^wow-/, '')
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+
+    if (key) {
+      return key;
+    }
+  }
+
+  return `type_${versionType.id}`;
+}
+
+module.exports = {
+  KNOWN_VERSION_TYPES,
+  UNKNOWN_VARIANT,
+  UPLOAD_VERSION_TYPE_VARIANTS,
+  getKnownVariants,
+  getVariantLabel,
+  guessVariantFromName,
+  generateVariantKey
+};
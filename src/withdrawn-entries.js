@@ -0,0 +1,57 @@
+/**
+ * Tombstones of entries CurseForge no longer lists.
+ *
+ * An entry that disappears upstream stays in the data file with withdrawn set to true and the
+ * time of the fetch it disappeared in as withdrawnTimestamp, so values already pinned in TOC
+ * files and pom.xml stay known. If the entry shows up again it is live again.
+ */
+
+/**
+ * Checks whether an entry is still listed by CurseForge.
+ *
+ * @param {Object} entry - Entry of versions.json or game-versions.json
+ *
+ * @returns {boolean} True if the entry is not withdrawn
+ */
+function isLive(entry) {
+  return !entry.withdrawn;
+}
+
+/**
+ * Returns the entries that are still listed by CurseForge.
+ *
+ * @param {Array|undefined} entries - Entries of a data file, including tombstones
+ *
+ * @returns {Array} The entries that are not withdrawn
+ */
+function getLiveEntries(entries) {
+  return (entries || []).filter(isLive);
+}
+
+/**
+ * Appends tombstones for the existing entries that are missing from the fetched entries.
+ * Entries withdrawn in an earlier fetch keep their withdrawnTimestamp, newly missing entries
+ * get the fetch time.
+ *
+ * @param {Array} entries - The freshly fetched entries
+ * @param {Array|undefined} existingEntries - Entries from the existing data file
+ * @param {Function} getKey - Function returning the key of an entry
+ * @param {string} fetchTime - ISO timestamp of the current fetch
+ *
+ * @returns {Array} The fetched entries followed by the tombstones
+ */
+function applyWithdrawals(entries, existingEntries, getKey, fetchTime) {
+  const keys = new Set(entries.map(getKey));
+
+  const tombstones = (existingEntries || [])
+    .filter(entry => !keys.has(getKey(entry)))
+    .map(entry => (entry.withdrawn ? entry : { ...entry, withdrawn: true, withdrawnTimestamp: fetchTime }));
+
+  return [...entries, ...tombstones];
+}
+
+module.exports = {
+  isLive,
+  getLiveEntries,
+  applyWithdrawals
+};